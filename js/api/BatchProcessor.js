@@ -133,28 +133,36 @@ class BatchProcessor {
     
     /**
      * Execute Gmail batch with rate limiting
+     * @param {Array} requests - gapi requests
+     * @param {number} unitsPerRequest - Quota units of one request (messages.send costs 100)
+     * @returns {Promise<Array>} [{ success, data|error, index }] in request order
      */
-    async executeGmailBatch(requests) {
+    async executeGmailBatch(requests, unitsPerRequest = 5) {
         return rateLimiter.executeGmailRequest(async () => {
             const batch = await this.createGmailBatch(requests);
             const response = await batch;
             
-            // Parse batch response
+            // Parse batch response: each entry is { result, status, statusText }
             const results = [];
             for (let i = 0; i < requests.length; i++) {
                 const id = `request_${i}`;
-                const result = response.result[id];
+                const entry = response.result?.[id];
+                const error = !entry
+                    ? { message: 'No response for this request' }
+                    : entry.result?.error || (entry.status >= 400
+                        ? { code: entry.status, message: entry.statusText || `HTTP ${entry.status}` }
+                        : null);
                 
-                if (result?.error) {
+                if (error) {
                     results.push({
                         success: false,
-                        error: result.error,
+                        error,
                         index: i
                     });
                 } else {
                     results.push({
                         success: true,
-                        data: result?.result,
+                        data: entry.result,
                         index: i
                     });
                 }
@@ -162,7 +170,7 @@ class BatchProcessor {
             
             return results;
         }, {
-            quotaUnits: requests.length * 5 // Assume 5 units per request
+            quotaUnits: requests.length * unitsPerRequest
         });
     }
     
@@ -261,13 +269,24 @@ class BatchProcessor {
     
     /**
      * Batch send emails
+     * A failed batch request fails each of its emails with the request error
+     * @param {Array} emails - [{ encodedMessage, threadId }] (threadId only for replies), or [{ draftId }]
+     * @returns {Promise<Array>} [{ success, data|error, index }] in email order
      */
     async batchSendEmails(emails) {
         const requests = emails.map(email => {
+            if (email.draftId) {
+                return gapi.client.gmail.users.drafts.send({
+                    userId: 'me',
+                    resource: { id: email.draftId }
+                });
+            }
+            
             return gapi.client.gmail.users.messages.send({
                 userId: 'me',
                 resource: {
-                    raw: email.encodedMessage
+                    raw: email.encodedMessage,
+                    ...(email.threadId && { threadId: email.threadId })
                 }
             });
         });
@@ -280,14 +299,11 @@ class BatchProcessor {
             logger.info(`Sending batch of ${chunk.length} emails`);
             
             try {
-                const results = await this.executeGmailBatch(chunk);
-                allResults.push(...results);
-                
-                // Emit progress
-                eventBus.emit(EVENTS.BATCH.PROGRESS, {
-                    processed: allResults.length,
-                    total: emails.length
-                });
+                const results = await this.executeGmailBatch(chunk, 100);
+                allResults.push(...results.map(result => ({
+                    ...result,
+                    index: allResults.length + result.index
+                })));
                 
                 // Delay between batches
                 if (chunks.indexOf(chunk) < chunks.length - 1) {
@@ -26,14 +26,23 @@ import {
     storage
 } from '../utils/index.js';
 import { gmailCache } from '../core/SmartCache.js';
+import { buildMimeMessage } from '../utils/MimeBuilder.js';
+import { appendSignature } from '../utils/Signature.js';
+import { parseAddress, parseAddressList } from '../utils/AddressParser.js';
 
 class GmailClient {
     #initialized = false;
     #requestCount = 0;
     #quotaUsed = 0;
+    #sendAs = null;
     
     constructor() {
         this.initialize = this.initialize.bind(this);
+        
+        // Aliases belong to the signed-in account
+        eventBus.on(EVENTS.AUTH.SIGNOUT, () => {
+            this.#sendAs = null;
+        });
     }
     
     /**
@@ -75,44 +84,20 @@ class GmailClient {
     
     /**
      * Send email
+     * Sent from options.from (a send-as alias, the default one when empty) with its signature appended
+     * unless options.signature is false; options.threadId files a reply in its conversation
+     * and options.unsubscribe ({ url, mailto }) adds the List-Unsubscribe headers
      */
     async sendEmail(to, subject, body, options = {}) {
         await this.#ensureInitialized();
         
-        const {
-            cc = '',
-            bcc = '',
-            replyTo = '',
-            attachments = [],
-            isHtml = false,
-            headers = {}
-        } = options;
-        
         try {
             logger.debug(`Sending email to ${to}`);
             
-            // Create email
-            const email = await this.#createMimeMessage({
-                to,
-                cc,
-                bcc,
-                replyTo,
-                subject,
-                body,
-                isHtml,
-                attachments,
-                headers
-            });
-            
-            // Encode email
-            const encodedEmail = this.#encodeEmail(email);
-            
             // Send email
             const response = await gapi.client.gmail.users.messages.send({
                 userId: 'me',
-                resource: {
-                    raw: encodedEmail
-                }
+                resource: await this.#createRawMessage(to, subject, body, options)
             });
             
             this.#incrementQuota(5); // Sending costs 5 quota units
@@ -134,15 +119,117 @@ class GmailClient {
         }
     }
     
+    /**
+     * Create a draft instead of sending
+     * Takes the sendEmail options, plus options.labelIds to tag the draft
+     * @returns {Promise<Object>} Draft { id, message: { id, threadId } }
+     */
+    async createDraft(to, subject, body, options = {}) {
+        await this.#ensureInitialized();
+        
+        const { labelIds = [] } = options;
+        
+        try {
+            logger.debug(`Creating draft to ${to}`);
+            
+            const response = await gapi.client.gmail.users.drafts.create({
+                userId: 'me',
+                resource: {
+                    message: await this.#createRawMessage(to, subject, body, options)
+                }
+            });
+            
+            this.#incrementQuota(10); // Draft create costs 10 quota units
+            
+            const draft = response.result;
+            
+            if (labelIds.length > 0) {
+                await this.modifyMessage(draft.message.id, { addLabelIds: labelIds });
+            }
+            
+            logger.info(`Draft created: ${draft.id}`);
+            
+            return draft;
+            
+        } catch (error) {
+            logger.error('Failed to create draft:', error);
+            this.#handleAPIError(error);
+            throw error;
+        }
+    }
+    
+    /**
+     * Send an existing draft as it is now, including edits made in Gmail
+     * @returns {Promise<Object>} Sent message { id, threadId, labelIds }
+     */
+    async sendDraft(draftId) {
+        await this.#ensureInitialized();
+        
+        try {
+            logger.debug(`Sending draft ${draftId}`);
+            
+            const response = await gapi.client.gmail.users.drafts.send({
+                userId: 'me',
+                resource: { id: draftId }
+            });
+            
+            this.#incrementQuota(100); // Draft send costs 100 quota units
+            
+            logger.info(`Draft sent successfully: ${response.result.id}`);
+            
+            eventBus.emit(EVENTS.GMAIL.EMAIL_SENT, {
+                id: response.result.id,
+                draftId
+            });
+            
+            return response.result;
+            
+        } catch (error) {
+            logger.error(`Failed to send draft ${draftId}:`, error);
+            this.#handleAPIError(error);
+            throw error;
+        }
+    }
+    
+    /**
+     * Delete a draft permanently (already deleted drafts are ignored)
+     */
+    async deleteDraft(draftId) {
+        await this.#ensureInitialized();
+        
+        try {
+            await gapi.client.gmail.users.drafts.delete({
+                userId: 'me',
+                id: draftId
+            });
+            
+            this.#incrementQuota(10); // Draft delete costs 10 quota units
+            
+            logger.debug(`Draft deleted: ${draftId}`);
+            
+        } catch (error) {
+            if (error.status === 404 || error.result?.error?.code === 404) {
+                return;
+            }
+            
+            logger.error(`Failed to delete draft ${draftId}:`, error);
+            this.#handleAPIError(error);
+            throw error;
+        }
+    }
+    
     /**
      * Send email with template
      */
     async sendTemplateEmail(to, template, variables = {}) {
         const subject = this.#replaceTemplateVariables(template.subject, variables);
         const body = this.#replaceTemplateVariables(template.body, variables);
+        const text = template.text ? this.#replaceTemplateVariables(template.text, variables) : '';
         
         return this.sendEmail(to, subject, body, {
             isHtml: template.isHtml || false,
+            text,
+            from: template.from || '',
             cc: template.cc || '',
             bcc: template.bcc || '',
             replyTo: template.replyTo || ''
@@ -198,6 +285,7 @@ class GmailClient {
     
     /**
      * Get message details
+     * With format 'raw' the message has no parsed headers or body, only the source as raw (Uint8Array)
      */
     async getMessage(messageId, format = 'full') {
         await this.#ensureInitialized();
@@ -225,9 +313,10 @@ class GmailClient {
             message = this.#parseMessage(response.result);
             
             // Store in cache (weak reference for large objects)
+            const large = format === 'full' || format === 'raw';
             gmailCache.set(cacheKey, message, {
-                ttl: format === 'full' ? 1800000 : 3600000, // 30min for full, 1hr for metadata
-                weak: format === 'full' // Use WeakRef for full messages
+                ttl: large ? 1800000 : 3600000, // 30min for full and raw, 1hr for metadata
+                weak: large // Use WeakRef for full and raw messages
             });
             
             return message;
@@ -239,6 +328,64 @@ class GmailClient {
         }
     }
     
+    /**
+     * Get the messages of a thread, oldest first
+     * @param {string} threadId - Gmail thread ID
+     * @param {Array<string>} headers - Headers to fetch, e.g. ['From', 'Date']
+     * @returns {Promise<Array|null>} Parsed messages (headers only), or null if the thread does not exist
+     */
+    async getThreadMessages(threadId, headers = ['From', 'Subject', 'Date']) {
+        await this.#ensureInitialized();
+        
+        try {
+            const response = await gapi.client.gmail.users.threads.get({
+                userId: 'me',
+                id: threadId,
+                format: 'metadata',
+                metadataHeaders: headers
+            });
+            
+            this.#incrementQuota(10); // Thread get costs 10 quota units
+            
+            return (response.result.messages || []).map(message => this.#parseMessage(message));
+            
+        } catch (error) {
+            if (error.status === 404 || error.result?.error?.code === 404) {
+                return null;
+            }
+            
+            logger.error(`Failed to get thread ${threadId}:`, error);
+            this.#handleAPIError(error);
+            throw error;
+        }
+    }
+    
+    /**
+     * Get the RFC 5322 source of a message, e.g. to read parts the parsed format leaves out
+     * @param {string} messageId - Gmail message ID
+     * @returns {Promise<string>} Message source
+     */
+    async getRawMessage(messageId) {
+        await this.#ensureInitialized();
+        
+        try {
+            const response = await gapi.client.gmail.users.messages.get({
+                userId: 'me',
+                id: messageId,
+                format: 'raw'
+            });
+            
+            this.#incrementQuota(5);
+            
+            return this.#decodeBase64(response.result.raw || '');
+            
+        } catch (error) {
+            logger.error(`Failed to get raw message ${messageId}:`, error);
+            this.#handleAPIError(error);
+            throw error;
+        }
+    }
+    
     /**
      * Get multiple messages (batch)
      */
@@ -402,6 +549,46 @@ class GmailClient {
         }
     }
     
+    /**
+     * Find the message a reply should answer
+     * A thread ID answers its latest message; a message ID or RFC 822 Message-ID answers that message
+     * @param {string} id - Gmail thread ID, Gmail message ID or Message-ID ("<...@...>")
+     * @returns {Promise<Object>} { threadId, messageId, references, subject }
+     */
+    async getReplyReference(id) {
+        const value = String(id ?? '').trim();
+        let message;
+        
+        if (value.includes('@')) {
+            const messageId = value.replace(/^<|>$/g, '');
+            const { messages } = await this.listMessages(`rfc822msgid:${messageId}`, {
+                maxResults: 1,
+                includeSpamTrash: true
+            });
+            
+            if (messages.length === 0) {
+                throw new Error(`No message found with Message-ID ${value}`);
+            }
+            
+            message = await this.getMessage(messages[0].id, 'metadata');
+        } else {
+            message = await this.#getLatestThreadMessage(value) || await this.getMessage(value, 'metadata');
+        }
+        
+        const messageId = message.headers['message-id'];
+        
+        if (!messageId) {
+            throw new Error(`Message ${message.id} has no Message-ID header`);
+        }
+        
+        return {
+            threadId: message.threadId,
+            messageId,
+            references: [message.headers.references, messageId].filter(Boolean).join(' '),
+            subject: message.headers.subject || ''
+        };
+    }
+    
     /**
      * Get labels
      */
@@ -426,6 +613,154 @@ class GmailClient {
         }
     }
     
+    /**
+     * Get the addresses the account may send from (primary and verified aliases)
+     * @param {boolean} refresh - Reload instead of using the cached list
+     * @returns {Promise<Array>} [{ email, name, replyTo, signature, isPrimary, isDefault }]
+     */
+    async getSendAsAliases(refresh = false) {
+        if (this.#sendAs && !refresh) {
+            return this.#sendAs;
+        }
+        
+        await this.#ensureInitialized();
+        
+        try {
+            logger.debug('Getting send-as aliases');
+            
+            const response = await gapi.client.gmail.users.settings.sendAs.list({
+                userId: 'me'
+            });
+            
+            this.#incrementQuota(1);
+            
+            this.#sendAs = (response.result.sendAs || [])
+                .filter(alias => alias.isPrimary || alias.verificationStatus === 'accepted')
+                .map(alias => ({
+                    email: alias.sendAsEmail,
+                    name: alias.displayName || '',
+                    replyTo: alias.replyToAddress || '',
+                    signature: alias.signature || '',
+                    isPrimary: Boolean(alias.isPrimary),
+                    isDefault: Boolean(alias.isDefault)
+                }));
+            
+            return this.#sendAs;
+            
+        } catch (error) {
+            logger.error('Failed to get send-as aliases:', error);
+            this.#handleAPIError(error);
+            throw error;
+        }
+    }
+    
+    /**
+     * Resolve a From address to a send-as alias
+     * An empty address picks the account's default alias; Gmail would replace unknown addresses
+     * with the primary one, so they are rejected
+     * @param {string} address - "user@example.com" or "Name <user@example.com>"
+     * @returns {Promise<Object>} { from, replyTo, signature }
+     */
+    async resolveSender(address = '') {
+        const value = String(address ?? '').trim();
+        const parsed = parseAddress(value);
+        
+        if (value && !parsed) {
+            throw new Error(`Invalid sender address: ${value}`);
+        }
+        
+        const email = parsed ? parsed.asciiAddress.toLowerCase() : '';
+        let aliases;
+        
+        try {
+            aliases = await this.getSendAsAliases();
+        } catch (error) {
+            // Without the list the default address still works, only without signature
+            if (!email) {
+                logger.warn('Sending without alias settings:', error.message);
+                return { from: '', replyTo: '', signature: '' };
+            }
+            throw error;
+        }
+        
+        const alias = email
+            ? aliases.find(item => item.email.toLowerCase() === email)
+            : aliases.find(item => item.isDefault) || aliases.find(item => item.isPrimary);
+        
+        if (!alias) {
+            if (email) {
+                throw new Error(`${email} is not a verified send-as address of this account`);
+            }
+            return { from: '', replyTo: '', signature: '' };
+        }
+        
+        // A name written with the address wins over the alias display name
+        const name = parsed?.name || alias.name;
+        
+        return {
+            from: name ? `${name} <${alias.email}>` : alias.email,
+            replyTo: alias.replyTo,
+            signature: alias.signature
+        };
+    }
+    
+    /**
+     * Find a user label by name, creating it if missing
+     * @param {string} name - Label name, "/" nests it (e.g. "Gmail Tool/Review")
+     * @returns {Promise<Object>} Label { id, name }
+     */
+    async getOrCreateLabel(name) {
+        const labels = await this.getLabels();
+        const existing = labels.find(label => label.name.toLowerCase() === name.toLowerCase());
+        
+        if (existing) {
+            return existing;
+        }
+        
+        try {
+            logger.debug(`Creating label ${name}`);
+            
+            const response = await gapi.client.gmail.users.labels.create({
+                userId: 'me',
+                resource: {
+                    name,
+                    labelListVisibility: 'labelShow',
+                    messageListVisibility: 'show'
+                }
+            });
+            
+            this.#incrementQuota(5); // Label create costs 5 quota units
+            
+            return response.result;
+            
+        } catch (error) {
+            logger.error(`Failed to create label ${name}:`, error);
+            this.#handleAPIError(error);
+            throw error;
+        }
+    }
+    
+    /**
+     * Delete a user label (messages keep existing, only the label goes)
+     */
+    async deleteLabel(labelId) {
+        await this.#ensureInitialized();
+        
+        try {
+            await gapi.client.gmail.users.labels.delete({
+                userId: 'me',
+                id: labelId
+            });
+            
+            this.#incrementQuota(5); // Label delete costs 5 quota units
+            
+        } catch (error) {
+            logger.error(`Failed to delete label ${labelId}:`, error);
+            this.#handleAPIError(error);
+            throw error;
+        }
+    }
+    
     /**
      * Get user profile
      */
@@ -516,6 +851,21 @@ class GmailClient {
         return queryParts.join(' ');
     }
     
+    /**
+     * Reject address lists with entries Gmail would drop or bounce
+     * @param {Object} lists - Address lists by header, e.g. { to, cc, bcc, replyTo }
+     */
+    validateRecipients(lists) {
+        Object.entries(lists).forEach(([field, value]) => {
+            const { invalid } = parseAddressList(value);
+            
+            if (invalid.length > 0) {
+                const { input, suggestion } = invalid[0];
+                throw new Error(`Invalid ${field} address: ${input}${suggestion ? ` (did you mean ${suggestion}?)` : ''}`);
+            }
+        });
+    }
+    
     /**
      * Get quota usage
      */
@@ -538,6 +888,62 @@ class GmailClient {
         await googleAuth.refreshTokenIfNeeded();
     }
     
+    /**
+     * Build the raw message resource shared by send and draft: { raw, threadId }
+     */
+    async #createRawMessage(to, subject, body, options) {
+        const {
+            from = '',
+            signature = true,
+            threadId = null,
+            cc = '',
+            bcc = '',
+            replyTo = '',
+            attachments = [],
+            inlineImages = [],
+            isHtml = false,
+            text = '',
+            headers = {},
+            unsubscribe = null
+        } = options;
+        
+        this.validateRecipients({ to, cc, bcc, replyTo });
+        
+        const sender = await this.resolveSender(from);
+        const signed = signature ? appendSignature({ body, text, isHtml }, sender.signature) : { body, text };
+        
+        const email = buildMimeMessage({
+            from: sender.from,
+            to,
+            cc,
+            bcc,
+            replyTo: replyTo || sender.replyTo,
+            subject,
+            body: signed.body,
+            isHtml,
+            text: signed.text,
+            attachments,
+            inlineImages,
+            headers,
+            unsubscribe
+        });
+        
+        return {
+            raw: this.#encodeEmail(email),
+            ...(threadId && { threadId })
+        };
+    }
+    
+    /**
+     * Latest non-draft message of a thread, or null if the ID is not a thread
+     */
+    async #getLatestThreadMessage(threadId) {
+        const messages = (await this.getThreadMessages(threadId, ['Message-ID', 'References', 'Subject']) || [])
+            .filter(message => !message.isDraft);
+        
+        return messages.length > 0 ? messages[messages.length - 1] : null;
+    }
+    
     async #waitForGAPI() {
         // Use shared waitFor utility
         await waitFor(
@@ -550,60 +956,6 @@ class GmailClient {
         );
     }
     
-    async #createMimeMessage(options) {
-        const {
-            to, cc, bcc, replyTo, subject, body, isHtml, attachments, headers
-        } = options;
-        
-        const boundary = `----=_Part_${Math.random().toString(36).substr(2)}`;
-        const nl = '\r\n';
-        
-        let message = '';
-        
-        // Headers
-        message += `MIME-Version: 1.0${nl}`;
-        message += `To: ${to}${nl}`;
-        if (cc) message += `Cc: ${cc}${nl}`;
-        if (bcc) message += `Bcc: ${bcc}${nl}`;
-        if (replyTo) message += `Reply-To: ${replyTo}${nl}`;
-        message += `Subject: =?UTF-8?B?${btoa(unescape(encodeURIComponent(subject)))}?=${nl}`;
-        
-        // Custom headers
-        for (const [key, value] of Object.entries(headers)) {
-            message += `${key}: ${value}${nl}`;
-        }
-        
-        // Handle attachments
-        if (attachments && attachments.length > 0) {
-            message += `Content-Type: multipart/mixed; boundary="${boundary}"${nl}${nl}`;
-            
-            // Body part
-            message += `--${boundary}${nl}`;
-            message += `Content-Type: ${isHtml ? 'text/html' : 'text/plain'}; charset=UTF-8${nl}`;
-            message += `Content-Transfer-Encoding: base64${nl}${nl}`;
-            message += btoa(unescape(encodeURIComponent(body))) + nl;
-            
-            // Attachment parts
-            for (const attachment of attachments) {
-                message += `--${boundary}${nl}`;
-                message += `Content-Type: ${attachment.mimeType || 'application/octet-stream'}${nl}`;
-                message += `Content-Transfer-Encoding: base64${nl}`;
-                message += `Content-Disposition: attachment; filename="${attachment.filename}"${nl}${nl}`;
-                message += attachment.data + nl;
-            }
-            
-            message += `--${boundary}--${nl}`;
-            
-        } else {
-            // Simple message without attachments
-            message += `Content-Type: ${isHtml ? 'text/html' : 'text/plain'}; charset=UTF-8${nl}`;
-            message += `Content-Transfer-Encoding: base64${nl}${nl}`;
-            message += btoa(unescape(encodeURIComponent(body)));
-        }
-        
-        return message;
-    }
-    
     #encodeEmail(email) {
         // Use shared base64 utility
         return base64.encode(email);
@@ -619,6 +971,7 @@ class GmailClient {
             internalDate: new Date(parseInt(message.internalDate)),
             sizeEstimate: message.sizeEstimate,
             headers: {},
+            headerList: [],
             body: {
                 text: '',
                 html: ''
@@ -626,10 +979,16 @@ class GmailClient {
             attachments: []
         };
         
-        // Parse headers
+        // format=raw: the RFC 822 source as sent, byte for byte
+        if (message.raw) {
+            parsed.raw = base64.decodeBytes(message.raw);
+        }
+        
+        // Parse headers; headerList keeps every header in order, repeated ones (Received) included
         if (message.payload?.headers) {
             message.payload.headers.forEach(header => {
                 parsed.headers[header.name.toLowerCase()] = header.value;
+                parsed.headerList.push({ name: header.name, value: header.value });
             });
         }
         
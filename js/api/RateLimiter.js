@@ -6,7 +6,10 @@
 import { CONFIG } from '../config.js';
 import logger from '../core/Logger.js';
 import eventBus from '../core/EventBus.js';
-import { sleep, chunkArray, EVENTS } from '../utils/index.js';
+import { sleep, chunkArray, EVENTS, localStorage } from '../utils/index.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SEND_LOG_KEY = 'send_log';
 
 class RateLimiter {
     #queues = new Map(); // Separate queues for different resources
@@ -15,11 +18,17 @@ class RateLimiter {
     #lastRequest = new Map(); // Last request timestamps
     #retryAttempts = new Map(); // Retry counts
     #circuitBreaker = new Map(); // Circuit breaker states
+    #sendLog = []; // Timestamps of emails sent in the last 24 hours
+    #sendBlockedUntil = 0; // Set when Gmail rejects a send for quota
+    #dailySendLimit = CONFIG.RATE_LIMITS.QUOTA_PER_DAY;
     
     constructor() {
         // Initialize default limits
         this.#setupDefaultLimits();
         
+        // Sends of previous sessions still count against the rolling quota
+        this.#loadSendLog();
+        
         // Start token refill timer
         this.#startTokenRefill();
     }
@@ -146,24 +155,100 @@ class RateLimiter {
         };
     }
     
+    /**
+     * Set the number of emails the account may send per 24 hours
+     * @param {number} limit - 500 for consumer accounts, 2000 for Workspace
+     */
+    setDailySendLimit(limit) {
+        this.#dailySendLimit = limit;
+        logger.debug(`Daily send limit set to ${limit}`);
+    }
+    
+    /**
+     * Get the state of the daily sending quota (rolling 24 hours, like Gmail)
+     * @returns {Object} { limit, used, remaining, resetsAt } - resetsAt is the
+     *   timestamp when at least one send is available again, null if available now
+     */
+    getSendQuota() {
+        const now = Date.now();
+        this.#pruneSendLog(now);
+        
+        const limit = this.#dailySendLimit;
+        const used = this.#sendLog.length;
+        const blocked = this.#sendBlockedUntil > now;
+        const remaining = blocked ? 0 : Math.max(0, limit - used);
+        
+        let resetsAt = null;
+        if (remaining === 0) {
+            const oldest = used >= limit ? this.#sendLog[used - limit] + DAY_MS : now;
+            resetsAt = Math.max(oldest, this.#sendBlockedUntil);
+        }
+        
+        return { limit, used, remaining, resetsAt };
+    }
+    
+    /**
+     * Get timestamps of emails sent in the last 24 hours
+     * @returns {Array<number>} Ascending timestamps
+     */
+    getSendLog() {
+        this.#pruneSendLog(Date.now());
+        return [...this.#sendLog];
+    }
+    
+    /**
+     * Count emails sent outside executeGmailRequest (e.g. batch API)
+     * @param {number} count - Emails sent
+     */
+    recordSends(count = 1) {
+        const now = Date.now();
+        
+        for (let i = 0; i < count; i++) {
+            this.#sendLog.push(now);
+        }
+        
+        this.#pruneSendLog(now);
+        this.#saveSendLog();
+        
+        const { limit, used } = this.getSendQuota();
+        if (used >= limit * 0.9) {
+            eventBus.emit(EVENTS.GMAIL.QUOTA_WARNING, { limit, used });
+        }
+    }
+    
+    /**
+     * Stop sending until a given time
+     * Used when Gmail reports the quota exhausted before our own count does
+     * (e.g. emails sent from the Gmail web interface)
+     * @param {number} until - Timestamp
+     */
+    blockSending(until) {
+        this.#sendBlockedUntil = Math.max(this.#sendBlockedUntil, until);
+        logger.warn(`Sending blocked until ${new Date(this.#sendBlockedUntil).toISOString()}`);
+    }
+    
     /**
      * Handle Gmail-specific rate limiting
+     * @param {Function} fn - Request to execute
+     * @param {Object} options - { quotaUnits, isWrite, sendCount }
+     *   sendCount is the number of emails the request sends, checked against the daily sending quota
      */
     async executeGmailRequest(fn, options = {}) {
         const {
             quotaUnits = 5,
-            isWrite = false
+            isWrite = false,
+            sendCount = 0
         } = options;
         
         // Different limits for read vs write
         const resource = isWrite ? 'gmail_write' : 'gmail_read';
         
-        // Check daily quota
+        // Track API units for diagnostics
         const quotaUsed = parseInt(sessionStorage.getItem('gmail_quota_used') || '0');
-        const quotaLimit = CONFIG.RATE_LIMITS.QUOTA_PER_DAY;
         
-        if (quotaUsed + quotaUnits > quotaLimit) {
-            throw new Error('Daily Gmail quota exceeded');
+        // Check daily sending quota
+        if (sendCount > 0 && this.getSendQuota().remaining < sendCount) {
+            throw new Error('Daily Gmail sending quota exceeded');
         }
         
         try {
@@ -177,6 +262,10 @@ class RateLimiter {
             // Update quota
             sessionStorage.setItem('gmail_quota_used', String(quotaUsed + quotaUnits));
             
+            if (sendCount > 0) {
+                this.recordSends(sendCount);
+            }
+            
             return result;
             
         } catch (error) {
@@ -460,6 +549,29 @@ class RateLimiter {
         }
     }
     
+    // Daily sending quota
+    
+    #loadSendLog() {
+        const log = localStorage.get(SEND_LOG_KEY, []);
+        this.#sendLog = Array.isArray(log) ? log.filter(Number.isFinite).sort((a, b) => a - b) : [];
+        this.#pruneSendLog(Date.now());
+    }
+    
+    #saveSendLog() {
+        localStorage.set(SEND_LOG_KEY, this.#sendLog, { ttl: DAY_MS });
+    }
+    
+    #pruneSendLog(now) {
+        const cutoff = now - DAY_MS;
+        const firstValid = this.#sendLog.findIndex(timestamp => timestamp > cutoff);
+        
+        if (firstValid === -1) {
+            this.#sendLog = [];
+        } else if (firstValid > 0) {
+            this.#sendLog = this.#sendLog.slice(firstValid);
+        }
+    }
+    
     // Processing state management
     
     #isProcessing(resource) {
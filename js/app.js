@@ -245,6 +245,7 @@ class GmailToolApp {
             { name: 'BatchProcessor', path: './api/BatchProcessor.js' },
             { name: 'RateLimiter', path: './api/RateLimiter.js' },
             { name: 'EmailSender', path: './services/EmailSender.js' },
+            { name: 'FollowUpScheduler', path: './services/FollowUpScheduler.js' },
             { name: 'EmailDownloader', path: './services/EmailDownloader.js' },
             { name: 'BatchSenderUI', path: './ui/BatchSenderUI.js' },
             { name: 'EmailDownloaderUI', path: './ui/EmailDownloaderUI.js' }
@@ -289,6 +290,9 @@ class GmailToolApp {
         // Initialize UI components
         await this.initializeUIComponents();
         
+        // Follow-ups are sent while the app is open
+        this.modules.get('FollowUpScheduler')?.start();
+        
         // Show success message
         showToast(CONFIG.SUCCESS.AUTH_SUCCESS, 'success');
         
@@ -588,6 +592,11 @@ class GmailToolApp {
             if (emailSender.pause) emailSender.pause();
         }
         
+        // Stop sending follow-ups
+        if (this.modules.has('FollowUpScheduler')) {
+            this.modules.get('FollowUpScheduler').stop();
+        }
+        
         // Stop any ongoing downloads
         if (this.modules.has('EmailDownloader')) {
             const emailDownloader = this.modules.get('EmailDownloader');
@@ -32,6 +32,8 @@ export const CONFIG = {
         BASE_URL: 'https://gmail.googleapis.com/gmail/v1',
         BATCH_ENDPOINT: 'https://www.googleapis.com/batch/gmail/v1',
         MAX_BATCH_SIZE: 100,
+        // messages.send costs 100 quota units of the 250 a user may spend per second
+        SEND_BATCH_SIZE: 10,
         MAX_RESULTS_PER_PAGE: 100
     },
     
@@ -41,8 +43,10 @@ export const CONFIG = {
         MAX_DELAY_MS: 75000,
         QUOTA_PER_DAY: 500,
         QUOTA_PER_DAY_WORKSPACE: 2000,
+        QUOTA_RETRY_MS: 3600000,
         REQUESTS_PER_SECOND: 10,
-        BATCH_DELAY_MS: 1000
+        BATCH_DELAY_MS: 1000,
+        BATCH_SEND_DELAY_MS: 5000 // Between batch API sends of SEND_BATCH_SIZE messages
     },
     
     // Email Processing Configuration
@@ -51,7 +55,10 @@ export const CONFIG = {
         MAX_EMAIL_SIZE_MB: 35,
         DEFAULT_PAGE_SIZE: 50,
         MAX_EMAILS_TO_PROCESS: 10000,
-        CHUNK_SIZE: 100
+        CHUNK_SIZE: 100,
+        DRAFT_LABEL_PREFIX: 'Gmail Tool',
+        MAX_FOLLOW_UPS: 5,
+        FOLLOW_UP_CHECK_INTERVAL_MS: 300000 // Due follow-ups are looked for every 5 minutes
     },
     
     // UI Configuration
@@ -70,7 +77,9 @@ export const CONFIG = {
         USER_KEY: 'user_info',
         HISTORY_KEY: 'operation_history',
         SETTINGS_KEY: 'user_settings',
-        MAX_HISTORY_ITEMS: 100
+        MAX_HISTORY_ITEMS: 100,
+        DB_NAME: 'gmail_tool_db',
+        DB_VERSION: 3
     },
     
     // Export Configuration
@@ -82,7 +91,8 @@ export const CONFIG = {
         ],
         DATE_FORMAT: 'YYYY-MM-DD HH:mm:ss',
         ZIP_COMPRESSION_LEVEL: 6,
-        MAX_ZIP_SIZE_MB: 500
+        MAX_ZIP_SIZE_MB: 500,
+        JSON_SCHEMA_VERSION: 1 // Bump on breaking changes to the JSON/NDJSON records (see README)
     },
     
     // Memory Management
@@ -135,10 +145,10 @@ export const CONFIG = {
     FEATURES: {
         ENABLE_ATTACHMENTS: true,
         ENABLE_TEMPLATES: true,
-        ENABLE_SCHEDULING: false,
+        ENABLE_SCHEDULING: true,
         ENABLE_ANALYTICS: false,
         ENABLE_DARK_MODE: false,
-        ENABLE_EXPORT_PDF: false
+        ENABLE_EXPORT_PDF: true
     },
     
     // Validation Rules
@@ -81,7 +81,17 @@ export default {
         cancel: "⏹️ Abbrechen",
         completed: "Download abgeschlossen!",
         saveExport: "💾 Export speichern",
-        newSearch: "🔍 Neue Suche"
+        newSearch: "🔍 Neue Suche",
+        rawEml: "Originalquelle der Nachrichten (bytegenaue EML)",
+        mboxFormat: "📬 MBOX (Thunderbird, Apple Mail)",
+        mboxPerLabel: "Eine mbox-Datei pro Label",
+        jsonFormat: "🧾 JSON (Vollständige Nachrichten)",
+        ndjsonFormat: "🧾 NDJSON (Eine Nachricht pro Zeile)",
+        pdfInZip: "PDF im ZIP",
+        pdfNone: "Kein PDF",
+        pdfPerMessage: "Ein PDF pro E-Mail",
+        pdfPerThread: "Ein PDF pro Konversation",
+        pdfCombined: "Ein PDF mit allen E-Mails"
     },
     
     // Batch Sender
@@ -122,7 +132,73 @@ export default {
         stop: "⏹️ Stoppen",
         completed: "Senden abgeschlossen!",
         exportResults: "📊 Ergebnisse exportieren",
-        newBatch: "📤 Neuer Batch"
+        newBatch: "📤 Neuer Batch",
+        resumeTitle: "Unterbrochene Kampagne gefunden",
+        resumeCampaign: "▶️ Kampagne Fortsetzen",
+        discardCampaign: "🗑️ Verwerfen",
+        scheduleSending: "Versand planen",
+        scheduleDescription: "Später starten und nur in einem Zeitfenster senden (diesen Tab geöffnet lassen)",
+        scheduleStart: "Start um (leer = sofort)",
+        timeZone: "Zeitzone",
+        sendWindow: "Nur an diesen Tagen und Uhrzeiten senden",
+        sendAtHint: "Optionale CSV-Spalte send_at (z. B. 2024-05-01 09:30 oder 01/05/2024 09:30, Browserzeit) plant einzelne E-Mails",
+        nextSendIn: "⏳ Nächste E-Mail in:",
+        dailyLimit: "Tägliches Versandlimit",
+        dailyLimitAuto: "Aus dem Konto ermitteln",
+        mappingDescription: "Spalten werden automatisch erkannt: prüfen Sie sie und korrigieren Sie falsche Zuordnungen. Ihre Auswahl wird für das nächste Mal gespeichert.",
+        mapBody: "Inhalt",
+        mapCc: "Cc",
+        mapBcc: "Bcc",
+        mapReplyTo: "Antwort an",
+        mapAttachments: "Anhänge",
+        mapSendAt: "Senden um",
+        mapNone: "— nicht verwendet —",
+        mergeFieldsHint: "Betreff und Inhalt können jede Spalte als Seriendruckfeld verwenden: {{name|Kunde}}, {{name|title}}, {{#if firma}}…{{/if}}, {{#each produkte}}…{{/each}}, {{datum|date:DD.MM.YYYY}}, {{betrag|number:2}}",
+        attachmentsTitle: "📎 Anhänge (optional)",
+        attachmentsDescription: "Lade einen Ordner oder eine ZIP-Datei mit den in der Anhang-Spalte genannten Dateien hoch (mehrere Namen durch ; getrennt) sowie Dateien, die jeder E-Mail beigefügt werden",
+        addFolder: "📁 Ordner hinzufügen",
+        addZip: "🗜️ ZIP oder Dateien hinzufügen",
+        addShared: "📎 An jede E-Mail anhängen",
+        clearAttachments: "🗑️ Anhänge entfernen",
+        mapText: "Nur-Text-Version",
+        inlineImagesHint: "Hochgeladene Bilder, die im HTML-Inhalt verwendet werden, z. B. <img src=\"logo.png\">, werden in die E-Mail eingebettet statt aus dem Web geladen",
+        useBatchApi: "Schneller Versand mit der Gmail-Batch-API",
+        batchApiDescription: "Sendet 10 E-Mails pro Anfrage, etwa 120 pro Minute, ohne Verzögerung zwischen den E-Mails. Jede E-Mail zählt weiterhin zum Tageskontingent (500 Gmail, 2000 Workspace): Eine große Liste verbraucht es in wenigen Minuten, und Massenversand landet eher im Spam.",
+        mapFrom: "Absender",
+        fromAlias: "Absender",
+        defaultSender: "Standardadresse",
+        fromAliasDescription: "Gmail-Adresse aus \"Senden als\"; ihre Signatur wird jeder E-Mail hinzugefügt. Eine Absender-Spalte in der CSV ersetzt sie für ihre Zeilen.",
+        mapThread: "Im Verlauf antworten (Thread oder Message-ID)",
+        draftMode: "Entwürfe zur Prüfung erstellen statt senden",
+        draftModeDescription: "Die Entwürfe erhalten in Gmail ein Label; nach der Prüfung alle von hier senden oder alle löschen",
+        draftLabel: "Gmail-Label",
+        sendDrafts: "📤 Entwürfe senden",
+        deleteDrafts: "🗑️ Entwürfe löschen",
+        suppressionTitle: "🚫 Sperrliste",
+        suppressionDescription: "Adressen, die von keiner Kampagne mehr angeschrieben werden: abgemeldet, unzustellbar, importiert oder von dir hinzugefügt. Ihre Zeilen werden übersprungen.",
+        importSuppression: "📥 CSV importieren",
+        suppressionPlaceholder: "Adressen durch Kommas getrennt",
+        addSuppression: "➕ Hinzufügen",
+        clearSuppression: "🗑️ Liste leeren",
+        skipRecent: "Bereits Angeschriebene überspringen, letzte",
+        days: "Tage",
+        unsubscribeTitle: "Abmeldung",
+        unsubscribeMailto: "Adresse, z. B. abmelden@beispiel.de",
+        unsubscribeUrl: "URL, z. B. https://beispiel.de/abmelden?t={{token}}",
+        unsubscribeDescription: "Wird als List-Unsubscribe-Header gesendet, die Gmail und Yahoo von Massenversendern erwarten; eine https-URL ermöglicht zusätzlich die Abmeldung mit einem Klick. {{token}} kennzeichnet den Empfänger (steht in den exportierten Ergebnissen), {{email}} ist die Adresse. Mit {{unsubscribe_url}} im Inhalt wird der Link angezeigt.",
+        bounceDescription: "Gesendet heißt nur, dass Gmail die E-Mail angenommen hat: Unzustellbarkeitsmeldungen kommen später von mailer-daemon oder postmaster. Prüfe sie nach ein paar Minuten.",
+        checkBounces: "🔎 Bounces prüfen",
+        suppressBounces: "Dauerhafte Bounces zur Sperrliste hinzufügen",
+        checkReplies: "💬 Antworten prüfen",
+        followUpsActive: "Laufende Follow-ups",
+        followUpsKeepOpen: "Fällige Follow-ups werden gesendet, solange die App in einem Browser-Tab geöffnet ist",
+        followUpsTitle: "Follow-ups an Empfänger ohne Antwort",
+        addFollowUp: "➕ Follow-up hinzufügen",
+        followUpsDescription: "Als Antwort im selben Thread gesendet; die Tage zählen ab der vorherigen E-Mail. Wer antwortet, zurückgewiesen wird oder sich abmeldet, verlässt die Sequenz. Dieselben {{Spalte}}-Platzhalter funktionieren; Follow-ups zählen zum Tageskontingent und werden nur bei geöffneter App gesendet.",
+        followUpAfter: "Wenn keine Antwort nach",
+        followUpSubject: "Betreff (leer = Re: ursprünglicher Betreff)",
+        followUpBody: "Inhalt, Text oder HTML",
+        csvColumnsHint: "Spalten dürfen beliebig heißen: Nach dem Laden der Datei ordnest du sie den E-Mail-Feldern zu. Empfänger, Betreff und Inhalt sind Pflicht. Optional: cc, bcc, antwort_an, absender (eine \"Senden als\"-Adresse), text (Nur-Text-Version), anhaenge, sendezeit, thread_id oder message_id zum Antworten in einer Konversation sowie header:Name-Spalten für eigene Header (z. B. header:X-Campaign). Empfänger, Cc und Bcc akzeptieren mehrere durch Kommas getrennte Adressen."
     },
     
     // Footer
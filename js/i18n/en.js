@@ -81,7 +81,17 @@ export default {
         cancel: "⏹️ Cancel",
         completed: "Download Complete!",
         saveExport: "💾 Save Export",
-        newSearch: "🔍 New Search"
+        newSearch: "🔍 New Search",
+        rawEml: "Original message source (byte-exact EML)",
+        mboxFormat: "📬 MBOX (Thunderbird, Apple Mail)",
+        mboxPerLabel: "One mbox file per label",
+        jsonFormat: "🧾 JSON (Full Messages)",
+        ndjsonFormat: "🧾 NDJSON (One Message per Line)",
+        pdfInZip: "PDF in the ZIP",
+        pdfNone: "No PDF",
+        pdfPerMessage: "One PDF per email",
+        pdfPerThread: "One PDF per conversation",
+        pdfCombined: "One PDF with all emails"
     },
     
     // Batch Sender
@@ -122,7 +132,73 @@ export default {
         stop: "⏹️ Stop",
         completed: "Sending Complete!",
         exportResults: "📊 Export Results",
-        newBatch: "📤 New Batch"
+        newBatch: "📤 New Batch",
+        resumeTitle: "Interrupted campaign found",
+        resumeCampaign: "▶️ Resume Campaign",
+        discardCampaign: "🗑️ Discard",
+        scheduleSending: "Schedule sending",
+        scheduleDescription: "Start later and send only within a time window (keep this tab open)",
+        scheduleStart: "Start at (empty = now)",
+        timeZone: "Time zone",
+        sendWindow: "Send only on these days and hours",
+        sendAtHint: "Optional CSV column send_at (e.g. 2024-05-01 09:30 or 01/05/2024 09:30, day first, browser time) schedules single emails",
+        nextSendIn: "⏳ Next email in:",
+        dailyLimit: "Daily sending limit",
+        dailyLimitAuto: "Detect from account",
+        mappingDescription: "Columns are detected automatically: check them and change any that are wrong. Your choice is remembered for next time.",
+        mapBody: "Content",
+        mapCc: "Cc",
+        mapBcc: "Bcc",
+        mapReplyTo: "Reply-To",
+        mapAttachments: "Attachments",
+        mapSendAt: "Send at",
+        mapNone: "— not used —",
+        mergeFieldsHint: "Subject and content can use any column as a merge field: {{name|there}}, {{name|title}}, {{#if company}}…{{/if}}, {{#each items}}…{{/each}}, {{date|date:DD/MM/YYYY}}, {{amount|number:2}}",
+        attachmentsTitle: "📎 Attachments (optional)",
+        attachmentsDescription: "Upload a folder or ZIP with the files named in the attachments column (several names separated by ;), and files to attach to every email",
+        addFolder: "📁 Add folder",
+        addZip: "🗜️ Add ZIP or files",
+        addShared: "📎 Attach to every email",
+        clearAttachments: "🗑️ Remove attachments",
+        mapText: "Plain-text version",
+        inlineImagesHint: "Uploaded images used in HTML content, e.g. <img src=\"logo.png\">, are embedded in the email instead of being loaded from the web",
+        useBatchApi: "Fast sending with the Gmail batch API",
+        batchApiDescription: "Sends 10 emails per request, about 120 per minute, without the delay between emails. Every email still counts against the daily quota (500 Gmail, 2000 Workspace), so a large list uses it up in minutes and bulk sending is more likely to end up in spam.",
+        mapFrom: "From",
+        fromAlias: "From",
+        defaultSender: "Default address",
+        fromAliasDescription: "Gmail send-as address; its signature is added to every email. A From column in the CSV overrides it for its rows.",
+        mapThread: "Reply in thread (thread or Message-ID)",
+        draftMode: "Create drafts for review instead of sending",
+        draftModeDescription: "Drafts are labelled in Gmail; after the review send them all or delete them all from here",
+        draftLabel: "Gmail label",
+        sendDrafts: "📤 Send Drafts",
+        deleteDrafts: "🗑️ Delete Drafts",
+        suppressionTitle: "🚫 Suppression list",
+        suppressionDescription: "Addresses that are never emailed again, from any campaign: unsubscribed, bounced, imported or added by you. Their rows are skipped.",
+        importSuppression: "📥 Import CSV",
+        suppressionPlaceholder: "Addresses separated by commas",
+        addSuppression: "➕ Add",
+        clearSuppression: "🗑️ Empty list",
+        skipRecent: "Skip anyone emailed in the last",
+        days: "days",
+        unsubscribeTitle: "Unsubscribe",
+        unsubscribeMailto: "Address, e.g. unsubscribe@example.com",
+        unsubscribeUrl: "URL, e.g. https://example.com/unsubscribe?t={{token}}",
+        unsubscribeDescription: "Sent as List-Unsubscribe headers, which Gmail and Yahoo expect from bulk senders; an https URL also enables one-click unsubscribe. {{token}} identifies the recipient (listed in the exported results), {{email}} is the address. Use {{unsubscribe_url}} in the content to show the link.",
+        bounceDescription: "Sent only means Gmail accepted the email: bounces arrive later from mailer-daemon or postmaster. Check them after a few minutes.",
+        checkBounces: "🔎 Check Bounces",
+        suppressBounces: "Add permanent bounces to the suppression list",
+        checkReplies: "💬 Check Replies",
+        followUpsActive: "Follow-ups in progress",
+        followUpsKeepOpen: "Due follow-ups are sent while the app is open in a browser tab",
+        followUpsTitle: "Follow-ups to recipients who do not reply",
+        addFollowUp: "➕ Add Follow-up",
+        followUpsDescription: "Sent as a reply in the same thread, counting the days from the previous email. Recipients who reply, bounce or unsubscribe leave the sequence. The same {{column}} placeholders work; follow-ups use the daily quota and are only sent while the app is open.",
+        followUpAfter: "If there is no reply after",
+        followUpSubject: "Subject (empty = Re: original subject)",
+        followUpBody: "Content, text or HTML",
+        csvColumnsHint: "Columns can have any name: after loading the file you match them to the email fields. Recipient, subject and content are required. Optional: cc, bcc, reply_to, from (a \"Send mail as\" address), text (plain-text version), attachments, send_at, thread_id or message_id to reply in a conversation, and header:Name columns for custom headers (e.g. header:X-Campaign). Recipient, Cc and Bcc accept several addresses separated by commas."
     },
     
     // Footer
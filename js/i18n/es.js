@@ -81,7 +81,17 @@ export default {
         cancel: "⏹️ Cancelar",
         completed: "¡Descarga Completada!",
         saveExport: "💾 Guardar Exportación",
-        newSearch: "🔍 Nueva Búsqueda"
+        newSearch: "🔍 Nueva Búsqueda",
+        rawEml: "Código fuente original de los mensajes (EML idéntico)",
+        mboxFormat: "📬 MBOX (Thunderbird, Apple Mail)",
+        mboxPerLabel: "Un archivo mbox por etiqueta",
+        jsonFormat: "🧾 JSON (Mensajes Completos)",
+        ndjsonFormat: "🧾 NDJSON (Un Mensaje por Línea)",
+        pdfInZip: "PDF en el ZIP",
+        pdfNone: "Sin PDF",
+        pdfPerMessage: "Un PDF por correo",
+        pdfPerThread: "Un PDF por conversación",
+        pdfCombined: "Un único PDF con todos los correos"
     },
     
     // Batch Sender
@@ -122,7 +132,73 @@ export default {
         stop: "⏹️ Detener",
         completed: "¡Envío Completado!",
         exportResults: "📊 Exportar Resultados",
-        newBatch: "📤 Nuevo Lote"
+        newBatch: "📤 Nuevo Lote",
+        resumeTitle: "Se encontró una campaña interrumpida",
+        resumeCampaign: "▶️ Reanudar Campaña",
+        discardCampaign: "🗑️ Descartar",
+        scheduleSending: "Programar el envío",
+        scheduleDescription: "Empezar más tarde y enviar solo dentro de una franja horaria (mantén esta pestaña abierta)",
+        scheduleStart: "Empezar a las (vacío = ahora)",
+        timeZone: "Zona horaria",
+        sendWindow: "Enviar solo en estos días y horas",
+        sendAtHint: "Columna CSV opcional send_at (p. ej. 2024-05-01 09:30 o 01/05/2024 09:30, hora del navegador) programa correos individuales",
+        nextSendIn: "⏳ Próximo correo en:",
+        dailyLimit: "Límite de envío diario",
+        dailyLimitAuto: "Detectar según la cuenta",
+        mappingDescription: "Las columnas se detectan automáticamente: revísalas y corrige las que estén mal. Tu elección se recordará para la próxima vez.",
+        mapBody: "Contenido",
+        mapCc: "Cc",
+        mapBcc: "Cco",
+        mapReplyTo: "Responder a",
+        mapAttachments: "Adjuntos",
+        mapSendAt: "Enviar a las",
+        mapNone: "— sin usar —",
+        mergeFieldsHint: "El asunto y el contenido pueden usar cualquier columna como campo combinado: {{nombre|cliente}}, {{nombre|title}}, {{#if empresa}}…{{/if}}, {{#each productos}}…{{/each}}, {{fecha|date:DD/MM/YYYY}}, {{importe|number:2}}",
+        attachmentsTitle: "📎 Adjuntos (opcional)",
+        attachmentsDescription: "Sube una carpeta o un ZIP con los archivos indicados en la columna de adjuntos (varios nombres separados por ;) y archivos para adjuntar a todos los correos",
+        addFolder: "📁 Añadir carpeta",
+        addZip: "🗜️ Añadir ZIP o archivos",
+        addShared: "📎 Adjuntar a todos los correos",
+        clearAttachments: "🗑️ Quitar adjuntos",
+        mapText: "Versión de texto sin formato",
+        inlineImagesHint: "Las imágenes subidas que se usan en el contenido HTML, p. ej. <img src=\"logo.png\">, se incrustan en el correo en lugar de cargarse desde la web",
+        useBatchApi: "Envío rápido con la API por lotes de Gmail",
+        batchApiDescription: "Envía 10 correos por solicitud, unos 120 por minuto, sin retraso entre correos. Cada correo sigue contando para la cuota diaria (500 Gmail, 2000 Workspace): una lista grande la agota en minutos y los envíos masivos acaban más fácilmente en spam.",
+        mapFrom: "Remitente",
+        fromAlias: "Remitente",
+        defaultSender: "Dirección predeterminada",
+        fromAliasDescription: "Dirección de \"Enviar como\" de Gmail; su firma se añade a cada correo. Una columna de remitente en el CSV la sustituye en sus filas.",
+        mapThread: "Responder en la conversación (hilo o Message-ID)",
+        draftMode: "Crear borradores para revisar en lugar de enviar",
+        draftModeDescription: "Los borradores reciben una etiqueta en Gmail; tras la revisión envíalos todos o elimínalos todos desde aquí",
+        draftLabel: "Etiqueta de Gmail",
+        sendDrafts: "📤 Enviar borradores",
+        deleteDrafts: "🗑️ Eliminar borradores",
+        suppressionTitle: "🚫 Lista de exclusión",
+        suppressionDescription: "Direcciones que ya no reciben correos de ninguna campaña: dadas de baja, rebotadas, importadas o añadidas por ti. Sus filas se omiten.",
+        importSuppression: "📥 Importar CSV",
+        suppressionPlaceholder: "Direcciones separadas por comas",
+        addSuppression: "➕ Añadir",
+        clearSuppression: "🗑️ Vaciar lista",
+        skipRecent: "Omitir a quien se haya escrito en los últimos",
+        days: "días",
+        unsubscribeTitle: "Baja",
+        unsubscribeMailto: "Dirección, p. ej. baja@ejemplo.es",
+        unsubscribeUrl: "URL, p. ej. https://ejemplo.es/baja?t={{token}}",
+        unsubscribeDescription: "Se envían como cabeceras List-Unsubscribe, que Gmail y Yahoo exigen a los envíos masivos; una URL https permite además la baja con un clic. {{token}} identifica al destinatario (figura en los resultados exportados), {{email}} es la dirección. Usa {{unsubscribe_url}} en el contenido para mostrar el enlace.",
+        bounceDescription: "Enviado solo significa que Gmail aceptó el correo: los rebotes llegan después desde mailer-daemon o postmaster. Compruébalos pasados unos minutos.",
+        checkBounces: "🔎 Comprobar rebotes",
+        suppressBounces: "Añadir los rebotes permanentes a la lista de exclusión",
+        checkReplies: "💬 Comprobar respuestas",
+        followUpsActive: "Seguimientos en curso",
+        followUpsKeepOpen: "Los seguimientos pendientes se envían mientras la app está abierta en una pestaña del navegador",
+        followUpsTitle: "Seguimientos a quien no responde",
+        addFollowUp: "➕ Añadir seguimiento",
+        followUpsDescription: "Se envían como respuesta en el mismo hilo, contando los días desde el correo anterior. Quien responde, rebota o se da de baja sale de la secuencia. Funcionan los mismos marcadores {{columna}}; los seguimientos usan la cuota diaria y solo se envían con la app abierta.",
+        followUpAfter: "Si no hay respuesta después de",
+        followUpSubject: "Asunto (vacío = Re: asunto original)",
+        followUpBody: "Contenido, texto o HTML",
+        csvColumnsHint: "Las columnas pueden tener cualquier nombre: tras cargar el archivo las asocias a los campos del correo. Destinatario, asunto y contenido son obligatorios. Opcionales: cc, cco, responder_a, remitente (una dirección de \"Enviar como\"), texto (versión solo texto), adjuntos, fecha_envio, thread_id o message_id para responder en una conversación y columnas header:Nombre para encabezados personalizados (p. ej. header:X-Campaign). Destinatario, Cc y Cco aceptan varias direcciones separadas por comas."
     },
     
     // Footer
@@ -81,7 +81,17 @@ export default {
         cancel: "⏹️ Annuler",
         completed: "Téléchargement Terminé!",
         saveExport: "💾 Enregistrer l'Export",
-        newSearch: "🔍 Nouvelle Recherche"
+        newSearch: "🔍 Nouvelle Recherche",
+        rawEml: "Source originale des messages (EML identique à l'octet près)",
+        mboxFormat: "📬 MBOX (Thunderbird, Apple Mail)",
+        mboxPerLabel: "Un fichier mbox par libellé",
+        jsonFormat: "🧾 JSON (Messages Complets)",
+        ndjsonFormat: "🧾 NDJSON (Un Message par Ligne)",
+        pdfInZip: "PDF dans le ZIP",
+        pdfNone: "Pas de PDF",
+        pdfPerMessage: "Un PDF par e-mail",
+        pdfPerThread: "Un PDF par conversation",
+        pdfCombined: "Un seul PDF avec tous les e-mails"
     },
     
     // Batch Sender
@@ -122,7 +132,73 @@ export default {
         stop: "⏹️ Arrêter",
         completed: "Envoi Terminé!",
         exportResults: "📊 Exporter les Résultats",
-        newBatch: "📤 Nouveau Lot"
+        newBatch: "📤 Nouveau Lot",
+        resumeTitle: "Campagne interrompue trouvée",
+        resumeCampaign: "▶️ Reprendre la Campagne",
+        discardCampaign: "🗑️ Abandonner",
+        scheduleSending: "Planifier l'envoi",
+        scheduleDescription: "Commencer plus tard et envoyer uniquement dans une plage horaire (gardez cet onglet ouvert)",
+        scheduleStart: "Commencer à (vide = maintenant)",
+        timeZone: "Fuseau horaire",
+        sendWindow: "Envoyer uniquement ces jours et heures",
+        sendAtHint: "Colonne CSV facultative send_at (ex. 2024-05-01 09:30 ou 01/05/2024 09:30, heure du navigateur) pour planifier des e-mails individuels",
+        nextSendIn: "⏳ Prochain e-mail dans :",
+        dailyLimit: "Limite d'envoi quotidienne",
+        dailyLimitAuto: "Détecter selon le compte",
+        mappingDescription: "Les colonnes sont détectées automatiquement : vérifiez-les et corrigez celles qui sont erronées. Votre choix est mémorisé pour la prochaine fois.",
+        mapBody: "Contenu",
+        mapCc: "Cc",
+        mapBcc: "Cci",
+        mapReplyTo: "Répondre à",
+        mapAttachments: "Pièces jointes",
+        mapSendAt: "Envoyer à",
+        mapNone: "— non utilisée —",
+        mergeFieldsHint: "L'objet et le contenu peuvent utiliser n'importe quelle colonne comme champ de fusion : {{nom|client}}, {{nom|title}}, {{#if societe}}…{{/if}}, {{#each produits}}…{{/each}}, {{date|date:DD/MM/YYYY}}, {{montant|number:2}}",
+        attachmentsTitle: "📎 Pièces jointes (facultatif)",
+        attachmentsDescription: "Importez un dossier ou un ZIP avec les fichiers indiqués dans la colonne pièces jointes (plusieurs noms séparés par ;) et les fichiers à joindre à tous les e-mails",
+        addFolder: "📁 Ajouter un dossier",
+        addZip: "🗜️ Ajouter un ZIP ou des fichiers",
+        addShared: "📎 Joindre à tous les e-mails",
+        clearAttachments: "🗑️ Retirer les pièces jointes",
+        mapText: "Version texte brut",
+        inlineImagesHint: "Les images importées utilisées dans le contenu HTML, par ex. <img src=\"logo.png\">, sont intégrées à l'e-mail au lieu d'être chargées depuis le web",
+        useBatchApi: "Envoi rapide avec l'API batch de Gmail",
+        batchApiDescription: "Envoie 10 e-mails par requête, environ 120 par minute, sans délai entre les e-mails. Chaque e-mail compte toujours dans le quota quotidien (500 Gmail, 2000 Workspace) : une grande liste l'épuise en quelques minutes et les envois en masse finissent plus facilement en spam.",
+        mapFrom: "Expéditeur",
+        fromAlias: "Expéditeur",
+        defaultSender: "Adresse par défaut",
+        fromAliasDescription: "Adresse « Envoyer en tant que » de Gmail ; sa signature est ajoutée à chaque e-mail. Une colonne expéditeur dans le CSV la remplace pour ses lignes.",
+        mapThread: "Répondre dans la conversation (fil ou Message-ID)",
+        draftMode: "Créer des brouillons à relire au lieu d'envoyer",
+        draftModeDescription: "Les brouillons reçoivent un libellé dans Gmail ; après la relecture, envoyez-les tous ou supprimez-les tous d'ici",
+        draftLabel: "Libellé Gmail",
+        sendDrafts: "📤 Envoyer les brouillons",
+        deleteDrafts: "🗑️ Supprimer les brouillons",
+        suppressionTitle: "🚫 Liste d'exclusion",
+        suppressionDescription: "Adresses qui ne reçoivent plus d'e-mails d'aucune campagne : désinscrites, en rebond, importées ou ajoutées par vous. Leurs lignes sont ignorées.",
+        importSuppression: "📥 Importer un CSV",
+        suppressionPlaceholder: "Adresses séparées par des virgules",
+        addSuppression: "➕ Ajouter",
+        clearSuppression: "🗑️ Vider la liste",
+        skipRecent: "Ignorer les personnes contactées au cours des",
+        days: "derniers jours",
+        unsubscribeTitle: "Désinscription",
+        unsubscribeMailto: "Adresse, ex. desinscription@exemple.fr",
+        unsubscribeUrl: "URL, ex. https://exemple.fr/desinscription?t={{token}}",
+        unsubscribeDescription: "Envoyés comme en-têtes List-Unsubscribe, attendus par Gmail et Yahoo pour les envois en masse ; une URL https permet aussi la désinscription en un clic. {{token}} identifie le destinataire (présent dans les résultats exportés), {{email}} est l'adresse. Utilisez {{unsubscribe_url}} dans le contenu pour afficher le lien.",
+        bounceDescription: "Envoyé signifie seulement que Gmail a accepté l'e-mail : les rebonds arrivent ensuite de mailer-daemon ou postmaster. Vérifiez-les après quelques minutes.",
+        checkBounces: "🔎 Vérifier les rebonds",
+        suppressBounces: "Ajouter les rebonds permanents à la liste d'exclusion",
+        checkReplies: "💬 Vérifier les réponses",
+        followUpsActive: "Relances en cours",
+        followUpsKeepOpen: "Les relances dues sont envoyées tant que l'app est ouverte dans un onglet du navigateur",
+        followUpsTitle: "Relances aux destinataires qui ne répondent pas",
+        addFollowUp: "➕ Ajouter une relance",
+        followUpsDescription: "Envoyées en réponse dans le même fil, en comptant les jours depuis l'e-mail précédent. Les destinataires qui répondent, rebondissent ou se désabonnent quittent la séquence. Les mêmes balises {{colonne}} fonctionnent ; les relances utilisent le quota quotidien et ne partent que si l'app est ouverte.",
+        followUpAfter: "Sans réponse après",
+        followUpSubject: "Objet (vide = Re: objet d'origine)",
+        followUpBody: "Contenu, texte ou HTML",
+        csvColumnsHint: "Les colonnes peuvent avoir n'importe quel nom : après le chargement du fichier, vous les associez aux champs de l'e-mail. Destinataire, objet et contenu sont obligatoires. Facultatives : cc, cci, repondre_a, expediteur (une adresse « Envoyer en tant que »), texte (version texte brut), pieces_jointes, date_envoi, thread_id ou message_id pour répondre dans une conversation, et des colonnes header:Nom pour des en-têtes personnalisés (ex. header:X-Campaign). Destinataire, Cc et Cci acceptent plusieurs adresses séparées par des virgules."
     },
     
     // Footer
@@ -81,7 +81,17 @@ export default {
         cancel: "⏹️ Annulla",
         completed: "Download Completato!",
         saveExport: "💾 Salva Export",
-        newSearch: "🔍 Nuova Ricerca"
+        newSearch: "🔍 Nuova Ricerca",
+        rawEml: "Sorgente originale dei messaggi (EML identico all'originale)",
+        mboxFormat: "📬 MBOX (Thunderbird, Apple Mail)",
+        mboxPerLabel: "Un file mbox per etichetta",
+        jsonFormat: "🧾 JSON (Messaggi Completi)",
+        ndjsonFormat: "🧾 NDJSON (Un Messaggio per Riga)",
+        pdfInZip: "PDF nello ZIP",
+        pdfNone: "Nessun PDF",
+        pdfPerMessage: "Un PDF per email",
+        pdfPerThread: "Un PDF per conversazione",
+        pdfCombined: "Un unico PDF con tutte le email"
     },
     
     // Batch Sender
@@ -122,7 +132,73 @@ export default {
         stop: "⏹️ Ferma",
         completed: "Invio Completato!",
         exportResults: "📊 Esporta Risultati",
-        newBatch: "📤 Nuovo Invio"
+        newBatch: "📤 Nuovo Invio",
+        resumeTitle: "Trovata una campagna interrotta",
+        resumeCampaign: "▶️ Riprendi Campagna",
+        discardCampaign: "🗑️ Scarta",
+        scheduleSending: "Programma l'invio",
+        scheduleDescription: "Inizia più tardi e invia solo in una fascia oraria (tieni aperta questa scheda)",
+        scheduleStart: "Inizia alle (vuoto = subito)",
+        timeZone: "Fuso orario",
+        sendWindow: "Invia solo in questi giorni e orari",
+        sendAtHint: "Colonna CSV opzionale send_at (es. 2024-05-01 09:30 o 01/05/2024 09:30, ora del browser) per programmare le singole email",
+        nextSendIn: "⏳ Prossima email tra:",
+        dailyLimit: "Limite di invio giornaliero",
+        dailyLimitAuto: "Rileva dall'account",
+        mappingDescription: "Le colonne vengono rilevate automaticamente: controllale e correggi quelle sbagliate. La scelta viene ricordata per la prossima volta.",
+        mapBody: "Contenuto",
+        mapCc: "Cc",
+        mapBcc: "Ccn",
+        mapReplyTo: "Rispondi a",
+        mapAttachments: "Allegati",
+        mapSendAt: "Invia alle",
+        mapNone: "— non usata —",
+        mergeFieldsHint: "Oggetto e contenuto possono usare qualsiasi colonna come campo unione: {{nome|cliente}}, {{nome|title}}, {{#if azienda}}…{{/if}}, {{#each prodotti}}…{{/each}}, {{data|date:DD/MM/YYYY}}, {{importo|number:2}}",
+        attachmentsTitle: "📎 Allegati (facoltativi)",
+        attachmentsDescription: "Carica una cartella o uno ZIP con i file indicati nella colonna allegati (più nomi separati da ;) e i file da allegare a tutte le email",
+        addFolder: "📁 Aggiungi cartella",
+        addZip: "🗜️ Aggiungi ZIP o file",
+        addShared: "📎 Allega a tutte le email",
+        clearAttachments: "🗑️ Rimuovi allegati",
+        mapText: "Versione solo testo",
+        inlineImagesHint: "Le immagini caricate usate nel contenuto HTML, ad es. <img src=\"logo.png\">, vengono incorporate nell'email invece di essere caricate dal web",
+        useBatchApi: "Invio rapido con la batch API di Gmail",
+        batchApiDescription: "Invia 10 email per richiesta, circa 120 al minuto, senza ritardo tra le email. Ogni email conta comunque nella quota giornaliera (500 Gmail, 2000 Workspace): una lista grande la esaurisce in pochi minuti e gli invii massivi finiscono più facilmente nello spam.",
+        mapFrom: "Mittente",
+        fromAlias: "Mittente",
+        defaultSender: "Indirizzo predefinito",
+        fromAliasDescription: "Indirizzo \"Invia messaggio come\" di Gmail; la sua firma viene aggiunta a ogni email. Una colonna mittente nel CSV lo sostituisce per le sue righe.",
+        mapThread: "Rispondi nella conversazione (thread o Message-ID)",
+        draftMode: "Crea bozze da revisionare invece di inviare",
+        draftModeDescription: "Le bozze ricevono un'etichetta in Gmail; dopo la revisione inviale tutte o eliminale tutte da qui",
+        draftLabel: "Etichetta Gmail",
+        sendDrafts: "📤 Invia bozze",
+        deleteDrafts: "🗑️ Elimina bozze",
+        suppressionTitle: "🚫 Lista di esclusione",
+        suppressionDescription: "Indirizzi che non ricevono più email, da nessuna campagna: disiscritti, in bounce, importati o aggiunti da te. Le loro righe vengono saltate.",
+        importSuppression: "📥 Importa CSV",
+        suppressionPlaceholder: "Indirizzi separati da virgole",
+        addSuppression: "➕ Aggiungi",
+        clearSuppression: "🗑️ Svuota lista",
+        skipRecent: "Salta chi è stato contattato negli ultimi",
+        days: "giorni",
+        unsubscribeTitle: "Disiscrizione",
+        unsubscribeMailto: "Indirizzo, es. disiscrizione@esempio.it",
+        unsubscribeUrl: "URL, es. https://esempio.it/disiscrizione?t={{token}}",
+        unsubscribeDescription: "Inviati come intestazioni List-Unsubscribe, richieste da Gmail e Yahoo a chi invia in massa; un URL https abilita anche la disiscrizione con un clic. {{token}} identifica il destinatario (è nei risultati esportati), {{email}} è l'indirizzo. Usa {{unsubscribe_url}} nel contenuto per mostrare il link.",
+        bounceDescription: "Inviata significa solo che Gmail ha accettato l'email: i bounce arrivano dopo da mailer-daemon o postmaster. Controllali dopo qualche minuto.",
+        checkBounces: "🔎 Controlla bounce",
+        suppressBounces: "Aggiungi i bounce permanenti alla lista di esclusione",
+        checkReplies: "💬 Controlla risposte",
+        followUpsActive: "Follow-up in corso",
+        followUpsKeepOpen: "I follow-up in scadenza vengono inviati mentre l'app è aperta in una scheda del browser",
+        followUpsTitle: "Follow-up a chi non risponde",
+        addFollowUp: "➕ Aggiungi follow-up",
+        followUpsDescription: "Inviati come risposta nello stesso thread, contando i giorni dall'email precedente. Chi risponde, va in bounce o si disiscrive esce dalla sequenza. Valgono gli stessi segnaposto {{colonna}}; i follow-up usano la quota giornaliera e partono solo mentre l'app è aperta.",
+        followUpAfter: "Se non c'è risposta dopo",
+        followUpSubject: "Oggetto (vuoto = Re: oggetto originale)",
+        followUpBody: "Contenuto, testo o HTML",
+        csvColumnsHint: "Le colonne possono avere qualsiasi nome: dopo aver caricato il file le associ ai campi dell'email. Destinatario, oggetto e contenuto sono obbligatori. Facoltative: cc, ccn, rispondi_a, mittente (un indirizzo \"Invia messaggio come\"), testo (versione solo testo), allegati, data_invio, thread_id o message_id per rispondere in una conversazione e colonne header:Nome per intestazioni personalizzate (es. header:X-Campaign). Destinatario, Cc e Ccn accettano più indirizzi separati da virgole."
     },
     
     // Footer
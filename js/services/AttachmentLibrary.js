@@ -0,0 +1,447 @@
+/**
+ * Gmail Tool v0.5 - Professional Email Automation Suite
+ * Copyright (c) 2024 42ROWS Srl. All rights reserved.
+ * Licensed under the MIT License.
+ *
+ * @author Mario Brosco <mario.brosco@42rows.com>
+ * @company 42ROWS Srl - P.IVA: 18017981004
+ *
+ * AttachmentLibrary - Files for Batch Sends
+ * Holds the files uploaded with a CSV (folder or ZIP) and the attachments shared by every email
+ */
+
+import { CONFIG } from '../config.js';
+import logger from '../core/Logger.js';
+import { generateId, base64 } from '../utils/index.js';
+
+// Names in the attachments column: "contract.pdf; invoices/123.pdf"
+// Commas are not separators: file names may contain them ("Fattura 12,2024.pdf")
+const NAME_SEPARATOR = /\s*[;\r\n]\s*/;
+
+// <img src="..."> in HTML bodies
+const IMG_SRC = /(<img\b[^>]*?\bsrc\s*=\s*)(["'])([^"']*)\2/gi;
+
+// Headers, MIME boundaries and encoding overhead of a message without attachments
+const MESSAGE_OVERHEAD_BYTES = 2048;
+
+// ZIP entries carry no type: guess it from the extension
+const MIME_TYPES = {
+    pdf: 'application/pdf',
+    doc: 'application/msword',
+    docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    xls: 'application/vnd.ms-excel',
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    ppt: 'application/vnd.ms-powerpoint',
+    pptx: 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+    odt: 'application/vnd.oasis.opendocument.text',
+    ods: 'application/vnd.oasis.opendocument.spreadsheet',
+    txt: 'text/plain',
+    csv: 'text/csv',
+    html: 'text/html',
+    htm: 'text/html',
+    ics: 'text/calendar',
+    json: 'application/json',
+    xml: 'application/xml',
+    zip: 'application/zip',
+    jpg: 'image/jpeg',
+    jpeg: 'image/jpeg',
+    png: 'image/png',
+    gif: 'image/gif',
+    webp: 'image/webp',
+    svg: 'image/svg+xml',
+    mp3: 'audio/mpeg',
+    mp4: 'video/mp4'
+};
+
+class AttachmentLibrary {
+    #files = new Map();
+    #shared = new Map();
+    #encoded = new Map();
+
+    /**
+     * Add files that rows can reference by name
+     * ZIP archives are extracted; files from a folder keep their relative path
+     * @param {FileList|Array<File>} files - Selected files
+     * @returns {Promise<number>} Number of files added
+     */
+    async addFiles(files) {
+        return this.#addTo(this.#files, files, false);
+    }
+
+    /**
+     * Add files attached to every email
+     * @param {FileList|Array<File>} files - Selected files
+     * @returns {Promise<number>} Number of files added
+     */
+    async addSharedFiles(files) {
+        return this.#addTo(this.#shared, files, true);
+    }
+
+    /**
+     * Remove a shared attachment
+     * @param {string} path - File path
+     */
+    removeSharedFile(path) {
+        this.#shared.delete(this.#normalize(path));
+        this.#encoded.delete(`shared:${this.#normalize(path)}`);
+    }
+
+    /**
+     * Get the files rows can reference
+     * @returns {Array} [{ name, path, type, size, shared }]
+     */
+    getFiles() {
+        return [...this.#files.values()].map(file => this.#describe(file));
+    }
+
+    /**
+     * Get the attachments shared by every email
+     * @returns {Array} [{ name, path, type, size, shared }]
+     */
+    getSharedFiles() {
+        return [...this.#shared.values()].map(file => this.#describe(file));
+    }
+
+    /**
+     * Check if any file is loaded
+     */
+    isEmpty() {
+        return this.#files.size === 0 && this.#shared.size === 0;
+    }
+
+    /**
+     * Split an attachments cell into file names, separated by ";" or line breaks
+     * @param {string} value - Cell value
+     * @returns {Array<string>} File names
+     */
+    parseNames(value) {
+        return String(value ?? '')
+            .split(NAME_SEPARATOR)
+            .map(name => name.trim())
+            .filter(Boolean);
+    }
+
+    /**
+     * Find the files an email carries: its own plus the shared ones
+     * Names match the file name or its path inside the folder/ZIP, ignoring case
+     * @param {string} value - Attachments cell
+     * @returns {Object} { files, missing } - missing holds names with no file
+     */
+    resolve(value) {
+        const files = [...this.#shared.values()];
+        const missing = [];
+
+        this.parseNames(value).forEach(name => {
+            const file = this.#find(name);
+
+            if (file) {
+                files.push(file);
+            } else {
+                missing.push(name);
+            }
+        });
+
+        return { files, missing };
+    }
+
+    /**
+     * Find local image references in an HTML body
+     * Remote (http:, https:), data: and cid: sources and unrendered merge fields are left out
+     * @param {string} html - HTML body
+     * @returns {Array<string>} Image sources
+     */
+    findImageReferences(html) {
+        return [...String(html ?? '').matchAll(IMG_SRC)]
+            .map(match => match[3].trim())
+            .filter(src => this.#isLocalSource(src));
+    }
+
+    /**
+     * Embed the local images of an HTML body as inline parts
+     * Each <img src="logo.png"> that names an uploaded file is rewritten to src="cid:..."
+     * @param {string} html - Rendered HTML body
+     * @returns {Promise<Object>} { html, images: [{ filename, mimeType, data, contentId }] }
+     */
+    async embedImages(html) {
+        const files = new Map();
+
+        const rewritten = String(html ?? '').replace(IMG_SRC, (match, prefix, quote, src) => {
+            const file = this.#isLocalSource(src.trim()) ? this.#findImage(src.trim()) : null;
+            if (!file) return match;
+
+            // One Content-ID per file, reused by every email of the campaign
+            file.contentId = file.contentId || `${generateId('img')}@gmail-tool`;
+            files.set(file.contentId, file);
+
+            return `${prefix}${quote}cid:${file.contentId}${quote}`;
+        });
+
+        const images = await Promise.all([...files.values()].map(async file => ({
+            filename: file.name,
+            mimeType: file.type,
+            data: await this.#encode(file, true),
+            contentId: file.contentId
+        })));
+
+        return { html: rewritten, images };
+    }
+
+    /**
+     * Estimate the size of the message Gmail receives
+     * Attachments are base64 encoded, which adds a third
+     * @param {Object} email - { subject, body, text }
+     * @param {Array} files - Resolved files
+     * @returns {number} Bytes
+     */
+    estimateMessageSize(email, files) {
+        const text = new Blob([email.subject || '', email.body || '', email.text || '']).size;
+        const attachments = files.reduce((total, file) => total + file.size, 0);
+
+        return MESSAGE_OVERHEAD_BYTES + Math.ceil((text + attachments) * 4 / 3 * 78 / 76);
+    }
+
+    /**
+     * Check every email before a batch: referenced files and images must exist and messages fit Gmail's limit
+     * @param {Array} emails - [{ to, subject, body, attachments }]
+     * @returns {Object} { missing: [{ row, to, names }], oversized: [{ row, to, size }], maxSize }
+     */
+    validate(emails) {
+        const maxSize = CONFIG.EMAIL.MAX_EMAIL_SIZE_MB * 1024 * 1024;
+        const missing = [];
+        const oversized = [];
+
+        emails.forEach((email, index) => {
+            const resolved = this.resolve(email.attachments);
+            const row = (email.index ?? index) + 1;
+
+            // Images the HTML body embeds count like attachments
+            this.findImageReferences(email.body).forEach(src => {
+                const image = this.#findImage(src);
+
+                if (!image) {
+                    resolved.missing.push(src);
+                } else if (!resolved.files.includes(image)) {
+                    resolved.files.push(image);
+                }
+            });
+
+            if (resolved.missing.length > 0) {
+                missing.push({ row, to: email.to, names: resolved.missing });
+            }
+
+            const size = this.estimateMessageSize(email, resolved.files);
+            if (size > maxSize) {
+                oversized.push({ row, to: email.to, size });
+            }
+        });
+
+        return { missing, oversized, maxSize };
+    }
+
+    /**
+     * Build the attachments of an email in the format GmailClient.sendEmail expects
+     * @param {string} value - Attachments cell
+     * @returns {Promise<Array>} [{ filename, mimeType, data }] with base64 data
+     */
+    async getMimeAttachments(value) {
+        const { files, missing } = this.resolve(value);
+
+        if (missing.length > 0) {
+            throw new Error(`Attachment not found: ${missing.join(', ')}`);
+        }
+
+        return Promise.all(files.map(async file => ({
+            filename: file.name,
+            mimeType: file.type,
+            data: await this.#encode(file)
+        })));
+    }
+
+    /**
+     * Get the records to persist with a campaign: shared files and the files and images its rows reference
+     * @param {Array} emails - Queue items
+     * @returns {Array} [{ name, path, type, size, shared, blob }]
+     */
+    getCampaignFiles(emails) {
+        const referenced = new Set();
+
+        emails.forEach(email => {
+            this.parseNames(email.attachments).forEach(name => {
+                const file = this.#find(name);
+                if (file) referenced.add(file);
+            });
+
+            this.findImageReferences(email.body || email.template?.body).forEach(src => {
+                const file = this.#findImage(src);
+                if (file && !file.shared) referenced.add(file);
+            });
+        });
+
+        return [...this.#shared.values(), ...referenced];
+    }
+
+    /**
+     * Replace the library with files stored with a campaign
+     * @param {Array} records - Records from getCampaignFiles()
+     */
+    restore(records) {
+        this.clear();
+
+        records.forEach(record => {
+            const target = record.shared ? this.#shared : this.#files;
+            target.set(this.#normalize(record.path), { ...record });
+        });
+
+        logger.info(`Attachment library restored: ${this.#files.size} files, ${this.#shared.size} shared`);
+    }
+
+    /**
+     * Remove every file
+     */
+    clear() {
+        this.#files.clear();
+        this.#shared.clear();
+        this.#encoded.clear();
+    }
+
+    // Private methods
+
+    async #addTo(target, files, shared) {
+        let added = 0;
+
+        for (const file of Array.from(files || [])) {
+            if (/\.zip$/i.test(file.name)) {
+                added += await this.#addZip(target, file, shared);
+                continue;
+            }
+
+            // Folder uploads prefix every path with the folder itself
+            const path = (file.webkitRelativePath || file.name).split('/').slice(file.webkitRelativePath ? 1 : 0).join('/');
+
+            if (this.#isHidden(path)) continue;
+
+            this.#put(target, path, file, file.type, shared);
+            added++;
+        }
+
+        logger.info(`Attachment library: ${added} ${shared ? 'shared ' : ''}files added`);
+
+        return added;
+    }
+
+    async #addZip(target, file, shared) {
+        const reader = new zip.ZipReader(new zip.BlobReader(file));
+        let added = 0;
+
+        try {
+            const entries = await reader.getEntries();
+
+            for (const entry of entries) {
+                if (entry.directory || this.#isHidden(entry.filename)) continue;
+
+                const blob = await entry.getData(new zip.BlobWriter(this.#guessType(entry.filename)));
+                this.#put(target, entry.filename, blob, blob.type, shared);
+                added++;
+            }
+        } finally {
+            await reader.close();
+        }
+
+        return added;
+    }
+
+    #put(target, path, blob, type, shared) {
+        const key = this.#normalize(path);
+
+        if (target.has(key)) {
+            logger.warn(`Attachment ${path} replaced by a newer file with the same path`);
+        }
+
+        this.#encoded.delete(`${shared ? 'shared' : 'file'}:${key}`);
+
+        target.set(key, {
+            name: path.split('/').pop(),
+            path,
+            type: type || this.#guessType(path),
+            size: blob.size,
+            shared,
+            blob
+        });
+    }
+
+    #isLocalSource(src) {
+        return Boolean(src) && !/^[a-z][a-z0-9+.-]*:|^\/\/|{{/i.test(src);
+    }
+
+    #findImage(src) {
+        let path = src.split(/[?#]/)[0];
+
+        try {
+            path = decodeURI(path);
+        } catch {
+            // Malformed escape: match the source as written
+        }
+
+        // Images can also be uploaded as shared files without going into every email
+        return this.#find(path) || this.#shared.get(this.#normalize(path)) || null;
+    }
+
+    #find(name) {
+        const key = this.#normalize(name);
+
+        if (this.#files.has(key)) {
+            return this.#files.get(key);
+        }
+
+        // Bare file name: look in every folder of the upload
+        if (!key.includes('/')) {
+            for (const file of this.#files.values()) {
+                if (file.name.toLowerCase() === key) return file;
+            }
+        }
+
+        return null;
+    }
+
+    async #encode(file, cache = file.shared) {
+        // Shared files and inline images go into every email: encode them once
+        const cacheKey = `${file.shared ? 'shared' : 'file'}:${this.#normalize(file.path)}`;
+        if (this.#encoded.has(cacheKey)) {
+            return this.#encoded.get(cacheKey);
+        }
+
+        // Lines are wrapped by the MIME builder
+        const data = base64.encodeBytes(new Uint8Array(await file.blob.arrayBuffer()));
+
+        if (cache) {
+            this.#encoded.set(cacheKey, data);
+        }
+
+        return data;
+    }
+
+    #describe(file) {
+        const { blob, ...description } = file;
+        return description;
+    }
+
+    #normalize(path) {
+        return String(path).trim().replace(/\\/g, '/').replace(/^\.?\//, '').toLowerCase();
+    }
+
+    #guessType(path) {
+        const extension = path.split('.').pop().toLowerCase();
+        return MIME_TYPES[extension] || 'application/octet-stream';
+    }
+
+    #isHidden(path) {
+        // macOS metadata and dot files from archives and folders
+        return path.split('/').some(part => part.startsWith('.') || part === '__MACOSX');
+    }
+}
+
+// Create singleton instance
+const attachmentLibrary = new AttachmentLibrary();
+
+// Export singleton
+export default attachmentLibrary;
@@ -0,0 +1,160 @@
+/**
+ * Gmail Tool v0.5 - Professional Email Automation Suite
+ * Copyright (c) 2024 42ROWS Srl. All rights reserved.
+ * Licensed under the MIT License.
+ *
+ * @author Mario Brosco <mario.brosco@42rows.com>
+ * @company 42ROWS Srl - P.IVA: 18017981004
+ *
+ * BounceScanner - Bounces of Sent Campaigns
+ * Finds the delivery failures reported by mailer-daemon and postmaster and links them to queue rows
+ */
+
+import logger from '../core/Logger.js';
+import gmailClient from '../api/GmailClient.js';
+import rateLimiter from '../api/RateLimiter.js';
+import suppressionList from './SuppressionList.js';
+import { parseDsn } from '../utils/DsnParser.js';
+import { getAddresses } from '../utils/AddressParser.js';
+
+const BOUNCE_QUERY = 'from:(mailer-daemon OR postmaster)';
+
+// Notices can be dated slightly before the sentAt recorded by the browser
+const CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+class BounceScanner {
+    /**
+     * Scan the mailbox for bounces of sent rows
+     * Bounced rows get a bounce field { status, type, diagnostic, noticeId, at (when found) }; notices already linked are skipped
+     * @param {Array} rows - Queue items
+     * @param {Object} options - { suppress: add hard-bounced addresses to the suppression list }
+     * @returns {Promise<Object>} { scanned, bounces: [{ row, to, status, type, diagnostic, noticeId, at }], unmatched, suppressed }
+     */
+    async scan(rows, options = {}) {
+        const { suppress = false } = options;
+        const sent = rows.filter(row => row.status === 'sent' && row.sentAt);
+        const result = { scanned: 0, bounces: [], unmatched: 0, suppressed: 0 };
+
+        if (sent.length === 0) {
+            return result;
+        }
+
+        const since = Math.min(...sent.map(row => Date.parse(row.sentAt))) - CLOCK_SKEW_MS;
+        const notices = await this.#listNotices(Math.floor(since / 1000));
+        const seen = new Set(rows.map(row => row.bounce?.noticeId).filter(Boolean));
+
+        logger.info(`Checking ${notices.length} delivery notices for ${sent.length} sent emails`);
+
+        for (const notice of notices.filter(notice => !seen.has(notice.id))) {
+            result.scanned++;
+
+            let report;
+            try {
+                const raw = await rateLimiter.executeGmailRequest(() => gmailClient.getRawMessage(notice.id));
+                report = parseDsn(raw);
+            } catch (error) {
+                logger.warn(`Could not read delivery notice ${notice.id}:`, error);
+                continue;
+            }
+
+            // Delay warnings and notices that are not bounces
+            if (!report) continue;
+
+            const original = await this.#findOriginal(report.originalMessageId, sent);
+
+            for (const recipient of report.recipients) {
+                const row = this.#matchRow(recipient.email, original, sent);
+
+                if (!row) {
+                    result.unmatched++;
+                    continue;
+                }
+
+                row.bounce = {
+                    status: recipient.status,
+                    type: recipient.type,
+                    diagnostic: recipient.diagnostic,
+                    noticeId: notice.id,
+                    at: new Date().toISOString()
+                };
+
+                result.bounces.push({ row: row.index + 1, to: row.to, ...row.bounce });
+            }
+        }
+
+        // Temporary failures (mailbox full, greylisting) may succeed next time
+        if (suppress) {
+            for (const bounce of result.bounces.filter(bounce => bounce.type === 'hard')) {
+                result.suppressed += await suppressionList.add(bounce.to, {
+                    reason: 'bounce',
+                    detail: [bounce.status, bounce.diagnostic].filter(Boolean).join(' ')
+                });
+            }
+        }
+
+        logger.info(`Bounce scan: ${result.bounces.length} bounces, ${result.unmatched} not from this campaign`);
+
+        return result;
+    }
+
+    // Private methods
+
+    async #listNotices(afterSeconds) {
+        const query = `${BOUNCE_QUERY} after:${afterSeconds}`;
+        const notices = [];
+        let pageToken = null;
+
+        do {
+            const page = await rateLimiter.executeGmailRequest(() => gmailClient.listMessages(query, {
+                pageToken,
+                includeSpamTrash: true
+            }));
+
+            notices.push(...page.messages);
+            pageToken = page.nextPageToken;
+        } while (pageToken);
+
+        return notices;
+    }
+
+    /**
+     * Row of the email that bounced, found through its Message-ID
+     */
+    async #findOriginal(messageId, rows) {
+        if (!messageId) return null;
+
+        try {
+            const { messages } = await rateLimiter.executeGmailRequest(() => gmailClient.listMessages(
+                `rfc822msgid:${messageId.replace(/^<|>$/g, '')}`,
+                { maxResults: 1, includeSpamTrash: true }
+            ));
+
+            return rows.find(row => row.messageId && row.messageId === messages[0]?.id) || null;
+
+        } catch (error) {
+            logger.warn(`Could not look up bounced message ${messageId}:`, error);
+            return null;
+        }
+    }
+
+    #matchRow(email, original, rows) {
+        const isRecipient = (row) => getAddresses(row.to).includes(email);
+
+        // The Message-ID names the exact email when the address was sent to more than once;
+        // a failed Cc address is not the row's recipient
+        if (original && isRecipient(original)) {
+            return original;
+        }
+
+        // Otherwise the most recent send to the address
+        return rows
+            .filter(isRecipient)
+            .sort((a, b) => b.sentAt.localeCompare(a.sentAt))[0] || null;
+    }
+}
+
+// Create singleton instance
+const bounceScanner = new BounceScanner();
+
+// Export singleton
+export default bounceScanner;
@@ -0,0 +1,176 @@
+/**
+ * Gmail Tool v0.5 - Professional Email Automation Suite
+ * Copyright (c) 2024 42ROWS Srl. All rights reserved.
+ * Licensed under the MIT License.
+ *
+ * @author Mario Brosco <mario.brosco@42rows.com>
+ * @company 42ROWS Srl - P.IVA: 18017981004
+ *
+ * CampaignPlanner - Multi-day Campaign Planning
+ * Splits a queue into daily slices that fit the account's Gmail sending quota
+ */
+
+import { CONFIG } from '../config.js';
+import stateManager from '../core/StateManager.js';
+import logger from '../core/Logger.js';
+import rateLimiter from '../api/RateLimiter.js';
+import { localStorage } from '../utils/index.js';
+import { getNextSendWindowStart } from '../utils/SendWindow.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DAILY_LIMIT_KEY = 'daily_send_limit';
+const CONSUMER_DOMAINS = ['gmail.com', 'googlemail.com'];
+
+// Time per email when no delay is used (API round trip)
+const ESTIMATED_SEND_MS = 1000;
+
+class CampaignPlanner {
+    /**
+     * Detect the account type from the signed-in address
+     * @param {string} email - Account address
+     * @returns {string} 'consumer' or 'workspace'
+     */
+    getAccountType(email = stateManager.get('auth.user')?.email) {
+        const domain = String(email || '').split('@')[1]?.toLowerCase();
+
+        // Unknown account: assume the stricter consumer limit
+        if (!domain || CONSUMER_DOMAINS.includes(domain)) {
+            return 'consumer';
+        }
+
+        return 'workspace';
+    }
+
+    /**
+     * Get the daily sending limit: user override, otherwise by account type
+     * @returns {number} Emails per 24 hours
+     */
+    getDailyLimit() {
+        const override = this.getDailyLimitOverride();
+        if (override) return override;
+
+        return this.getAccountType() === 'workspace'
+            ? CONFIG.RATE_LIMITS.QUOTA_PER_DAY_WORKSPACE
+            : CONFIG.RATE_LIMITS.QUOTA_PER_DAY;
+    }
+
+    /**
+     * Get the user's daily limit override
+     * @returns {number|null} Limit or null for auto-detect
+     */
+    getDailyLimitOverride() {
+        return localStorage.get(DAILY_LIMIT_KEY, null);
+    }
+
+    /**
+     * Override the detected daily limit
+     * @param {number|null} limit - Emails per 24 hours, null to auto-detect
+     */
+    setDailyLimitOverride(limit) {
+        if (limit) {
+            localStorage.set(DAILY_LIMIT_KEY, Number(limit), { ttl: 0 });
+        } else {
+            localStorage.remove(DAILY_LIMIT_KEY);
+        }
+
+        this.applyDailyLimit();
+    }
+
+    /**
+     * Push the current daily limit to the rate limiter
+     * @returns {number} Applied limit
+     */
+    applyDailyLimit() {
+        const limit = this.getDailyLimit();
+        rateLimiter.setDailySendLimit(limit);
+        return limit;
+    }
+
+    /**
+     * Project when each email will be sent
+     * Simulates the rolling 24h quota, the start time, the send window and the delay between emails
+     * @param {Array} emails - Queue items (only sendAt is read)
+     * @param {Object} options - startBatch options
+     * @returns {Object} { accountType, dailyLimit, availableNow, total, days, slices, finishAt }
+     */
+    plan(emails, options = {}) {
+        const {
+            startAt = null,
+            sendWindow = null,
+            delayBetweenEmails = true,
+            useBatchAPI = false,
+            minDelay = CONFIG.RATE_LIMITS.MIN_DELAY_MS,
+            maxDelay = CONFIG.RATE_LIMITS.MAX_DELAY_MS
+        } = options;
+
+        const dailyLimit = this.applyDailyLimit();
+        const quota = rateLimiter.getSendQuota();
+        const interval = useBatchAPI
+            ? CONFIG.RATE_LIMITS.BATCH_SEND_DELAY_MS / CONFIG.GMAIL_API.SEND_BATCH_SIZE
+            : delayBetweenEmails ? (minDelay + maxDelay) / 2 : ESTIMATED_SEND_MS;
+        const dayFormat = new Intl.DateTimeFormat('en-CA', {
+            timeZone: sendWindow?.timeZone,
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit'
+        });
+
+        // Previous sends in the last 24h still occupy quota
+        const history = rateLimiter.getSendLog();
+        if (quota.resetsAt && quota.remaining === 0 && quota.used < dailyLimit) {
+            // Gmail blocked sending before our own count ran out
+            history.push(...new Array(dailyLimit - quota.used).fill(quota.resetsAt - DAY_MS));
+            history.sort((a, b) => a - b);
+        }
+
+        const slices = new Map();
+        let cursor = Math.max(Date.now(), startAt ? Date.parse(startAt) : 0);
+        let first = 0;
+
+        for (const email of emails) {
+            let time = Math.max(cursor, email.sendAt ? Date.parse(email.sendAt) : 0);
+
+            // Move forward until both the window and the quota allow a send
+            for (;;) {
+                if (sendWindow) {
+                    time = getNextSendWindowStart(new Date(time), sendWindow).getTime();
+                }
+
+                while (first < history.length && history[first] <= time - DAY_MS) {
+                    first++;
+                }
+
+                if (history.length - first < dailyLimit) break;
+
+                time = history[history.length - dailyLimit] + DAY_MS;
+            }
+
+            history.push(time);
+
+            const day = dayFormat.format(new Date(time));
+            slices.set(day, (slices.get(day) || 0) + 1);
+
+            cursor = time + interval;
+        }
+
+        const finishAt = emails.length > 0 ? new Date(history[history.length - 1]).toISOString() : null;
+
+        logger.debug(`Campaign plan: ${emails.length} emails over ${slices.size} days, finish ${finishAt}`);
+
+        return {
+            accountType: this.getAccountType(),
+            dailyLimit,
+            availableNow: quota.remaining,
+            total: emails.length,
+            days: slices.size,
+            slices: [...slices].map(([date, count]) => ({ date, count })),
+            finishAt
+        };
+    }
+}
+
+// Create singleton instance
+const campaignPlanner = new CampaignPlanner();
+
+// Export singleton
+export default campaignPlanner;
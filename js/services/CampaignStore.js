@@ -0,0 +1,206 @@
+/**
+ * Gmail Tool v0.5 - Professional Email Automation Suite
+ * Copyright (c) 2024 42ROWS Srl. All rights reserved.
+ * Licensed under the MIT License.
+ *
+ * @author Mario Brosco <mario.brosco@42rows.com>
+ * @company 42ROWS Srl - P.IVA: 18017981004
+ *
+ * CampaignStore - Persistent Campaign Storage
+ * Keeps send queues and per-row status in IndexedDB so a batch survives reloads
+ */
+
+import logger from '../core/Logger.js';
+import { appDatabase } from '../utils/IndexedDBHelper.js';
+import { generateId } from '../utils/index.js';
+
+// Campaign statuses that can be resumed after a reload ('drafted' waits for its drafts to be sent or deleted)
+const RESUMABLE_STATUSES = ['ready', 'running', 'paused', 'drafted'];
+
+class CampaignStore {
+    #db = appDatabase;
+
+    /**
+     * Check if persistence is available in this browser
+     */
+    isAvailable() {
+        return this.#db.isAvailable;
+    }
+
+    /**
+     * Create a campaign with its queue rows
+     * @param {Object} campaign - Campaign metadata (name, type, ...)
+     * @param {Array} rows - Queue items
+     * @returns {Promise<Object>} Stored campaign record
+     */
+    async createCampaign(campaign, rows) {
+        const now = new Date().toISOString();
+
+        const record = {
+            type: 'direct',
+            status: 'ready',
+            options: {},
+            ...campaign,
+            id: campaign.id || generateId('campaign'),
+            name: campaign.name || 'Campaign',
+            total: rows.length,
+            createdAt: now,
+            updatedAt: now
+        };
+
+        await this.#db.put('campaigns', record);
+        await this.#db.putMany('rows', rows.map(row => this.#serializeRow(record.id, row)));
+
+        logger.info(`Campaign ${record.id} stored with ${rows.length} rows`);
+
+        return record;
+    }
+
+    /**
+     * Update campaign metadata
+     * @param {string} id - Campaign ID
+     * @param {Object} changes - Fields to update
+     * @returns {Promise<Object|null>} Updated campaign
+     */
+    async updateCampaign(id, changes) {
+        const campaign = await this.#db.get('campaigns', id);
+
+        if (!campaign) {
+            logger.warn(`Campaign ${id} not found`);
+            return null;
+        }
+
+        const updated = {
+            ...campaign,
+            ...changes,
+            updatedAt: new Date().toISOString()
+        };
+
+        await this.#db.put('campaigns', updated);
+
+        return updated;
+    }
+
+    /**
+     * Save the state of a single queue row
+     * @param {string} campaignId - Campaign ID
+     * @param {Object} row - Queue item
+     */
+    async saveRow(campaignId, row) {
+        await this.#db.put('rows', this.#serializeRow(campaignId, row));
+    }
+
+    /**
+     * Save the state of several queue rows
+     * @param {string} campaignId - Campaign ID
+     * @param {Array} rows - Queue items
+     */
+    async saveRows(campaignId, rows) {
+        await this.#db.putMany('rows', rows.map(row => this.#serializeRow(campaignId, row)));
+    }
+
+    /**
+     * Get a campaign
+     * @param {string} id - Campaign ID
+     * @returns {Promise<Object|undefined>} Campaign record
+     */
+    async getCampaign(id) {
+        return this.#db.get('campaigns', id);
+    }
+
+    /**
+     * Get all campaigns, newest first
+     * @returns {Promise<Array>} Campaign records
+     */
+    async getCampaigns() {
+        const campaigns = await this.#db.getAll('campaigns');
+        return campaigns.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    }
+
+    /**
+     * Get the queue rows of a campaign in their original order
+     * @param {string} campaignId - Campaign ID
+     * @returns {Promise<Array>} Queue items
+     */
+    async getRows(campaignId) {
+        const rows = await this.#db.getAllByIndex('rows', 'campaignId', campaignId);
+        return rows.sort((a, b) => a.index - b.index);
+    }
+
+    /**
+     * Find the most recent campaign that was interrupted with rows still pending, or with drafts under review
+     * @returns {Promise<Object|null>} Campaign with row counts, or null
+     */
+    async findInterrupted() {
+        const campaigns = await this.getCampaigns();
+
+        for (const campaign of campaigns) {
+            if (!RESUMABLE_STATUSES.includes(campaign.status)) continue;
+
+            const rows = await this.getRows(campaign.id);
+            const counts = this.#countStatuses(rows);
+
+            if (counts.pending > 0 || counts.sending > 0 || counts.drafted > 0) {
+                return { ...campaign, counts };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Store the attachment files a campaign needs, so it can be resumed after a reload
+     * @param {string} campaignId - Campaign ID
+     * @param {Array} files - [{ name, path, type, size, shared, blob }]
+     */
+    async saveAttachments(campaignId, files) {
+        await this.#db.putMany('attachments', files.map(file => ({
+            ...file,
+            id: `${campaignId}:${file.shared ? 'shared' : 'file'}:${file.path}`,
+            campaignId
+        })));
+    }
+
+    /**
+     * Get the attachment files of a campaign
+     * @param {string} campaignId - Campaign ID
+     * @returns {Promise<Array>} File records with their blobs
+     */
+    async getAttachments(campaignId) {
+        return this.#db.getAllByIndex('attachments', 'campaignId', campaignId);
+    }
+
+    /**
+     * Delete a campaign with its rows and attachments
+     * @param {string} id - Campaign ID
+     */
+    async deleteCampaign(id) {
+        await this.#db.deleteByIndex('attachments', 'campaignId', id);
+        await this.#db.deleteByIndex('rows', 'campaignId', id);
+        await this.#db.delete('campaigns', id);
+
+        logger.info(`Campaign ${id} deleted`);
+    }
+
+    // Private methods
+
+    #serializeRow(campaignId, row) {
+        return {
+            ...row,
+            campaignId
+        };
+    }
+
+    #countStatuses(rows) {
+        return rows.reduce((counts, row) => {
+            counts[row.status] = (counts[row.status] || 0) + 1;
+            return counts;
+        }, { pending: 0, sending: 0, sent: 0, failed: 0, drafted: 0 });
+    }
+}
+
+// Create singleton instance
+const campaignStore = new CampaignStore();
+
+// Export singleton
+export default campaignStore;
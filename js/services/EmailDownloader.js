@@ -20,14 +20,34 @@ import {
     sleep,
     chunkArray,
     EVENTS,
+    base64,
     formatBytes,
     sanitizeFilename,
     truncateText
 } from '../utils/index.js';
+import { formatHeader, buildMimeMessage } from '../utils/MimeBuilder.js';
+import { parseAddress } from '../utils/AddressParser.js';
+import { createMboxEntry } from '../utils/Mbox.js';
+import { isPdfExportAvailable, createEmailPdf } from '../utils/PdfExport.js';
+import { htmlToText } from '../utils/HtmlToText.js';
+import { ZipArchiveWriter } from '../utils/ZipArchiveWriter.js';
+
+// Flags and inbox tabs are not mailboxes of their own in a per-label mbox export
+const NON_MAILBOX_LABELS = /^(UNREAD|STARRED|IMPORTANT|CATEGORY_.+)$/;
+
+// NDJSON lines kept in memory before they are moved into a Blob part
+const NDJSON_PART_RECORDS = 100;
+
+// Body characters in the CSV export
+const CSV_BODY_LENGTH = 1000;
 
 class EmailDownloader {
     #emails = [];
     #attachments = [];
+    #archive = null;
+    #ndjson = null;
+    #exportFormat = 'zip';
+    #pdfMode = null;
     #processing = false;
     #paused = false;
     #cancelled = false;
@@ -43,6 +63,7 @@ class EmailDownloader {
         totalSize: 0,
         emailCount: 0,
         attachmentCount: 0,
+        rebuiltEmlCount: 0,
         duration: 0
     };
     
@@ -123,6 +144,17 @@ class EmailDownloader {
     
     /**
      * Download emails with attachments
+     * options.rawEml also fetches the original source of every message (format=raw, 5 more quota units each)
+     * so the ZIP holds byte-exact EML files; the 'mbox' export always does, and options.mboxPerLabel
+     * writes one mbox per label into a ZIP; options.pdf ('message', 'thread' or 'combined') adds PDFs to the ZIP
+     *
+     * The ZIP is written while messages are fetched: to options.fileHandle (File System Access API) when given,
+     * otherwise in volumes of CONFIG.EXPORT.MAX_ZIP_SIZE_MB passed to options.onVolume(blob, filename) as they fill up,
+     * the last one being returned like the other exports. A cancelled or failed download passes its last volume
+     * to options.onVolume as well, so the messages fetched so far are kept
+     *
+     * The NDJSON export is written the same way, one record per fetched message, to options.fileHandle or to Blob parts;
+     * the parsed messages are not kept
      */
     async download(messageIds, options = {}) {
         if (this.#processing) {
@@ -132,7 +164,12 @@ class EmailDownloader {
         const {
             includeAttachments = true,
             format = 'full',
-            exportFormat = 'zip', // 'zip', 'csv', 'both'
+            exportFormat = 'zip', // 'zip', 'csv', 'both', 'mbox', 'json', 'ndjson'
+            rawEml = false,
+            mboxPerLabel = false,
+            pdf = null,
+            fileHandle = null,
+            onVolume = null,
             chunkSize = 50
         } = options;
         
@@ -148,6 +185,21 @@ class EmailDownloader {
         this.#startTime = Date.now();
         this.#emails = [];
         this.#attachments = [];
+        this.#downloadStats.rebuiltEmlCount = 0;
+        
+        this.#exportFormat = exportFormat;
+        this.#pdfMode = exportFormat === 'zip' || exportFormat === 'both' ? pdf : null;
+        this.#archive = exportFormat === 'zip' || exportFormat === 'both'
+            ? new ZipArchiveWriter({
+                filename: `gmail_export_${new Date().toISOString().split('T')[0]}.zip`,
+                fileHandle,
+                maxVolumeBytes: CONFIG.EXPORT.MAX_ZIP_SIZE_MB * 1024 * 1024,
+                onVolume
+            })
+            : null;
+        this.#ndjson = exportFormat === 'ndjson'
+            ? { fileHandle, writable: null, parts: [], lines: [], size: 0 }
+            : null;
         
         // Initialize progress
         this.#progress = {
@@ -185,7 +237,8 @@ class EmailDownloader {
                     if (this.#cancelled) break;
                 }
                 
-                await this.#processChunk(chunk, includeAttachments, format);
+                const fetchRaw = (rawEml && ['zip', 'both'].includes(exportFormat)) || exportFormat === 'mbox';
+                await this.#processChunk(chunk, includeAttachments, format, fetchRaw);
                 
                 // Delay between chunks
                 if (chunks.indexOf(chunk) < chunks.length - 1) {
@@ -195,7 +248,7 @@ class EmailDownloader {
             
             if (!this.#cancelled) {
                 // Create export
-                const exportResult = await this.#createExport(exportFormat);
+                const exportResult = await this.#createExport(exportFormat, { mboxPerLabel, pdf });
                 
                 // Complete
                 this.#onDownloadComplete(exportResult);
@@ -210,6 +263,14 @@ class EmailDownloader {
             
         } finally {
             this.#processing = false;
+            
+            if (this.#archive) {
+                await this.#closeArchive();
+            }
+            
+            if (this.#ndjson) {
+                await this.#closeNDJSON();
+            }
         }
     }
     
@@ -322,6 +383,7 @@ class EmailDownloader {
             totalSize: 0,
             emailCount: 0,
             attachmentCount: 0,
+            rebuiltEmlCount: 0,
             duration: 0
         };
         
@@ -355,7 +417,7 @@ class EmailDownloader {
         return preview;
     }
     
-    async #processChunk(messageIds, includeAttachments, format) {
+    async #processChunk(messageIds, includeAttachments, format, rawEml) {
         logger.debug(`Processing chunk of ${messageIds.length} emails`);
         
         for (const messageId of messageIds) {
@@ -365,12 +427,25 @@ class EmailDownloader {
                     return gmailClient.getMessage(messageId, format);
                 });
                 
-                this.#emails.push(email);
+                if (rawEml) {
+                    email.raw = await this.#getRawSource(messageId);
+                }
+                
+                if (this.#ndjson) {
+                    await this.#writeRecord(email);
+                } else {
+                    this.#emails.push(this.#toExportEntry(email));
+                }
+                
                 this.#downloadStats.emailCount++;
                 this.#downloadStats.totalSize += email.sizeEstimate || 0;
                 
+                if (this.#archive) {
+                    await this.#addEmailToArchive(email);
+                }
+                
                 // Download attachments if requested
-                if (includeAttachments && email.attachments?.length > 0) {
+                if (includeAttachments && email.attachments?.length > 0 && this.#needsAttachments(email)) {
                     await this.#downloadAttachments(email);
                 }
                 
@@ -385,6 +460,75 @@ class EmailDownloader {
         }
     }
     
+    /**
+     * What is kept of a fetched message until the export is built: mbox and JSON need the whole message,
+     * the CSV, the summary and the PDFs only these fields; the full body text only when PDFs are requested
+     */
+    #toExportEntry(email) {
+        if (this.#exportFormat === 'mbox' || this.#exportFormat === 'json') {
+            return email;
+        }
+        
+        return {
+            id: email.id,
+            threadId: email.threadId,
+            internalDate: email.internalDate,
+            date: email.date,
+            from: email.from,
+            to: email.to,
+            cc: email.cc,
+            bcc: email.bcc,
+            subject: email.subject,
+            snippet: email.snippet,
+            body: {
+                text: truncateText(email.body?.text || email.body?.html || '', CSV_BODY_LENGTH)
+            },
+            pdfText: this.#pdfMode ? email.body?.text || htmlToText(email.body?.html || '') : null,
+            labelIds: email.labelIds,
+            attachments: (email.attachments || []).map(({ filename, size }) => ({ filename, size })),
+            sizeEstimate: email.sizeEstimate,
+            isUnread: email.isUnread,
+            isStarred: email.isStarred,
+            isImportant: email.isImportant,
+            isDraft: email.isDraft
+        };
+    }
+    
+    /**
+     * Original source of a message as a Blob, or null when it cannot be fetched
+     */
+    async #getRawSource(messageId) {
+        try {
+            const message = await rateLimiter.executeGmailRequest(async () => {
+                return gmailClient.getMessage(messageId, 'raw');
+            });
+            
+            return new Blob([message.raw], { type: 'message/rfc822' });
+            
+        } catch (error) {
+            // The EML rebuilt from the parsed fields is written instead
+            logger.warn(`Failed to get raw source of message ${messageId}:`, error);
+            return null;
+        }
+    }
+    
+    /**
+     * Whether the attachments of a message are fetched: the JSON exports only list them, and the raw source
+     * of the mbox export already holds them, so there they are only needed to rebuild a message whose source
+     * could not be fetched
+     */
+    #needsAttachments(email) {
+        if (this.#exportFormat === 'json' || this.#exportFormat === 'ndjson') {
+            return false;
+        }
+        
+        if (this.#exportFormat === 'mbox') {
+            return !email.raw;
+        }
+        
+        return true;
+    }
+    
     async #downloadAttachments(email) {
         for (const attachment of email.attachments) {
             try {
@@ -394,11 +538,19 @@ class EmailDownloader {
                     return gmailClient.getAttachment(email.id, attachment.attachmentId);
                 });
                 
+                // Bytes right away: the base64 string of a large file takes more than twice its size
+                const blob = new Blob([base64.decodeBytes(data.data)], { type: attachment.mimeType });
+                
+                if (this.#archive) {
+                    await this.#archive.add(`attachments/${email.id}/${sanitizeFilename(attachment.filename)}`, blob);
+                }
+                
                 this.#attachments.push({
                     emailId: email.id,
                     filename: attachment.filename,
                     mimeType: attachment.mimeType,
-                    data: data.data,
+                    // Kept only for the mbox messages rebuilt from their parts
+                    blob: this.#exportFormat === 'mbox' ? blob : null,
                     size: data.size || attachment.size
                 });
                 
@@ -414,7 +566,7 @@ class EmailDownloader {
         }
     }
     
-    async #createExport(format) {
+    async #createExport(format, options = {}) {
         logger.info(`Creating export in format: ${format}`);
         
         const exports = {};
@@ -426,7 +578,21 @@ class EmailDownloader {
         
         // Create ZIP
         if (format === 'zip' || format === 'both') {
-            exports.zip = await this.#createZIP();
+            exports.zip = await this.#createZIP(options.pdf);
+        }
+        
+        // Create MBOX
+        if (format === 'mbox') {
+            exports.mbox = await this.#createMbox(options.mboxPerLabel);
+        }
+        
+        // Create JSON or NDJSON
+        if (format === 'json') {
+            exports.json = this.#createJSON();
+        }
+        
+        if (format === 'ndjson') {
+            exports.ndjson = await this.#createNDJSON();
         }
         
         return exports;
@@ -445,7 +611,7 @@ class EmailDownloader {
             'BCC': email.bcc || '',
             'Subject': email.subject || '',
             'Snippet': email.snippet || '',
-            'Body': truncateText(email.body?.text || email.body?.html || '', 1000),
+            'Body': truncateText(email.body?.text || email.body?.html || '', CSV_BODY_LENGTH),
             'Labels': (email.labelIds || []).join(';'),
             'Attachments': (email.attachments || []).map(a => a.filename).join(';'),
             'Size': email.sizeEstimate || 0,
@@ -470,14 +636,147 @@ class EmailDownloader {
         };
     }
     
-    async #createZIP() {
-        logger.debug('Creating ZIP export');
+    /**
+     * JSON export: { schemaVersion, exportDate, query, count, messages: [records] }
+     * Built from one string per message, never as one large string
+     */
+    #createJSON() {
+        logger.debug('Creating JSON export');
         
-        // Use zip.js to create ZIP
-        const zipWriter = new zip.ZipWriter(new zip.BlobWriter());
+        const header = {
+            schemaVersion: CONFIG.EXPORT.JSON_SCHEMA_VERSION,
+            exportDate: new Date().toISOString(),
+            query: gmailClient.buildSearchQuery(this.#filters),
+            count: this.#emails.length
+        };
+        
+        const parts = [JSON.stringify(header).slice(0, -1), ',"messages":['];
+        
+        this.#emails.forEach((email, index) => {
+            parts.push((index > 0 ? ',' : '') + JSON.stringify(this.#createRecord(email)));
+        });
+        
+        parts.push(']}');
+        
+        const blob = new Blob(parts, { type: 'application/json' });
+        
+        return {
+            blob,
+            filename: `gmail_export_${new Date().toISOString().split('T')[0]}.json`,
+            size: blob.size
+        };
+    }
+    
+    /**
+     * NDJSON export: one record per line, readable line by line; the records are already written
+     */
+    async #createNDJSON() {
+        logger.debug('Finishing NDJSON export');
+        
+        const { fileHandle, writable, parts, lines, size } = this.#ndjson;
+        this.#ndjson = null;
+        
+        if (fileHandle) {
+            await (writable || await fileHandle.createWritable()).close();
+            return { blob: null, filename: fileHandle.name, size, streamed: true };
+        }
+        
+        const blob = new Blob([...parts, ...lines], { type: 'application/x-ndjson' });
+        
+        return {
+            blob,
+            filename: `gmail_export_${new Date().toISOString().split('T')[0]}.ndjson`,
+            size: blob.size
+        };
+    }
+    
+    /**
+     * Write the NDJSON record of a message as soon as it is fetched
+     */
+    async #writeRecord(email) {
+        const line = new TextEncoder().encode(JSON.stringify(this.#createRecord(email)) + '\n');
+        const ndjson = this.#ndjson;
+        
+        ndjson.size += line.length;
+        
+        if (ndjson.fileHandle) {
+            ndjson.writable ??= await ndjson.fileHandle.createWritable();
+            await ndjson.writable.write(line);
+            return;
+        }
+        
+        ndjson.lines.push(line);
+        
+        if (ndjson.lines.length >= NDJSON_PART_RECORDS) {
+            ndjson.parts.push(new Blob(ndjson.lines));
+            ndjson.lines = [];
+        }
+    }
+    
+    /**
+     * Close the NDJSON file of a download that did not finish; the records written so far stay in it
+     */
+    async #closeNDJSON() {
+        try {
+            await this.#ndjson.writable?.close();
+        } catch (error) {
+            logger.error('Failed to close NDJSON file:', error);
+        } finally {
+            this.#ndjson = null;
+        }
+    }
+    
+    /**
+     * Message record of the JSON and NDJSON exports, documented in the README
+     */
+    #createRecord(email) {
+        const toISO = (date) => date instanceof Date && !isNaN(date) ? date.toISOString() : null;
+        
+        return {
+            schemaVersion: CONFIG.EXPORT.JSON_SCHEMA_VERSION,
+            id: email.id,
+            threadId: email.threadId,
+            historyId: email.historyId || null,
+            internalDate: toISO(email.internalDate),
+            date: toISO(email.date),
+            sizeEstimate: email.sizeEstimate || 0,
+            labelIds: email.labelIds || [],
+            snippet: email.snippet || '',
+            from: email.from || '',
+            to: email.to || '',
+            cc: email.cc || '',
+            bcc: email.bcc || '',
+            subject: email.subject || '',
+            headers: email.headerList || [],
+            body: {
+                text: email.body?.text || '',
+                html: email.body?.html || ''
+            },
+            attachments: (email.attachments || []).map(attachment => ({
+                filename: attachment.filename,
+                mimeType: attachment.mimeType,
+                size: attachment.size || 0,
+                attachmentId: attachment.attachmentId
+            }))
+        };
+    }
+    
+    /**
+     * Finish the ZIP written during the download: PDFs, CSV, summary and metadata go in last
+     */
+    async #createZIP(pdf) {
+        logger.debug('Finishing ZIP export');
         
         try {
-            // Add metadata
+            if (pdf) {
+                await this.#addPdfs(pdf);
+            }
+            
+            const csvExport = await this.#createCSV();
+            await this.#archive.add('emails.csv', csvExport.blob);
+            
+            await this.#archive.add('summary.html', this.#createSummaryReport());
+            
             const metadata = {
                 exportDate: new Date().toISOString(),
                 totalEmails: this.#emails.length,
@@ -486,110 +785,250 @@ class EmailDownloader {
                 stats: this.#downloadStats
             };
             
-            await zipWriter.add(
-                'metadata.json',
-                new zip.TextReader(JSON.stringify(metadata, null, 2))
-            );
+            await this.#archive.add('metadata.json', JSON.stringify(metadata, null, 2));
+            
+            const result = await this.#archive.close();
+            this.#archive = null;
             
-            // Add emails as EML files
-            // Track filenames to detect any potential duplicates
-            const emailFilenames = new Set();
+            // The last volume is saved like the other exports
+            const last = result.volumes[result.volumes.length - 1];
             
-            for (const email of this.#emails) {
-                const emlContent = this.#createEMLContent(email);
-                // FIX: Added email.id to ensure unique filenames and prevent 'File already exists' error
-                const filename = `emails/${sanitizeFilename(email.subject || 'no-subject')}_${email.id}.eml`;
+            return {
+                ...result,
+                blob: last?.blob || null,
+                filename: last ? last.filename : result.filename
+            };
+            
+        } catch (error) {
+            logger.error('Failed to create ZIP:', error);
+            throw error;
+        }
+    }
+    
+    /**
+     * Write an email to the ZIP as soon as it is fetched; its raw source is not kept afterwards
+     */
+    async #addEmailToArchive(email) {
+        // Email ID keeps filenames unique when subjects repeat
+        const filename = `emails/${sanitizeFilename(email.subject || 'no-subject')}_${email.id}.eml`;
+        
+        if (email.raw) {
+            await this.#archive.add(filename, email.raw);
+            email.raw = null;
+        } else {
+            this.#downloadStats.rebuiltEmlCount++;
+            await this.#archive.add(filename, this.#createEMLContent(email));
+        }
+    }
+    
+    /**
+     * Close the ZIP of a download that did not finish; no export is returned, so the last volume goes to onVolume
+     */
+    async #closeArchive() {
+        try {
+            await this.#archive.close({ handOver: true });
+            logger.info('ZIP closed, the saved volumes keep the messages downloaded so far');
+        } catch (error) {
+            logger.error('Failed to close ZIP:', error);
+        } finally {
+            this.#archive = null;
+        }
+    }
+    
+    /**
+     * Render the emails as PDFs: one per message, one per thread or one for the whole export
+     */
+    async #addPdfs(mode) {
+        if (!CONFIG.FEATURES.ENABLE_EXPORT_PDF) {
+            return;
+        }
+        
+        if (!isPdfExportAvailable()) {
+            logger.warn('jsPDF not loaded, PDF export skipped');
+            return;
+        }
+        
+        const labelNames = await this.#getLabelNames();
+        const groups = new Map();
+        
+        this.#emails.forEach(email => {
+            const key = mode === 'combined' ? 'all' : mode === 'thread' ? email.threadId : email.id;
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(email);
+        });
+        
+        for (const [key, emails] of groups) {
+            // Threads read from the oldest message
+            emails.sort((a, b) => (a.internalDate || 0) - (b.internalDate || 0));
+            
+            const name = sanitizeFilename(emails[0].subject || 'no-subject');
+            const filename = mode === 'combined'
+                ? `pdf/gmail_export_${new Date().toISOString().split('T')[0]}.pdf`
+                : `pdf/${name}_${mode === 'thread' ? 'thread_' : ''}${key}.pdf`;
+            
+            try {
+                const blob = createEmailPdf(emails.map(email => ({
+                    from: email.from,
+                    to: email.to,
+                    cc: email.cc,
+                    date: email.date,
+                    subject: email.subject,
+                    labels: (email.labelIds || []).map(id => labelNames.get(id) || id),
+                    body: email.pdfText,
+                    attachments: email.attachments
+                })));
                 
-                // Safety check for duplicates (should never happen with ID included)
-                if (emailFilenames.has(filename)) {
-                    logger.error(`Duplicate email filename detected: ${filename}`);
-                    continue; // Skip this file to prevent ZIP error
-                }
-                emailFilenames.add(filename);
+                await this.#archive.add(filename, blob);
                 
-                await zipWriter.add(
-                    filename,
-                    new zip.TextReader(emlContent)
-                );
+            } catch (error) {
+                logger.error(`Failed to create PDF ${filename}:`, error);
             }
+        }
+    }
+    
+    /**
+     * mboxrd export: one file, or a ZIP with one mbox per label (a message with several labels is in each)
+     */
+    async #createMbox(perLabel) {
+        logger.debug('Creating MBOX export');
+        
+        const date = new Date().toISOString().split('T')[0];
+        const entries = [];
+        
+        this.#downloadStats.rebuiltEmlCount = this.#emails.filter(email => !email.raw).length;
+        
+        for (const email of this.#emails) {
+            entries.push({
+                email,
+                entry: createMboxEntry({
+                    sender: parseAddress(email.from)?.asciiAddress,
+                    date: email.internalDate,
+                    source: await this.#getMessageSource(email)
+                })
+            });
+        }
+        
+        if (!perLabel) {
+            const blob = new Blob(entries.map(item => item.entry), { type: 'application/mbox' });
             
-            // Add attachments
-            // FIX: Track attachment filenames to prevent duplicates
-            const attachmentFilenames = new Map();
+            return {
+                blob,
+                filename: `gmail_export_${date}.mbox`,
+                size: blob.size
+            };
+        }
+        
+        const labelNames = await this.#getLabelNames();
+        const mailboxes = new Map();
+        
+        entries.forEach(({ email, entry }) => {
+            const labels = (email.labelIds || []).filter(id => !NON_MAILBOX_LABELS.test(id));
             
-            for (const attachment of this.#attachments) {
-                const folder = `attachments/${attachment.emailId}/`;
-                let baseFilename = sanitizeFilename(attachment.filename);
-                let filename = folder + baseFilename;
-                
-                // Handle duplicate attachment names
-                let counter = 1;
-                const originalFilename = filename;
-                while (attachmentFilenames.has(filename)) {
-                    const ext = baseFilename.lastIndexOf('.') > -1 
-                        ? baseFilename.substring(baseFilename.lastIndexOf('.'))
-                        : '';
-                    const nameWithoutExt = baseFilename.substring(0, baseFilename.lastIndexOf('.') > -1 ? baseFilename.lastIndexOf('.') : baseFilename.length);
-                    baseFilename = `${nameWithoutExt}_${counter}${ext}`;
-                    filename = folder + baseFilename;
-                    counter++;
-                }
-                attachmentFilenames.set(filename, true);
-                
-                // Decode base64 data
-                const binaryString = atob(attachment.data.replace(/-/g, '+').replace(/_/g, '/'));
-                const bytes = new Uint8Array(binaryString.length);
-                for (let i = 0; i < binaryString.length; i++) {
-                    bytes[i] = binaryString.charCodeAt(i);
+            // Archived messages without user labels
+            (labels.length > 0 ? labels : ['UNLABELED']).forEach(id => {
+                const name = labelNames.get(id) || (id === 'UNLABELED' ? 'Unlabeled' : id);
+                if (!mailboxes.has(name)) mailboxes.set(name, []);
+                mailboxes.get(name).push(entry);
+            });
+        });
+        
+        const zipWriter = new zip.ZipWriter(new zip.BlobWriter());
+        const filenames = new Set();
+        
+        try {
+            for (const [name, mailbox] of mailboxes) {
+                // "Clients/Acme" and "Clients_Acme" must not overwrite each other
+                let filename = sanitizeFilename(name);
+                for (let counter = 1; filenames.has(filename); counter++) {
+                    filename = `${sanitizeFilename(name)}_${counter}`;
                 }
+                filenames.add(filename);
                 
                 await zipWriter.add(
-                    filename,
-                    new zip.BlobReader(new Blob([bytes], { type: attachment.mimeType }))
+                    `${filename}.mbox`,
+                    new zip.BlobReader(new Blob(mailbox, { type: 'application/mbox' }))
                 );
             }
             
-            // Add CSV export
-            const csvExport = await this.#createCSV();
-            await zipWriter.add(
-                'emails.csv',
-                new zip.BlobReader(csvExport.blob)
-            );
-            
-            // Add summary report
-            const summary = this.#createSummaryReport();
-            await zipWriter.add(
-                'summary.html',
-                new zip.TextReader(summary)
-            );
-            
-            // Close ZIP
             const zipBlob = await zipWriter.close();
             
             return {
                 blob: zipBlob,
-                filename: `gmail_export_${new Date().toISOString().split('T')[0]}.zip`,
+                filename: `gmail_export_${date}_mbox.zip`,
                 size: zipBlob.size
             };
             
         } catch (error) {
-            logger.error('Failed to create ZIP:', error);
+            logger.error('Failed to create MBOX export:', error);
             throw error;
         }
     }
     
+    /**
+     * Label names by ID; system labels keep their ID when the list cannot be loaded
+     */
+    async #getLabelNames() {
+        try {
+            const labels = await rateLimiter.executeGmailRequest(async () => {
+                return gmailClient.getLabels();
+            }, { quotaUnits: 1 });
+            
+            return new Map(labels.map(label => [label.id, label.name]));
+            
+        } catch (error) {
+            logger.warn('Labels not available, label IDs are used instead:', error);
+            return new Map();
+        }
+    }
+    
+    /**
+     * Message source for the mbox: the raw source, or a message rebuilt with its downloaded attachments
+     */
+    async #getMessageSource(email) {
+        if (email.raw) {
+            return new Uint8Array(await email.raw.arrayBuffer());
+        }
+        
+        const html = email.body?.html || '';
+        
+        return buildMimeMessage({
+            from: email.from,
+            to: email.to,
+            cc: email.cc,
+            subject: email.subject,
+            body: html || email.body?.text || '',
+            isHtml: Boolean(html),
+            text: email.body?.text || '',
+            attachments: await Promise.all(this.#attachments
+                .filter(attachment => attachment.emailId === email.id && attachment.blob)
+                .map(async attachment => ({
+                    filename: attachment.filename,
+                    mimeType: attachment.mimeType,
+                    data: base64.encodeBytes(new Uint8Array(await attachment.blob.arrayBuffer()))
+                }))),
+            headers: {
+                Date: email.date?.toUTCString(),
+                'Message-ID': email.headers?.['message-id']
+            }
+        });
+    }
+    
+    /**
+     * EML rebuilt from the parsed fields, for messages whose raw source could not be fetched
+     * Keeps only the main headers and one body; other headers, parts and attachments are lost
+     */
     #createEMLContent(email) {
         const nl = '\r\n';
         let eml = '';
         
         // Headers
-        eml += `Message-ID: <${email.id}@mail.gmail.com>${nl}`;
+        eml += `Message-ID: ${email.headers?.['message-id'] || `<${email.id}@mail.gmail.com>`}${nl}`;
         eml += `Date: ${email.date?.toUTCString() || new Date().toUTCString()}${nl}`;
-        eml += `From: ${email.from || 'unknown@gmail.com'}${nl}`;
-        eml += `To: ${email.to || 'unknown@gmail.com'}${nl}`;
-        if (email.cc) eml += `Cc: ${email.cc}${nl}`;
-        if (email.bcc) eml += `Bcc: ${email.bcc}${nl}`;
-        eml += `Subject: ${email.subject || '(No Subject)'}${nl}`;
+        eml += `${formatHeader('From', email.from || 'unknown@gmail.com')}${nl}`;
+        eml += `${formatHeader('To', email.to || 'unknown@gmail.com')}${nl}`;
+        if (email.cc) eml += `${formatHeader('Cc', email.cc)}${nl}`;
+        if (email.bcc) eml += `${formatHeader('Bcc', email.bcc)}${nl}`;
+        eml += `${formatHeader('Subject', email.subject || '(No Subject)')}${nl}`;
         eml += `MIME-Version: 1.0${nl}`;
         
         // Body
@@ -700,6 +1139,10 @@ class EmailDownloader {
             <td>Failed Downloads</td>
             <td>${this.#progress.failed}</td>
         </tr>
+        <tr>
+            <td>Rebuilt EML Files</td>
+            <td>${stats.rebuiltEmlCount}</td>
+        </tr>
     </table>
     
     <h2>Email Distribution</h2>
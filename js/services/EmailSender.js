@@ -17,6 +17,15 @@ import logger from '../core/Logger.js';
 import gmailClient from '../api/GmailClient.js';
 import rateLimiter from '../api/RateLimiter.js';
 import batchProcessor from '../api/BatchProcessor.js';
+import campaignStore from './CampaignStore.js';
+import campaignPlanner from './CampaignPlanner.js';
+import attachmentLibrary from './AttachmentLibrary.js';
+import suppressionList from './SuppressionList.js';
+import bounceScanner from './BounceScanner.js';
+import replyTracker from './ReplyTracker.js';
+import followUpScheduler from './FollowUpScheduler.js';
+import { normalizeSendWindow, getNextSendWindowStart, parseSendAt } from '../utils/SendWindow.js';
+import { detectColumnMapping, applyColumnMapping, getCustomHeaders } from '../utils/ColumnMapping.js';
 import {
     sleep,
     chunkArray,
@@ -25,6 +34,13 @@ import {
     base64,
     EVENTS
 } from '../utils/index.js';
+import { getTemplateReport } from '../utils/TemplateEngine.js';
+import { looksLikeHtml } from '../utils/HtmlToText.js';
+import { buildMimeMessage, formatReplySubject } from '../utils/MimeBuilder.js';
+import { appendSignature } from '../utils/Signature.js';
+import { createUnsubscribeToken, normalizeUnsubscribeSettings, buildUnsubscribeLinks } from '../utils/Unsubscribe.js';
+import { isValidAddress, getAddresses } from '../utils/AddressParser.js';
+import { MAX_SEND_ATTEMPTS, isQuotaError, isTransientError } from '../utils/SendErrors.js';
 // import { WorkerPool } from '../workers/WorkerPool.js';
 
 // Initialize worker pool for CSV processing
@@ -34,6 +50,7 @@ import {
 //     maxWorkers: 4
 // });
 
+
 class EmailSender {
     #queue = [];
     #processing = false;
@@ -43,13 +60,18 @@ class EmailSender {
         total: 0,
         sent: 0,
         failed: 0,
-        skipped: 0
+        skipped: 0,
+        drafted: 0
     };
     #failedEmails = [];
     #sentEmails = [];
     #startTime = null;
     #pauseTime = null;
     #estimatedTimeRemaining = 0;
+    #campaignId = null;
+    #pendingCampaign = null;
+    #batchOptions = {};
+    #waitingUntil = null;
     
     constructor() {
         // Initialize Gmail client when ready
@@ -57,6 +79,19 @@ class EmailSender {
             logger.info('EmailSender: Gmail client ready');
         });
         
+        // Follow-ups of the open campaign are sent by the scheduler
+        eventBus.on(EVENTS.FOLLOW_UP.ROW_UPDATED, ({ campaignId, row }) => {
+            const email = campaignId === this.#campaignId && this.#queue.find(item => item.id === row.id);
+            if (email) {
+                Object.assign(email, {
+                    followUp: row.followUp,
+                    reply: row.reply,
+                    replyCheckedAt: row.replyCheckedAt,
+                    threadId: row.threadId
+                });
+            }
+        });
+        
         // Bind methods
         this.processCSV = this.processCSV.bind(this);
         this.startBatch = this.startBatch.bind(this);
@@ -67,32 +102,55 @@ class EmailSender {
     
     /**
      * Process CSV data directly (no template needed)
-     * CSV contains: destinatario, oggetto, contenuto
+     * Each row holds recipient, subject and content, plus optional cc, bcc, reply-to, header:* columns, attachments and send time
+     * @param {Array} emailsData - Parsed CSV rows
+     * @param {Object} options - { name, mapping } - mapping is { field: header }, detected from the headers if omitted
      */
-    async processCSVDirect(emailsData) {
+    async processCSVDirect(emailsData, options = {}) {
+        const {
+            name = 'Campaign',
+            mapping = detectColumnMapping(Object.keys(emailsData[0] || {}))
+        } = options;
+        
         logger.info('Processing direct CSV data...');
         
         // Prepare queue with actual email data
-        this.#queue = emailsData.map((row, index) => ({
-            id: generateId(),
-            to: row.destinatario?.trim(),
-            subject: row.oggetto?.trim(),
-            body: row.contenuto?.trim(),
-            data: row,
-            status: 'pending',
-            attempts: 0,
-            error: null,
-            sentAt: null,
-            index
-        }));
+        this.#queue = emailsData.map((row, index) => {
+            const fields = applyColumnMapping(row, mapping);
+            
+            return {
+                id: generateId(),
+                to: fields.to,
+                subject: fields.subject,
+                body: fields.body,
+                text: fields.text,
+                from: fields.from,
+                cc: fields.cc,
+                bcc: fields.bcc,
+                replyTo: fields.replyTo,
+                headers: getCustomHeaders(row),
+                thread: fields.thread,
+                attachments: fields.attachments,
+                sendAt: parseSendAt(fields.sendAt)?.toISOString() || null,
+                data: row,
+                status: 'pending',
+                attempts: 0,
+                error: null,
+                sentAt: null,
+                index
+            };
+        });
         
         this.#progress = {
             total: this.#queue.length,
             sent: 0,
             failed: 0,
-            skipped: 0
+            skipped: 0,
+            drafted: 0
         };
         
+        this.#prepareCampaign({ name, type: 'direct', mapping });
+        
         logger.info(`Email queue prepared: ${this.#queue.length} emails`);
         
         return {
@@ -161,6 +219,13 @@ class EmailSender {
             // Prepare queue
             this.#prepareQueue(recipients, template);
             
+            const templateReport = this.getTemplateReport();
+            if (templateReport.length > 0) {
+                logger.warn(`${templateReport.length} emails have unresolved placeholders`);
+            }
+            
+            this.#prepareCampaign({ name: file.name, type: 'template' });
+            
             logger.info(`Email queue prepared: ${this.#queue.length} emails`);
             logger.info(`Stats: ${JSON.stringify(validationResult.stats)}`);
             
@@ -170,7 +235,8 @@ class EmailSender {
                     email: r.email,
                     variables: r.data
                 })),
-                stats: validationResult.stats
+                stats: validationResult.stats,
+                templateReport
             };
             
         } catch (error) {
@@ -193,6 +259,16 @@ class EmailSender {
     
     /**
      * Start batch email sending
+     * @param {Object} options - Send options
+     * @param {string|Date} [options.startAt] - Do not send before this time
+     * @param {Object} [options.sendWindow] - Allowed window { days, start, end, timeZone }
+     * @param {string} [options.from] - Send-as alias for rows without a from column value
+     * @param {boolean} [options.useBatchAPI] - Send through the Gmail batch endpoint
+     * @param {string} [options.mode] - 'send' (default) or 'draft' to create labelled drafts for review
+     * @param {string} [options.draftLabel] - Label of the drafts, e.g. "Gmail Tool/Newsletter"
+     * @param {Object} [options.unsubscribe] - { mailto, url } unsubscribe targets; url may use {{token}} and {{email}}
+     * @param {Array} [options.followUps] - [{ delayDays, subject, body }] sent in the thread to recipients who do not reply
+     * @param {number} [options.recentDays] - Skip recipients another campaign emailed in the last N days (0 = off)
      */
     async startBatch(options = {}) {
         if (this.#processing && !this.#paused) {
@@ -205,7 +281,53 @@ class EmailSender {
             return;
         }
         
+        // Resume and retry reuse the options of the original start
+        options = { ...this.#batchOptions, ...options };
+        
+        // Validate the schedule up front; stored as plain values so it survives a reload
+        if (options.startAt) {
+            const startAt = new Date(options.startAt);
+            if (isNaN(startAt.getTime())) {
+                throw new Error(`Invalid start time: ${options.startAt}`);
+            }
+            options.startAt = startAt.toISOString();
+        }
+        
+        if (options.sendWindow) {
+            options.sendWindow = normalizeSendWindow(options.sendWindow);
+        }
+        
+        options.unsubscribe = normalizeUnsubscribeSettings(options.unsubscribe);
+        options.followUps = followUpScheduler.normalizeSteps(options.followUps);
+        
+        this.#batchOptions = options;
+        
+        // Every referenced file must be loaded and every message must fit Gmail's size limit
+        const attachmentCheck = this.validateAttachments();
+        if (attachmentCheck.missing.length > 0) {
+            const [first] = attachmentCheck.missing;
+            throw new Error(`Missing attachments for ${attachmentCheck.missing.length} emails (row ${first.row}: ${first.names.join(', ')})`);
+        }
+        if (attachmentCheck.oversized.length > 0) {
+            throw new Error(`${attachmentCheck.oversized.length} emails exceed ${CONFIG.EMAIL.MAX_EMAIL_SIZE_MB} MB (first at row ${attachmentCheck.oversized[0].row})`);
+        }
+        
+        // Gmail would silently send from the primary address instead of an unknown alias
+        await this.#checkSenders();
+        
+        // Sends are spread over as many days as the account quota requires
+        campaignPlanner.applyDailyLimit();
+        
+        // Persist the queue so the campaign survives a reload; only now, so a batch that failed
+        // the checks above is never offered as interrupted
+        if (this.#pendingCampaign) {
+            await this.#createCampaign(this.#pendingCampaign);
+            await this.#persistAttachments();
+            this.#pendingCampaign = null;
+        }
+        
         const {
+            mode = 'send',
             useBatchAPI = false,
             delayBetweenEmails = true,
             minDelay = CONFIG.RATE_LIMITS.MIN_DELAY_MS,
@@ -228,6 +350,8 @@ class EmailSender {
             progress: this.#progress
         });
         
+        await this.#persistCampaign({ status: 'running', options });
+        
         // Emit start event
         eventBus.emit(EVENTS.BATCH.START, {
             total: this.#queue.length,
@@ -235,14 +359,18 @@ class EmailSender {
         });
         
         try {
-            if (useBatchAPI) {
+            if (mode === 'draft') {
+                await this.#processDrafts();
+            } else if (useBatchAPI) {
                 await this.#processBatchAPI();
             } else {
                 await this.#processSequential(minDelay, maxDelay, delayBetweenEmails);
             }
             
-            // Batch complete
-            this.#onBatchComplete();
+            // Batch complete unless it was paused or stopped midway
+            if (this.#processing && !this.#paused) {
+                await this.#onBatchComplete();
+            }
             
         } catch (error) {
             logger.error('Batch processing error:', error);
@@ -269,6 +397,8 @@ class EmailSender {
         // Update state
         stateManager.update('batch.processing', false);
         
+        this.#persistCampaign({ status: 'paused' });
+        
         // Emit event
         eventBus.emit(EVENTS.BATCH.PAUSED, {
             sent: this.#progress.sent,
@@ -324,16 +454,22 @@ class EmailSender {
         this.#processing = false;
         this.#paused = false;
         
-        // Mark remaining as cancelled
+        // Mark remaining as cancelled; unsent drafts stay in Gmail for a later decision
+        const cancelled = [];
         this.#queue.forEach(email => {
             if (email.status === 'pending') {
-                email.status = 'cancelled';
+                email.status = email.draftId ? 'drafted' : 'cancelled';
+                cancelled.push(email);
             }
         });
+        this.#progress.drafted = this.#queue.filter(email => email.status === 'drafted').length;
         
         // Update state
         stateManager.set('batch.processing', false);
         
+        this.#persistRows(cancelled);
+        this.#persistCampaign({ status: this.#progress.drafted > 0 ? 'drafted' : 'stopped' });
+        
         // Emit event
         eventBus.emit(EVENTS.BATCH.STOPPED, {
             sent: this.#progress.sent,
@@ -355,15 +491,61 @@ class EmailSender {
             ...this.#progress,
             pending,
             percentage: this.#progress.total > 0 
-                ? Math.round((this.#progress.sent + this.#progress.failed) / this.#progress.total * 100)
+                ? Math.round((this.#progress.sent + this.#progress.drafted + this.#progress.failed + this.#progress.skipped) / this.#progress.total * 100)
                 : 0,
+            mode: this.#batchOptions.mode || 'send',
             elapsedTime,
             estimatedTimeRemaining: pending * averageTime,
+            waitingUntil: this.#waitingUntil,
             isPaused: this.#paused,
             isProcessing: this.#processing
         };
     }
     
+    /**
+     * Project the daily slices and finish date of the current queue
+     * @param {Object} options - startBatch options (defaults to those of the last start)
+     */
+    getPlan(options = {}) {
+        const pending = this.#queue.filter(e => e.status === 'pending');
+        return campaignPlanner.plan(pending, { ...this.#batchOptions, ...options });
+    }
+    
+    /**
+     * Find merge fields that cannot be resolved for each queued email
+     * @returns {Array} [{ row, to, unresolved: [{ field, name, reason }] }]
+     */
+    getTemplateReport() {
+        // Placeholder links: tokens are only created when an email is built
+        const links = this.#batchOptions.unsubscribe ? { unsubscribe_url: '#' } : {};
+        
+        return getTemplateReport(
+            email => this.#getTemplates(email),
+            this.#queue.map(email => ({ ...email.data, ...links }))
+        ).map(entry => ({
+            ...entry,
+            to: this.#queue[entry.row - 1].to
+        }));
+    }
+    
+    /**
+     * Check the attachments of the emails still to send
+     * @returns {Object} { missing: [{ row, to, names }], oversized: [{ row, to, size }], maxSize }
+     */
+    validateAttachments() {
+        // Drafts already hold their files
+        return attachmentLibrary.validate(
+            this.#queue
+                .filter(email => email.status === 'pending' && !email.draftId)
+                .map(email => ({
+                    ...this.#getTemplates(email),
+                    to: email.to,
+                    attachments: email.attachments,
+                    index: email.index
+                }))
+        );
+    }
+    
     /**
      * Get failed emails
      */
@@ -390,15 +572,19 @@ class EmailSender {
         logger.info(`Retrying ${this.#failedEmails.length} failed emails`);
         
         // Reset failed emails to pending
+        const retried = [];
         this.#failedEmails.forEach(email => {
             const queueItem = this.#queue.find(e => e.id === email.id);
             if (queueItem) {
                 queueItem.status = 'pending';
                 queueItem.error = null;
                 queueItem.attempts = 0;
+                retried.push(queueItem);
             }
         });
         
+        await this.#persistRows(retried);
+        
         // Clear failed list
         this.#failedEmails = [];
         
@@ -409,6 +595,68 @@ class EmailSender {
         await this.startBatch();
     }
     
+    /**
+     * Send the drafts of the campaign through the normal rate-limited path
+     * Each draft is sent as it is in Gmail, with any edits made during review
+     * @param {Object} options - startBatch options (delay, batch API, schedule)
+     */
+    async sendDrafts(options = {}) {
+        const drafts = this.#queue.filter(email => email.status === 'drafted');
+        
+        if (drafts.length === 0) {
+            throw new Error('No drafts to send');
+        }
+        
+        drafts.forEach(email => {
+            email.status = 'pending';
+            email.attempts = 0;
+        });
+        this.#progress.drafted = 0;
+        
+        await this.#persistRows(drafts);
+        
+        logger.info(`Sending ${drafts.length} reviewed drafts`);
+        
+        await this.startBatch({ ...options, mode: 'send' });
+    }
+    
+    /**
+     * Delete the drafts of the campaign and their label
+     * @returns {Promise<number>} Drafts deleted
+     */
+    async deleteDrafts() {
+        if (this.#processing) {
+            throw new Error('Cannot delete drafts while processing');
+        }
+        
+        const drafts = this.#queue.filter(email => email.status === 'drafted');
+        
+        for (const email of drafts) {
+            await rateLimiter.executeGmailRequest(() => gmailClient.deleteDraft(email.draftId), { isWrite: true });
+            
+            email.status = 'cancelled';
+            email.draftId = null;
+            this.#progress.drafted--;
+        }
+        
+        await this.#persistRows(drafts);
+        
+        const { draftLabelId } = this.#batchOptions;
+        if (draftLabelId) {
+            try {
+                await gmailClient.deleteLabel(draftLabelId);
+            } catch (error) {
+                logger.warn('Failed to delete draft label:', error);
+            }
+        }
+        
+        await this.#persistCampaign({ status: 'abandoned' });
+        
+        logger.info(`Deleted ${drafts.length} drafts`);
+        
+        return drafts.length;
+    }
+    
     /**
      * Clear queue
      */
@@ -422,11 +670,15 @@ class EmailSender {
         this.#queue = [];
         this.#failedEmails = [];
         this.#sentEmails = [];
+        this.#campaignId = null;
+        this.#pendingCampaign = null;
+        this.#batchOptions = {};
         this.#progress = {
             total: 0,
             sent: 0,
             failed: 0,
-            skipped: 0
+            skipped: 0,
+            drafted: 0
         };
         
         logger.info(`Cleared ${cleared} emails from queue`);
@@ -437,17 +689,72 @@ class EmailSender {
         return cleared;
     }
     
+    /**
+     * Look in the mailbox for bounces of the emails sent by the current campaign
+     * A send only means Gmail accepted the email: the receiving server can still reject it afterwards
+     * @param {Object} options - { suppress: add hard-bounced addresses to the suppression list }
+     * @returns {Promise<Object>} bounceScanner.scan() result
+     */
+    async checkBounces(options = {}) {
+        const result = await bounceScanner.scan(this.#queue, options);
+        
+        if (result.bounces.length > 0) {
+            await this.#persistRows(this.#queue.filter(email => email.bounce));
+        }
+        
+        return result;
+    }
+    
+    /**
+     * Look for replies in the threads of the emails sent by the current campaign
+     * @returns {Promise<Object>} replyTracker.check() result
+     */
+    async checkReplies() {
+        const result = await replyTracker.check(this.#queue);
+        
+        await this.#persistRows(this.#queue.filter(email => email.replyCheckedAt));
+        
+        return result;
+    }
+    
     /**
      * Export queue to CSV
      */
     exportQueue(includeStatus = true) {
+        const bounces = this.#queue.some(email => email.bounce);
+        const replies = this.#queue.some(email => email.replyCheckedAt);
+        
         const data = this.#queue.map(email => {
             const row = { ...email.data };
             
             if (includeStatus) {
-                row._status = email.status;
+                row._status = email.bounce ? 'bounced' : email.status;
                 row._error = email.error || '';
                 row._sentAt = email.sentAt || '';
+                
+                if (bounces) {
+                    row._bounce = email.bounce
+                        ? [email.bounce.status, email.bounce.diagnostic].filter(Boolean).join(' ')
+                        : '';
+                }
+                
+                // The thread ID can be mapped as the thread column of a follow-up campaign
+                if (replies) {
+                    row._threadId = email.threadId || '';
+                    row._replied = email.replyCheckedAt ? (email.reply ? 'yes' : 'no') : '';
+                    row._firstReplyAt = email.reply?.at || '';
+                }
+                
+                // Position in the follow-up sequence
+                if (this.#batchOptions.followUps?.length > 0) {
+                    row._followUpsSent = email.followUp?.step || 0;
+                    row._sequence = email.followUp?.status || '';
+                }
+                
+                // Lets the unsubscribe endpoint map tokens back to recipients
+                if (this.#batchOptions.unsubscribe) {
+                    row._unsubscribeToken = email.unsubscribeToken || '';
+                }
             }
             
             return row;
@@ -456,6 +763,100 @@ class EmailSender {
         return Papa.unparse(data);
     }
     
+    /**
+     * Get the ID of the campaign backing the current queue
+     */
+    getCampaignId() {
+        return this.#campaignId;
+    }
+    
+    /**
+     * Find a campaign interrupted by a reload or crash
+     * @returns {Promise<Object|null>} Campaign with row counts, or null
+     */
+    async findInterruptedCampaign() {
+        if (!campaignStore.isAvailable()) {
+            return null;
+        }
+        
+        try {
+            return await campaignStore.findInterrupted();
+        } catch (error) {
+            logger.warn('Failed to look up interrupted campaigns:', error);
+            return null;
+        }
+    }
+    
+    /**
+     * Load a stored campaign back into the queue
+     * Rows already sent stay sent; rows caught mid-send are never resent automatically
+     */
+    async restoreCampaign(campaignId) {
+        if (this.#processing) {
+            throw new Error('Cannot restore a campaign while processing');
+        }
+        
+        const campaign = await campaignStore.getCampaign(campaignId);
+        
+        if (!campaign) {
+            throw new Error(`Campaign not found: ${campaignId}`);
+        }
+        
+        const rows = await campaignStore.getRows(campaignId);
+        
+        // The send request may have reached Gmail before the tab died
+        const interrupted = rows.filter(row => row.status === 'sending');
+        interrupted.forEach(row => {
+            row.status = 'interrupted';
+            row.error = 'Interrupted while sending: check the Sent folder before resending';
+        });
+        
+        await campaignStore.saveRows(campaignId, interrupted);
+        
+        // Files uploaded with the CSV are stored with the campaign
+        attachmentLibrary.restore(await campaignStore.getAttachments(campaignId));
+        
+        this.#queue = rows;
+        this.#campaignId = campaignId;
+        this.#pendingCampaign = null;
+        this.#batchOptions = campaign.options || {};
+        this.#sentEmails = rows.filter(row => row.status === 'sent');
+        this.#failedEmails = rows.filter(row => row.status === 'failed');
+        this.#paused = false;
+        this.#progress = {
+            total: rows.length,
+            sent: this.#sentEmails.length,
+            failed: this.#failedEmails.length,
+            skipped: rows.filter(row => row.status === 'interrupted' || row.status === 'skipped').length,
+            drafted: rows.filter(row => row.status === 'drafted').length
+        };
+        
+        stateManager.set('batch.queue', rows.map(e => ({
+            to: e.to,
+            status: e.status
+        })));
+        
+        logger.info(`Campaign ${campaignId} restored: ${this.#progress.sent}/${rows.length} already sent`);
+        
+        return {
+            campaign,
+            ...this.#progress,
+            pending: rows.filter(row => row.status === 'pending').length,
+            interrupted: interrupted.length
+        };
+    }
+    
+    /**
+     * Mark an interrupted campaign as abandoned so it is not offered again
+     */
+    async discardCampaign(campaignId) {
+        await campaignStore.updateCampaign(campaignId, { status: 'abandoned' });
+        
+        if (this.#campaignId === campaignId && !this.#processing) {
+            this.clearQueue();
+        }
+    }
+    
     // Private methods
     
     #processRecipients(data, options) {
@@ -473,7 +874,7 @@ class EmailSender {
             }
             
             // Validate email
-            if (validateEmails && !this.#isValidEmail(email)) {
+            if (validateEmails && !isValidAddress(email)) {
                 if (skipInvalid) {
                     logger.warn(`Row ${index + 1}: Invalid email "${email}", skipping`);
                     return;
@@ -517,47 +918,44 @@ class EmailSender {
             total: this.#queue.length,
             sent: 0,
             failed: 0,
-            skipped: 0
+            skipped: 0,
+            drafted: 0
         };
     }
     
     async #processSequential(minDelay, maxDelay, delayBetweenEmails) {
-        for (const email of this.#queue) {
-            // Check if paused or stopped
-            if (this.#paused || !this.#processing) {
-                logger.info('Batch paused or stopped');
+        while (this.#processing && !this.#paused) {
+            const email = this.#getNextPendingEmail();
+            
+            if (!email) {
                 break;
             }
             
-            // Skip if not pending
-            if (email.status !== 'pending') {
+            // Sleep until the start time, the row's send_at and the send window allow it
+            if (!await this.#waitForSendTime(email)) {
+                break;
+            }
+            
+            if (await this.#skipSuppressed(email)) {
                 continue;
             }
             
             try {
-                // For direct CSV, we already have subject and body
-                const subject = email.subject || replaceTemplateVariables(email.template?.subject || '', email.data);
-                const body = email.body || replaceTemplateVariables(email.template?.body || '', email.data);
-                const isHtml = email.template?.isHtml || false;
+                const send = await this.#prepareSend(email);
+                
+                // Record the attempt before the request leaves the browser
+                email.status = 'sending';
+                await this.#persistRow(email);
                 
                 // Send email with rate limiting
                 await rateLimiter.executeGmailRequest(async () => {
-                    const result = await gmailClient.sendEmail(
-                        email.to,
-                        subject,
-                        body,
-                        {
-                            isHtml,
-                            cc: email.template?.cc || '',
-                            bcc: email.template?.bcc || '',
-                            replyTo: email.template?.replyTo || ''
-                        }
-                    );
+                    const result = await send();
                     
                     // Update email status
                     email.status = 'sent';
                     email.sentAt = new Date().toISOString();
                     email.messageId = result.id;
+                    email.threadId = result.threadId;
                     
                     this.#progress.sent++;
                     this.#sentEmails.push(email);
@@ -567,10 +965,13 @@ class EmailSender {
                     // Emit progress
                     this.#emitProgress();
                     
-                }, { isWrite: true });
+                }, { isWrite: true, sendCount: 1 });
+                
+                await this.#persistRow(email);
+                await suppressionList.recordSent([email.to], this.#campaignId);
                 
                 // Delay between emails
-                if (delayBetweenEmails && this.#queue.indexOf(email) < this.#queue.length - 1) {
+                if (delayBetweenEmails && this.#getNextPendingEmail()) {
                     const delay = this.#calculateDelay(minDelay, maxDelay);
                     logger.debug(`Waiting ${delay}ms before next email`);
                     await sleep(delay);
@@ -579,134 +980,505 @@ class EmailSender {
             } catch (error) {
                 logger.error(`Failed to send email to ${email.to}:`, error);
                 
-                email.attempts++;
-                
-                if (email.attempts >= 3) {
-                    email.status = 'failed';
-                    email.error = error.message;
-                    this.#progress.failed++;
-                    this.#failedEmails.push(email);
-                } else {
-                    // Will retry in next iteration
-                    logger.debug(`Will retry email to ${email.to} (attempt ${email.attempts})`);
-                }
-                
-                // Check for quota exceeded
-                if (error.message?.includes('quota')) {
-                    logger.error('Quota exceeded, stopping batch');
+                // Out of quota: the email goes back in the queue for the next slice
+                if (isQuotaError(error)) {
+                    email.status = 'pending';
+                    await this.#persistRow(email);
                     this.#onQuotaExceeded();
-                    break;
+                    continue;
                 }
                 
+                this.#recordFailure(email, error);
+                
+                await this.#persistRow(email);
+                
                 // Emit progress
                 this.#emitProgress();
             }
         }
+        
+        if (this.#paused || !this.#processing) {
+            logger.info('Batch paused or stopped');
+        }
     }
     
+    /**
+     * Send through the Gmail batch endpoint, SEND_BATCH_SIZE messages per request
+     * Pause and stop are checked between requests and during the waits;
+     * rate-limit and server errors put the email back in the queue until it runs out of attempts
+     */
     async #processBatchAPI() {
-        // Process emails in batches using Gmail batch API
-        const pending = this.#queue.filter(e => e.status === 'pending');
-        const chunks = chunkArray(pending, CONFIG.GMAIL_API.MAX_BATCH_SIZE);
-        
-        for (const chunk of chunks) {
-            // Check if paused or stopped
-            if (this.#paused || !this.#processing) {
+        while (this.#processing && !this.#paused) {
+            const next = this.#getNextPendingEmail();
+            
+            if (!next || !await this.#waitForSendTime(next)) {
                 break;
             }
             
-            // Prepare batch
-            const emails = chunk.map(email => {
-                const subject = replaceTemplateVariables(email.template.subject, email.data);
-                const body = replaceTemplateVariables(email.template.body, email.data);
+            // Only rows that are due now and fit in today's quota go into this batch
+            const { remaining } = rateLimiter.getSendQuota();
+            
+            if (remaining === 0) {
+                continue;
+            }
+            
+            const [chunk] = chunkArray(
+                this.#getDueEmails(),
+                Math.min(CONFIG.GMAIL_API.SEND_BATCH_SIZE, remaining)
+            );
+            
+            let quotaHit = false;
+            let retries = 0;
+            
+            const fail = (email, error) => {
+                if (isQuotaError(error)) {
+                    email.status = 'pending';
+                    quotaHit = true;
+                } else if (this.#recordFailure(email, error, isTransientError(error))) {
+                    retries++;
+                }
+            };
+            
+            // Prepare batch: a row that cannot be built (e.g. an unknown thread) fails on its own.
+            // One email at a time, as building may look up the sender and the replied message in Gmail
+            const ready = [];
+            
+            for (const email of chunk) {
+                // Rows not reached stay pending for when the batch resumes
+                if (!this.#processing || this.#paused) {
+                    break;
+                }
                 
-                return {
-                    to: email.to,
-                    subject,
-                    body,
-                    isHtml: email.template.isHtml || false,
-                    encodedMessage: this.#encodeEmail({
-                        to: email.to,
-                        subject,
-                        body,
-                        isHtml: email.template.isHtml || false
-                    })
-                };
-            });
+                if (await this.#skipSuppressed(email)) {
+                    continue;
+                }
+                
+                try {
+                    // Reviewed drafts are sent as they are in Gmail
+                    if (email.draftId) {
+                        ready.push({ email, draftId: email.draftId });
+                        continue;
+                    }
+                    
+                    const built = await this.#buildEmail(email);
+                    
+                    // Same check as a single send, which the batch request does not go through
+                    gmailClient.validateRecipients({ to: email.to, cc: built.cc, bcc: built.bcc, replyTo: built.replyTo });
+                    
+                    ready.push({
+                        email,
+                        encodedMessage: this.#encodeEmail({ to: email.to, ...built }),
+                        threadId: built.threadId
+                    });
+                } catch (error) {
+                    logger.warn(`Could not prepare email to ${email.to}:`, error);
+                    fail(email, error);
+                }
+            }
+            
+            // Paused or stopped while preparing: nothing leaves, the prepared rows are still pending
+            if (ready.length > 0 && this.#processing && !this.#paused) {
+                try {
+                    // Record the attempt before the requests leave the browser
+                    ready.forEach(({ email }) => {
+                        email.status = 'sending';
+                    });
+                    await this.#persistRows(chunk);
+                    
+                    const results = await batchProcessor.batchSendEmails(ready);
+                    
+                    results.forEach((result, index) => {
+                        const { email } = ready[index];
+                        
+                        if (result.success) {
+                            email.status = 'sent';
+                            email.sentAt = new Date().toISOString();
+                            email.messageId = result.data?.id;
+                            email.threadId = result.data?.threadId;
+                            this.#progress.sent++;
+                            this.#sentEmails.push(email);
+                        } else {
+                            logger.warn(`Batch send to ${email.to} failed:`, result.error);
+                            fail(email, result.error);
+                        }
+                    });
+                    
+                    rateLimiter.recordSends(ready.filter(({ email }) => email.status === 'sent').length);
+                    
+                } catch (error) {
+                    logger.error('Batch send failed:', error);
+                    ready.forEach(({ email }) => fail(email, error));
+                }
+            }
+            
+            await this.#persistRows(chunk);
+            await suppressionList.recordSent(
+                chunk.filter(email => email.status === 'sent').map(email => email.to),
+                this.#campaignId
+            );
+            this.#emitProgress();
+            
+            // Out of quota: the rows go back in the queue for the next slice
+            if (quotaHit) {
+                this.#onQuotaExceeded();
+                continue;
+            }
+            
+            // Back off longer after rate-limit or server errors
+            if (this.#getNextPendingEmail()) {
+                const attempts = retries > 0 ? Math.max(...chunk.map(email => email.attempts)) : 0;
+                await this.#sleepWhileRunning(CONFIG.RATE_LIMITS.BATCH_SEND_DELAY_MS * 2 ** attempts);
+            }
+        }
+        
+        if (this.#paused || !this.#processing) {
+            logger.info('Batch paused or stopped');
+        }
+    }
+    
+    /**
+     * Create a labelled Gmail draft for every pending row, without schedule or quota waits
+     */
+    async #processDrafts() {
+        const labelName = this.#batchOptions.draftLabel ||
+            `${CONFIG.EMAIL.DRAFT_LABEL_PREFIX}/${new Date().toISOString().slice(0, 16).replace('T', ' ')}`;
+        const label = await gmailClient.getOrCreateLabel(labelName);
+        
+        this.#batchOptions = { ...this.#batchOptions, draftLabel: label.name, draftLabelId: label.id };
+        await this.#persistCampaign({ options: this.#batchOptions });
+        
+        while (this.#processing && !this.#paused) {
+            const email = this.#queue.find(item => item.status === 'pending');
+            
+            if (!email) {
+                break;
+            }
             
             try {
-                // Send batch
-                const results = await batchProcessor.batchSendEmails(emails);
+                const { subject, body, ...options } = await this.#buildEmail(email);
                 
-                // Process results
-                results.forEach((result, index) => {
-                    const email = chunk[index];
-                    
-                    if (result.success) {
-                        email.status = 'sent';
-                        email.sentAt = new Date().toISOString();
-                        email.messageId = result.data?.id;
-                        this.#progress.sent++;
-                        this.#sentEmails.push(email);
-                    } else {
-                        email.status = 'failed';
-                        email.error = result.error?.message || 'Unknown error';
-                        this.#progress.failed++;
-                        this.#failedEmails.push(email);
-                    }
-                });
+                email.status = 'sending';
+                await this.#persistRow(email);
                 
-                // Emit progress
-                this.#emitProgress();
+                const draft = await rateLimiter.executeGmailRequest(
+                    () => gmailClient.createDraft(email.to, subject, body, {
+                        ...options,
+                        signature: false, // Already in the body
+                        labelIds: [label.id]
+                    }),
+                    { isWrite: true }
+                );
                 
-                // Delay between batches
-                if (chunks.indexOf(chunk) < chunks.length - 1) {
-                    await sleep(CONFIG.RATE_LIMITS.BATCH_DELAY_MS);
-                }
+                email.status = 'drafted';
+                email.draftId = draft.id;
+                email.error = null;
+                this.#progress.drafted++;
                 
-            } catch (error) {
-                logger.error('Batch send failed:', error);
+                logger.info(`Draft created for ${email.to} (${this.#progress.drafted}/${this.#progress.total})`);
                 
-                // Mark all as failed
-                chunk.forEach(email => {
-                    email.status = 'failed';
-                    email.error = error.message;
-                    this.#progress.failed++;
-                    this.#failedEmails.push(email);
-                });
+            } catch (error) {
+                logger.error(`Failed to create draft for ${email.to}:`, error);
+                this.#recordFailure(email, error, isTransientError(error));
+            }
+            
+            await this.#persistRow(email);
+            this.#emitProgress();
+        }
+        
+        if (this.#paused || !this.#processing) {
+            logger.info('Draft creation paused or stopped');
+        }
+    }
+    
+    /**
+     * Skip a row whose recipients were suppressed (bounce, unsubscribe) or emailed by another campaign
+     * since the CSV was checked: a campaign may wait for days, or be resumed later
+     * @returns {Promise<boolean>} True when the row was skipped
+     */
+    async #skipSuppressed(email) {
+        const { recentDays = 0 } = this.#batchOptions;
+        
+        const match = getAddresses(email.to)
+            .map(address => {
+                const result = suppressionList.check(address, { recentDays });
                 
-                // Check for quota exceeded
-                if (error.message?.includes('quota')) {
-                    this.#onQuotaExceeded();
-                    break;
+                // Earlier rows of this campaign do not make an address recently emailed
+                if (result?.reason === 'recent' && this.#campaignId && result.detail === this.#campaignId) {
+                    return null;
                 }
+                
+                return result && { address, ...result };
+            })
+            .find(Boolean);
+        
+        if (!match) {
+            return false;
+        }
+        
+        email.status = 'skipped';
+        email.error = `Skipped: ${match.address} (${match.reason})`;
+        this.#progress.skipped++;
+        
+        logger.info(`Email to ${email.to} skipped: ${match.address} (${match.reason})`);
+        
+        await this.#persistRow(email);
+        this.#emitProgress();
+        
+        return true;
+    }
+    
+    /**
+     * Pick the next row to send: the first due pending row in queue order,
+     * otherwise the pending row with the earliest send_at
+     */
+    #getNextPendingEmail() {
+        const now = Date.now();
+        let next = null;
+        
+        for (const email of this.#queue) {
+            if (email.status !== 'pending') continue;
+            
+            const dueAt = email.sendAt ? Date.parse(email.sendAt) : 0;
+            if (dueAt <= now) return email;
+            
+            if (!next || dueAt < Date.parse(next.sendAt)) {
+                next = email;
             }
         }
+        
+        return next;
     }
     
-
+    #getDueEmails() {
+        const now = Date.now();
+        return this.#queue.filter(email => email.status === 'pending' &&
+            (!email.sendAt || Date.parse(email.sendAt) <= now));
+    }
     
-    #encodeEmail(email) {
-        const message = this.#createMimeMessage(email);
-        return base64.encode(message);
+    /**
+     * Earliest time an email may be sent given start time, send_at, daily quota and send window
+     * @returns {Object} { time, reason }
+     */
+    #getSendTime(email) {
+        const { startAt, sendWindow } = this.#batchOptions;
+        const { resetsAt } = rateLimiter.getSendQuota();
+        
+        const constraints = [
+            ['start', startAt ? Date.parse(startAt) : 0],
+            ['send_at', email.sendAt ? Date.parse(email.sendAt) : 0],
+            ['quota', resetsAt || 0]
+        ];
+        
+        let time = Date.now();
+        let reason = null;
+        
+        constraints.forEach(([name, value]) => {
+            if (value > time) {
+                time = value;
+                reason = name;
+            }
+        });
+        
+        if (sendWindow) {
+            const windowTime = getNextSendWindowStart(new Date(time), sendWindow).getTime();
+            if (windowTime > time) {
+                time = windowTime;
+                reason = 'window';
+            }
+        }
+        
+        return { time, reason };
     }
     
-    #createMimeMessage(email) {
-        const nl = '\r\n';
-        let message = '';
+    /**
+     * Sleep until an email may be sent
+     * @returns {Promise<boolean>} False if the batch was paused or stopped while waiting
+     */
+    async #waitForSendTime(email) {
+        const { time: sendTime, reason } = this.#getSendTime(email);
+        
+        if (sendTime <= Date.now()) {
+            return true;
+        }
+        
+        this.#waitingUntil = new Date(sendTime).toISOString();
         
-        message += `To: ${email.to}${nl}`;
-        message += `Subject: =?UTF-8?B?${btoa(unescape(encodeURIComponent(email.subject)))}?=${nl}`;
-        message += `MIME-Version: 1.0${nl}`;
-        message += `Content-Type: ${email.isHtml ? 'text/html' : 'text/plain'}; charset=UTF-8${nl}`;
-        message += `Content-Transfer-Encoding: base64${nl}${nl}`;
-        message += btoa(unescape(encodeURIComponent(email.body)));
+        logger.info(`Next email to ${email.to} scheduled for ${this.#waitingUntil}`);
         
-        return message;
+        eventBus.emit(EVENTS.BATCH.WAITING, {
+            until: this.#waitingUntil,
+            to: email.to,
+            reason
+        });
+        
+        await this.#sleepWhileRunning(sendTime - Date.now());
+        
+        this.#waitingUntil = null;
+        eventBus.emit(EVENTS.BATCH.WAITING, { until: null });
+        
+        return this.#processing && !this.#paused;
     }
     
-    #isValidEmail(email) {
-        return CONFIG.VALIDATION.EMAIL_REGEX.test(email);
+    /**
+     * Sleep in short slices so pause/stop stay responsive during long waits
+     */
+    async #sleepWhileRunning(ms) {
+        const until = Date.now() + ms;
+        
+        while (Date.now() < until && this.#processing && !this.#paused) {
+            await sleep(Math.min(1000, until - Date.now()));
+        }
+    }
+    
+    /**
+     * Count a failed attempt: the email goes back in the queue until it runs out of attempts
+     * @returns {boolean} True if it will be retried
+     */
+    #recordFailure(email, error, retryable = true) {
+        email.attempts++;
+        
+        if (retryable && email.attempts < MAX_SEND_ATTEMPTS) {
+            email.status = 'pending';
+            logger.debug(`Will retry email to ${email.to} (attempt ${email.attempts})`);
+            return true;
+        }
+        
+        email.status = 'failed';
+        email.error = error?.message || 'Unknown error';
+        this.#progress.failed++;
+        this.#failedEmails.push(email);
+        return false;
+    }
+    
+    /**
+     * Subject, body and plain-text templates of a queue item
+     * Direct CSV rows carry their own, which may use merge fields of the same row
+     */
+    #getTemplates(email) {
+        return {
+            subject: email.subject || email.template?.subject || '',
+            body: email.body || email.template?.body || '',
+            text: email.text || email.template?.text || ''
+        };
+    }
+    
+    #renderEmail(email) {
+        const { subject, body, text } = this.#getTemplates(email);
+        const unsubscribe = this.#getUnsubscribeLinks(email);
+        
+        // {{unsubscribe_url}} is the link of this recipient, the mailto one when the campaign has no URL
+        const data = unsubscribe
+            ? { ...email.data, unsubscribe_url: unsubscribe.url || unsubscribe.mailto }
+            : email.data;
+        
+        return {
+            subject: replaceTemplateVariables(subject, data),
+            body: replaceTemplateVariables(body, data),
+            text: text ? replaceTemplateVariables(text, data) : '',
+            // Templates say whether they are HTML; direct CSV content is checked for tags
+            isHtml: email.template ? Boolean(email.template.isHtml) : looksLikeHtml(body),
+            unsubscribe
+        };
+    }
+    
+    /**
+     * Unsubscribe links of a queue item, or null when the campaign has none
+     * The token is created once and saved with the row, so a retry or resume keeps the same links
+     */
+    #getUnsubscribeLinks(email) {
+        const settings = this.#batchOptions.unsubscribe;
+        if (!settings) return null;
+        
+        email.unsubscribeToken = email.unsubscribeToken || createUnsubscribeToken();
+        
+        return buildUnsubscribeLinks(settings, { email: email.to, token: email.unsubscribeToken });
+    }
+    
+    /**
+     * Render an email and load its files: attachments, and images embedded in HTML bodies
+     * The result holds the buildMimeMessage options of both send paths (without the recipient)
+     */
+    async #buildEmail(email) {
+        const rendered = this.#renderEmail(email);
+        const attachments = await attachmentLibrary.getMimeAttachments(email.attachments);
+        const { html, images } = rendered.isHtml
+            ? await attachmentLibrary.embedImages(rendered.body)
+            : { html: rendered.body, images: [] };
+        const sender = await gmailClient.resolveSender(this.#getFrom(email));
+        
+        // Follow-ups answer the thread's message so they land in the same conversation
+        const reply = email.thread ? await gmailClient.getReplyReference(email.thread) : null;
+        
+        return {
+            ...rendered,
+            ...appendSignature({ body: html, text: rendered.text, isHtml: rendered.isHtml }, sender.signature),
+            ...(reply && {
+                subject: formatReplySubject(rendered.subject || reply.subject),
+                threadId: reply.threadId
+            }),
+            headers: {
+                ...email.headers,
+                ...(reply && { 'In-Reply-To': reply.messageId, References: reply.references })
+            },
+            from: sender.from,
+            cc: email.cc || email.template?.cc || '',
+            bcc: email.bcc || email.template?.bcc || '',
+            replyTo: email.replyTo || email.template?.replyTo || sender.replyTo,
+            attachments,
+            inlineImages: images
+        };
+    }
+    
+    /**
+     * Prepare the send request of a queue item
+     * @returns {Promise<Function>} Sends the email and resolves to the Gmail message
+     */
+    async #prepareSend(email) {
+        // Reviewed drafts are sent as they are in Gmail
+        if (email.draftId) {
+            return () => gmailClient.sendDraft(email.draftId);
+        }
+        
+        const { subject, body, ...sendOptions } = await this.#buildEmail(email);
+        sendOptions.signature = false; // Already in the body
+        
+        return () => gmailClient.sendEmail(email.to, subject, body, sendOptions);
+    }
+    
+    /**
+     * From address of a queue item: its own column value, otherwise the campaign alias
+     */
+    #getFrom(email) {
+        return email.from || this.#batchOptions.from || '';
+    }
+    
+    /**
+     * Check that every From address still to be used is a send-as alias of the account
+     */
+    async #checkSenders() {
+        const addresses = new Map();
+        
+        this.#queue
+            .filter(email => email.status === 'pending' && !email.draftId)
+            .forEach(email => {
+                const from = this.#getFrom(email);
+                if (from && !addresses.has(from)) {
+                    addresses.set(from, email.index + 1);
+                }
+            });
+        
+        for (const [address, row] of addresses) {
+            try {
+                await gmailClient.resolveSender(address);
+            } catch (error) {
+                throw new Error(`Invalid From address at row ${row}: ${error.message}`);
+            }
+        }
+    }
+    
+    #encodeEmail(email) {
+        const message = buildMimeMessage(email);
+        return base64.encode(message);
     }
     
     // Metodi temporanei per parsing senza worker
@@ -738,7 +1510,7 @@ class EmailSender {
                 return;
             }
             
-            if (!this.#isValidEmail(email)) {
+            if (!isValidAddress(email)) {
                 invalid.push({ row, reason: 'Invalid format', index });
                 return;
             }
@@ -765,6 +1537,70 @@ class EmailSender {
         };
     }
     
+    /**
+     * Start a new campaign for the queue just prepared; it is stored by startBatch
+     */
+    #prepareCampaign(meta) {
+        this.#campaignId = null;
+        this.#batchOptions = {};
+        this.#pendingCampaign = meta;
+    }
+    
+    async #createCampaign(meta) {
+        if (!campaignStore.isAvailable()) {
+            logger.warn('IndexedDB not available: campaign will not survive a reload');
+            return;
+        }
+        
+        try {
+            const campaign = await campaignStore.createCampaign(meta, this.#queue);
+            this.#campaignId = campaign.id;
+        } catch (error) {
+            logger.warn('Failed to persist campaign, continuing in memory only:', error);
+        }
+    }
+    
+    async #persistAttachments() {
+        const files = attachmentLibrary.getCampaignFiles(this.#queue);
+        if (!this.#campaignId || files.length === 0) return;
+        
+        try {
+            await campaignStore.saveAttachments(this.#campaignId, files);
+        } catch (error) {
+            logger.warn('Failed to persist attachments, a resumed campaign will need them again:', error);
+        }
+    }
+    
+    async #persistCampaign(changes) {
+        if (!this.#campaignId) return;
+        
+        try {
+            await campaignStore.updateCampaign(this.#campaignId, changes);
+        } catch (error) {
+            logger.warn('Failed to persist campaign status:', error);
+        }
+    }
+    
+    async #persistRow(email) {
+        if (!this.#campaignId) return;
+        
+        try {
+            await campaignStore.saveRow(this.#campaignId, email);
+        } catch (error) {
+            logger.warn(`Failed to persist status for ${email.to}:`, error);
+        }
+    }
+    
+    async #persistRows(emails) {
+        if (!this.#campaignId || emails.length === 0) return;
+        
+        try {
+            await campaignStore.saveRows(this.#campaignId, emails);
+        } catch (error) {
+            logger.warn('Failed to persist queue status:', error);
+        }
+    }
+    
     #calculateDelay(min, max) {
         // Random delay between min and max
         return Math.floor(Math.random() * (max - min) + min);
@@ -778,14 +1614,15 @@ class EmailSender {
             total: progress.total,
             sent: progress.sent,
             failed: progress.failed,
-            skipped: progress.skipped
+            skipped: progress.skipped,
+            drafted: progress.drafted
         });
         
         // Emit event
         eventBus.emit(EVENTS.BATCH.PROGRESS, progress);
     }
     
-    #onBatchComplete() {
+    async #onBatchComplete() {
         const duration = Date.now() - this.#startTime;
         
         logger.info(`Batch complete: ${this.#progress.sent} sent, ${this.#progress.failed} failed in ${duration}ms`);
@@ -793,9 +1630,19 @@ class EmailSender {
         // Update state
         stateManager.set('batch.processing', false);
         
+        // Drafts wait for review: the campaign stays open until they are sent or deleted
+        const drafted = this.#batchOptions.mode === 'draft';
+        
+        await this.#persistCampaign({
+            status: drafted ? 'drafted' : 'complete',
+            completedAt: new Date().toISOString()
+        });
+        
         // Emit event
         eventBus.emit(EVENTS.BATCH.COMPLETE, {
             ...this.#progress,
+            mode: drafted ? 'draft' : 'send',
+            draftLabel: drafted ? this.#batchOptions.draftLabel : null,
             duration,
             sentEmails: this.#sentEmails.length,
             failedEmails: this.#failedEmails.length
@@ -813,21 +1660,20 @@ class EmailSender {
     }
     
     #onQuotaExceeded() {
-        logger.error('Gmail quota exceeded');
+        // Gmail refused although our own count had room: retry later
+        if (rateLimiter.getSendQuota().remaining > 0) {
+            rateLimiter.blockSending(Date.now() + CONFIG.RATE_LIMITS.QUOTA_RETRY_MS);
+        }
         
-        this.pause();
+        const { resetsAt } = rateLimiter.getSendQuota();
         
-        // Emit event
+        logger.warn(`Gmail quota exceeded, resuming at ${new Date(resetsAt).toISOString()}`);
+        
+        // The loop waits for the quota to reset instead of pausing
         eventBus.emit(EVENTS.BATCH.QUOTA_EXCEEDED, {
             sent: this.#progress.sent,
-            remaining: this.#queue.filter(e => e.status === 'pending').length
-        });
-        
-        // Show error to user
-        eventBus.emit(EVENTS.UI.TOAST, {
-            type: 'error',
-            message: CONFIG.ERRORS.QUOTA_EXCEEDED,
-            duration: 10000
+            remaining: this.#queue.filter(e => e.status === 'pending').length,
+            resumeAt: new Date(resetsAt).toISOString()
         });
     }
     
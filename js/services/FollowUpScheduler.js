@@ -0,0 +1,423 @@
+/**
+ * Gmail Tool v0.5 - Professional Email Automation Suite
+ * Copyright (c) 2024 42ROWS Srl. All rights reserved.
+ * Licensed under the MIT License.
+ *
+ * @author Mario Brosco <mario.brosco@42rows.com>
+ * @company 42ROWS Srl - P.IVA: 18017981004
+ *
+ * FollowUpScheduler - Follow-up Sequences
+ * Sends the follow-up steps of a campaign in the thread of every sent email whose recipient has not replied
+ */
+
+import { CONFIG } from '../config.js';
+import eventBus from '../core/EventBus.js';
+import logger from '../core/Logger.js';
+import gmailClient from '../api/GmailClient.js';
+import rateLimiter from '../api/RateLimiter.js';
+import campaignStore from './CampaignStore.js';
+import replyTracker from './ReplyTracker.js';
+import suppressionList from './SuppressionList.js';
+import { isWithinSendWindow } from '../utils/SendWindow.js';
+import { looksLikeHtml } from '../utils/HtmlToText.js';
+import { formatReplySubject } from '../utils/MimeBuilder.js';
+import { getAddresses } from '../utils/AddressParser.js';
+import { MAX_SEND_ATTEMPTS, isQuotaError, getErrorMessage } from '../utils/SendErrors.js';
+import { buildUnsubscribeLinks } from '../utils/Unsubscribe.js';
+import { sleep, replaceTemplateVariables, EVENTS } from '../utils/index.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Only one open tab runs the sequences, so a step never goes out twice
+const LOCK_NAME = 'gmail-tool-follow-ups';
+
+class FollowUpScheduler {
+    #timer = null;
+    #running = false;
+
+    /**
+     * Check and clean the follow-up steps of a campaign
+     * @param {Array} steps - [{ delayDays, subject, body }]; delayDays counts from the previous email of the sequence
+     * @returns {Array} Normalized steps, empty when the campaign has none
+     */
+    normalizeSteps(steps) {
+        const list = Array.isArray(steps) ? steps : [];
+
+        if (list.length > CONFIG.EMAIL.MAX_FOLLOW_UPS) {
+            throw new Error(`At most ${CONFIG.EMAIL.MAX_FOLLOW_UPS} follow-ups per campaign`);
+        }
+
+        return list.map((step, index) => {
+            const delayDays = Number(step?.delayDays);
+            const body = String(step?.body ?? '').trim();
+
+            if (!Number.isInteger(delayDays) || delayDays < 1) {
+                throw new Error(`Follow-up ${index + 1}: the delay must be a whole number of days`);
+            }
+            if (!body) {
+                throw new Error(`Follow-up ${index + 1} has no content`);
+            }
+
+            return { delayDays, subject: String(step.subject ?? '').trim(), body };
+        });
+    }
+
+    /**
+     * Run the due steps now and then every FOLLOW_UP_CHECK_INTERVAL_MS while the app is open
+     */
+    start() {
+        if (this.#timer) return;
+
+        this.#timer = setInterval(() => this.runDueSteps(), CONFIG.EMAIL.FOLLOW_UP_CHECK_INTERVAL_MS);
+        this.runDueSteps();
+
+        logger.info('Follow-up scheduler started');
+    }
+
+    /**
+     * Stop checking; a run in progress ends after its current email
+     */
+    stop() {
+        clearInterval(this.#timer);
+        this.#timer = null;
+    }
+
+    /**
+     * Send the follow-ups that are due
+     * Rows leave the sequence when the recipient replies, bounces or is suppressed
+     * Runs alongside a batch: both go through the rate limiter and share its daily send quota
+     * @returns {Promise<Object|null>} { sent, stopped, failed }, or null when skipped (quota used up, another tab, run in progress)
+     */
+    async runDueSteps() {
+        if (this.#running || !campaignStore.isAvailable() || rateLimiter.getSendQuota().remaining === 0) {
+            return null;
+        }
+
+        this.#running = true;
+
+        try {
+            return await this.#withLock(() => this.#run());
+        } catch (error) {
+            logger.error('Follow-up run failed:', error);
+            return null;
+        } finally {
+            this.#running = false;
+        }
+    }
+
+    /**
+     * Campaigns with recipients still in their sequence
+     * @returns {Promise<Array>} [{ id, name, steps, active, replied, completed, nextAt }]
+     */
+    async getActiveSequences() {
+        if (!campaignStore.isAvailable()) return [];
+
+        const sequences = [];
+
+        for (const campaign of await this.#getCampaigns()) {
+            const steps = campaign.options.followUps;
+            const states = (await campaignStore.getRows(campaign.id))
+                .filter(row => row.status === 'sent' && row.sentAt)
+                .map(row => this.#getState(row, steps));
+            const active = states.filter(state => state.status === 'active');
+
+            if (active.length === 0) continue;
+
+            sequences.push({
+                id: campaign.id,
+                name: campaign.name,
+                steps: steps.length,
+                active: active.length,
+                replied: states.filter(state => state.status === 'replied').length,
+                completed: states.filter(state => state.status === 'completed').length,
+                nextAt: active.map(state => state.nextAt).sort()[0]
+            });
+        }
+
+        return sequences;
+    }
+
+    /**
+     * Stop the follow-ups of a campaign; rows keep the position they reached
+     * @param {string} campaignId - Campaign ID
+     */
+    async stopSequence(campaignId) {
+        await campaignStore.updateCampaign(campaignId, { followUpsStoppedAt: new Date().toISOString() });
+
+        logger.info(`Follow-ups of campaign ${campaignId} stopped`);
+        eventBus.emit(EVENTS.FOLLOW_UP.UPDATED, { sent: 0, stopped: 0, failed: 0 });
+    }
+
+    // Private methods
+
+    async #run() {
+        const result = { sent: 0, stopped: 0, failed: 0 };
+        const due = await this.#findDueRows();
+
+        if (due.length === 0) return result;
+
+        logger.info(`${due.length} follow-ups due`);
+
+        await suppressionList.load();
+
+        for (const [position, { campaign, row }] of due.entries()) {
+            // Sign-out, or the quota used up meanwhile (a batch may be sending too): the rest waits for the next run
+            if (!this.#timer || rateLimiter.getSendQuota().remaining === 0) break;
+
+            const outcome = await this.#advance(campaign, row);
+
+            if (outcome === 'quota') break;
+            if (outcome in result) result[outcome]++;
+
+            // Same pacing as a sequential batch
+            if (outcome === 'sent' && position < due.length - 1) {
+                const { MIN_DELAY_MS, MAX_DELAY_MS } = CONFIG.RATE_LIMITS;
+                await sleep(Math.floor(Math.random() * (MAX_DELAY_MS - MIN_DELAY_MS) + MIN_DELAY_MS));
+            }
+        }
+
+        logger.info(`Follow-up run: ${result.sent} sent, ${result.stopped} left the sequence, ${result.failed} failed`);
+        eventBus.emit(EVENTS.FOLLOW_UP.UPDATED, result);
+
+        return result;
+    }
+
+    async #getCampaigns() {
+        const campaigns = await campaignStore.getCampaigns();
+
+        return campaigns.filter(campaign =>
+            campaign.options?.followUps?.length > 0 &&
+            !campaign.followUpsStoppedAt &&
+            campaign.status !== 'abandoned'
+        );
+    }
+
+    /**
+     * Rows whose next step is due, oldest first
+     * Campaigns with a send window only send follow-ups inside it
+     */
+    async #findDueRows() {
+        const now = new Date();
+        const due = [];
+
+        for (const campaign of await this.#getCampaigns()) {
+            if (campaign.options.sendWindow && !isWithinSendWindow(now, campaign.options.sendWindow)) continue;
+
+            const rows = await campaignStore.getRows(campaign.id);
+
+            rows.filter(row => row.status === 'sent' && row.sentAt).forEach(row => {
+                const state = this.#getState(row, campaign.options.followUps);
+
+                if (state.status === 'active' && Date.parse(state.nextAt) <= now.getTime()) {
+                    due.push({ campaign, row });
+                }
+            });
+        }
+
+        return due.sort((a, b) => a.row.followUp.nextAt.localeCompare(b.row.followUp.nextAt));
+    }
+
+    /**
+     * Position of a row in the sequence, created on its first check
+     * { step: follow-ups sent, status: active|replied|bounced|suppressed|completed|failed, lastSentAt, nextAt, messageIds, attempts, error }
+     */
+    #getState(row, steps) {
+        if (!row.followUp) {
+            row.followUp = {
+                step: 0,
+                status: 'active',
+                lastSentAt: row.sentAt,
+                nextAt: addDays(row.sentAt, steps[0].delayDays),
+                messageIds: [],
+                attempts: 0,
+                error: null
+            };
+        }
+
+        return row.followUp;
+    }
+
+    /**
+     * Send the next step of a row, or take it out of the sequence
+     * @returns {Promise<string>} sent|stopped|failed|quota, or waiting when it is retried on a later run
+     */
+    async #advance(campaign, row) {
+        const steps = campaign.options.followUps;
+        const state = row.followUp;
+
+        if (row.bounce) {
+            return this.#finish(campaign.id, row, 'bounced');
+        }
+        if (getAddresses(row.to).some(address => suppressionList.check(address))) {
+            return this.#finish(campaign.id, row, 'suppressed');
+        }
+
+        try {
+            const reply = row.reply || await replyTracker.findReply(row);
+
+            if (reply) {
+                row.reply = reply;
+                row.replyCheckedAt = new Date().toISOString();
+                return this.#finish(campaign.id, row, 'replied');
+            }
+
+            if (!row.threadId) {
+                state.error = 'No thread to follow up in';
+                return this.#finish(campaign.id, row, 'failed');
+            }
+
+            // The tab may have closed after the request left: Gmail has the message if it went out
+            if (state.sendingAt) {
+                const sent = await this.#findInterruptedSend(row);
+                delete state.sendingAt;
+
+                if (sent) {
+                    this.#recordStep(row, steps, sent.id, sent.internalDate);
+                    await this.#save(campaign.id, row);
+                    return 'sent';
+                }
+            }
+        } catch (error) {
+            logger.warn(`Could not check the thread of ${row.to}, retrying later:`, error);
+            return 'waiting';
+        }
+
+        // Recorded before the request leaves the browser
+        state.sendingAt = new Date().toISOString();
+        await this.#save(campaign.id, row);
+
+        try {
+            const message = await this.#send(campaign, row, steps[state.step]);
+
+            delete state.sendingAt;
+            this.#recordStep(row, steps, message.id, new Date());
+            await this.#save(campaign.id, row);
+            await suppressionList.recordSent([row.to], campaign.id);
+
+            logger.info(`Follow-up ${state.step}/${steps.length} sent to ${row.to}`);
+            eventBus.emit(EVENTS.FOLLOW_UP.SENT, { campaignId: campaign.id, to: row.to, step: state.step });
+
+            return 'sent';
+
+        } catch (error) {
+            delete state.sendingAt;
+            logger.error(`Failed to send follow-up to ${row.to}:`, error);
+
+            // Out of quota: the step stays due for a later run
+            if (isQuotaError(error)) {
+                if (rateLimiter.getSendQuota().remaining > 0) {
+                    rateLimiter.blockSending(Date.now() + CONFIG.RATE_LIMITS.QUOTA_RETRY_MS);
+                }
+                await this.#save(campaign.id, row);
+                return 'quota';
+            }
+
+            state.attempts++;
+            state.error = getErrorMessage(error);
+
+            if (state.attempts >= MAX_SEND_ATTEMPTS) {
+                return this.#finish(campaign.id, row, 'failed');
+            }
+
+            await this.#save(campaign.id, row);
+            return 'waiting';
+        }
+    }
+
+    /**
+     * Send a step as a reply to the latest message of the thread
+     * The content is rendered with the row's CSV values, like the first email
+     */
+    async #send(campaign, row, step) {
+        const { options } = campaign;
+        const unsubscribe = options.unsubscribe && row.unsubscribeToken
+            ? buildUnsubscribeLinks(options.unsubscribe, { email: row.to, token: row.unsubscribeToken })
+            : null;
+        const data = unsubscribe
+            ? { ...row.data, unsubscribe_url: unsubscribe.url || unsubscribe.mailto }
+            : row.data;
+
+        const reply = await rateLimiter.executeGmailRequest(() => gmailClient.getReplyReference(row.threadId));
+        const subject = formatReplySubject(replaceTemplateVariables(step.subject, data) || reply.subject);
+
+        return rateLimiter.executeGmailRequest(() => gmailClient.sendEmail(row.to, subject, replaceTemplateVariables(step.body, data), {
+            from: row.from || options.from || '',
+            replyTo: row.replyTo || '',
+            isHtml: looksLikeHtml(step.body),
+            threadId: reply.threadId,
+            headers: { 'In-Reply-To': reply.messageId, References: reply.references },
+            unsubscribe
+        }), { isWrite: true, sendCount: 1 });
+    }
+
+    /**
+     * Message we sent in the thread after the last recorded step, if any
+     */
+    async #findInterruptedSend(row) {
+        const messages = await rateLimiter.executeGmailRequest(
+            () => gmailClient.getThreadMessages(row.threadId, ['From']),
+            { quotaUnits: 10 }
+        );
+        const since = Date.parse(row.followUp.lastSentAt);
+
+        return (messages || []).find(message =>
+            message.labelIds.includes('SENT') &&
+            !message.isDraft &&
+            message.internalDate.getTime() > since
+        ) || null;
+    }
+
+    #recordStep(row, steps, messageId, sentAt) {
+        const state = row.followUp;
+
+        state.step++;
+        state.lastSentAt = sentAt.toISOString();
+        state.messageIds = [...state.messageIds, messageId];
+        state.attempts = 0;
+        state.error = null;
+
+        if (state.step >= steps.length) {
+            state.status = 'completed';
+            state.nextAt = null;
+        } else {
+            state.nextAt = addDays(state.lastSentAt, steps[state.step].delayDays);
+        }
+    }
+
+    async #finish(campaignId, row, status) {
+        row.followUp.status = status;
+        row.followUp.nextAt = null;
+        delete row.followUp.sendingAt;
+
+        await this.#save(campaignId, row);
+
+        return status === 'failed' ? 'failed' : 'stopped';
+    }
+
+    async #save(campaignId, row) {
+        await campaignStore.saveRow(campaignId, row);
+
+        // The sender keeps its own copy of the rows of the open campaign
+        eventBus.emit(EVENTS.FOLLOW_UP.ROW_UPDATED, { campaignId, row });
+    }
+
+    async #withLock(fn) {
+        if (!navigator.locks) {
+            return fn();
+        }
+
+        return navigator.locks.request(LOCK_NAME, { ifAvailable: true }, lock => lock ? fn() : null);
+    }
+}
+
+// Private helpers
+
+function addDays(date, days) {
+    return new Date(Date.parse(date) + days * DAY_MS).toISOString();
+}
+
+// Create singleton instance
+const followUpScheduler = new FollowUpScheduler();
+
+// Export singleton
+export default followUpScheduler;
@@ -0,0 +1,139 @@
+/**
+ * Gmail Tool v0.5 - Professional Email Automation Suite
+ * Copyright (c) 2024 42ROWS Srl. All rights reserved.
+ * Licensed under the MIT License.
+ *
+ * @author Mario Brosco <mario.brosco@42rows.com>
+ * @company 42ROWS Srl - P.IVA: 18017981004
+ *
+ * ReplyTracker - Replies to Sent Campaigns
+ * Reads the thread of every sent email and finds the first message written by someone else
+ */
+
+import eventBus from '../core/EventBus.js';
+import logger from '../core/Logger.js';
+import gmailClient from '../api/GmailClient.js';
+import rateLimiter from '../api/RateLimiter.js';
+import { EVENTS } from '../utils/index.js';
+
+// Bounces and notifications land in the thread too, but nobody wrote them
+const AUTOMATED_SENDER = /^(mailer-daemon|postmaster|no-?reply|do-?not-?reply)@/i;
+const THREAD_HEADERS = ['From', 'Date', 'Auto-Submitted', 'X-Autoreply', 'X-Autorespond', 'Precedence'];
+
+class ReplyTracker {
+    #ownAddresses = null;
+
+    constructor() {
+        // Our addresses belong to the signed-in account
+        eventBus.on(EVENTS.AUTH.SIGNOUT, () => {
+            this.#ownAddresses = null;
+        });
+    }
+
+    /**
+     * Check the threads of sent rows for replies
+     * Rows get replyCheckedAt and, once someone answers, reply { at, from }; replied rows are not checked again
+     * @param {Array} rows - Queue items
+     * @returns {Promise<Object>} { checked, replied, sent, rate } with rate as a 0-1 fraction of sent emails
+     */
+    async check(rows) {
+        const sent = rows.filter(row => row.status === 'sent');
+        let checked = 0;
+
+        for (const row of sent.filter(row => !row.reply)) {
+            try {
+                row.reply = await this.findReply(row);
+                row.replyCheckedAt = new Date().toISOString();
+                checked++;
+            } catch (error) {
+                logger.warn(`Could not check replies of ${row.to}:`, error);
+            }
+        }
+
+        const replied = sent.filter(row => row.reply).length;
+
+        logger.info(`Reply check: ${replied}/${sent.length} sent emails have a reply`);
+
+        return {
+            checked,
+            replied,
+            sent: sent.length,
+            rate: sent.length > 0 ? replied / sent.length : 0
+        };
+    }
+
+    /**
+     * Find the first reply to a sent row
+     * Messages sent by the account (any send-as alias), drafts, auto-replies and delivery notices do not count
+     * @param {Object} row - Sent queue item with threadId (or messageId, for rows sent before thread IDs were kept)
+     * @returns {Promise<Object|null>} { at, from } or null when nobody answered yet
+     */
+    async findReply(row) {
+        if (!row.threadId && row.messageId) {
+            const message = await rateLimiter.executeGmailRequest(() => gmailClient.getMessage(row.messageId, 'minimal'));
+            row.threadId = message.threadId;
+        }
+
+        if (!row.threadId) return null;
+
+        const [messages, ownAddresses] = await Promise.all([
+            rateLimiter.executeGmailRequest(() => gmailClient.getThreadMessages(row.threadId, THREAD_HEADERS), { quotaUnits: 10 }),
+            this.#getOwnAddresses()
+        ]);
+
+        if (!messages) return null;
+
+        // Earlier messages of a follow-up thread are not answers to this email
+        const own = messages.find(message => message.id === row.messageId);
+        const sentAt = own ? own.internalDate.getTime() : Date.parse(row.sentAt || 0);
+
+        const reply = messages.find(message =>
+            message.internalDate.getTime() > sentAt &&
+            !message.isDraft &&
+            !message.labelIds.includes('SENT') &&
+            !ownAddresses.has(extractAddress(message.from)) &&
+            !AUTOMATED_SENDER.test(extractAddress(message.from)) &&
+            !isAutoReply(message.headers)
+        );
+
+        return reply ? { at: reply.internalDate.toISOString(), from: reply.from } : null;
+    }
+
+    // Private methods
+
+    async #getOwnAddresses() {
+        if (!this.#ownAddresses) {
+            try {
+                const aliases = await gmailClient.getSendAsAliases();
+                this.#ownAddresses = new Set(aliases.map(alias => alias.email.toLowerCase()));
+            } catch (error) {
+                // The SENT label still tells our messages apart
+                logger.warn('Send-as aliases not available for reply detection:', error);
+                return new Set();
+            }
+        }
+
+        return this.#ownAddresses;
+    }
+}
+
+// Private helpers
+
+function extractAddress(value) {
+    const text = String(value ?? '').trim();
+    return (/<([^<>]+)>\s*$/.exec(text)?.[1] || text).trim().toLowerCase();
+}
+
+function isAutoReply(headers) {
+    const autoSubmitted = (headers['auto-submitted'] || 'no').toLowerCase();
+
+    return autoSubmitted !== 'no' ||
+        Boolean(headers['x-autoreply'] || headers['x-autorespond']) ||
+        /^auto_reply$/i.test(headers.precedence || '');
+}
+
+// Create singleton instance
+const replyTracker = new ReplyTracker();
+
+// Export singleton
+export default replyTracker;
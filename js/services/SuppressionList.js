@@ -0,0 +1,209 @@
+/**
+ * Gmail Tool v0.5 - Professional Email Automation Suite
+ * Copyright (c) 2024 42ROWS Srl. All rights reserved.
+ * Licensed under the MIT License.
+ *
+ * @author Mario Brosco <mario.brosco@42rows.com>
+ * @company 42ROWS Srl - P.IVA: 18017981004
+ *
+ * SuppressionList - Addresses that must not be emailed again
+ * Keeps the suppressed addresses and the last send to every recipient across campaigns
+ */
+
+import eventBus from '../core/EventBus.js';
+import logger from '../core/Logger.js';
+import { appDatabase } from '../utils/IndexedDBHelper.js';
+import { detectColumnMapping } from '../utils/ColumnMapping.js';
+import { parseAddress, isValidAddress, getAddresses } from '../utils/AddressParser.js';
+import { EVENTS } from '../utils/index.js';
+
+// Why an address was suppressed
+export const SUPPRESSION_REASONS = Object.freeze(['manual', 'import', 'bounce', 'unsubscribe']);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class SuppressionList {
+    #db = appDatabase;
+    #suppressed = new Map();
+    #contacts = new Map();
+    #loading = null;
+
+    /**
+     * Load the list and the send history into memory
+     * Validation runs synchronously, so it reads these copies
+     * @returns {Promise<void>}
+     */
+    async load() {
+        if (!this.#db.isAvailable) return;
+
+        if (!this.#loading) {
+            this.#loading = Promise.all([
+                this.#db.getAll('suppressions'),
+                this.#db.getAll('contacts')
+            ]).then(([suppressed, contacts]) => {
+                this.#suppressed = new Map(suppressed.map(record => [record.email, record]));
+                this.#contacts = new Map(contacts.map(record => [record.email, record]));
+                logger.info(`Suppression list loaded: ${suppressed.length} addresses, ${contacts.length} past recipients`);
+            }).catch(error => {
+                this.#loading = null;
+                throw error;
+            });
+        }
+
+        return this.#loading;
+    }
+
+    /**
+     * Number of suppressed addresses
+     */
+    get size() {
+        return this.#suppressed.size;
+    }
+
+    /**
+     * Suppress addresses
+     * @param {string|Array<string>} addresses - Addresses, "Name <user@example.com>" accepted
+     * @param {Object} options - { reason: manual|import|bounce|unsubscribe, detail }
+     * @returns {Promise<number>} Number of addresses not suppressed before
+     */
+    async add(addresses, options = {}) {
+        const { reason = 'manual', detail = '' } = options;
+
+        if (!SUPPRESSION_REASONS.includes(reason)) {
+            throw new Error(`Unknown suppression reason: ${reason}`);
+        }
+
+        await this.load();
+
+        const now = new Date().toISOString();
+        const records = [...new Set([].concat(addresses).map(normalizeAddress))]
+            .filter(email => isValidAddress(email) && !this.#suppressed.has(email))
+            .map(email => ({ email, reason, detail, addedAt: now }));
+
+        if (records.length === 0) return 0;
+
+        await this.#db.putMany('suppressions', records);
+        records.forEach(record => this.#suppressed.set(record.email, record));
+
+        logger.info(`${records.length} addresses suppressed (${reason})`);
+        eventBus.emit(EVENTS.SUPPRESSION.CHANGED, { size: this.size });
+
+        return records.length;
+    }
+
+    /**
+     * Suppress the addresses of a CSV file
+     * The column is found like the recipient column of a batch; a plain list of addresses works too
+     * @param {File} file - CSV file
+     * @returns {Promise<number>} Number of addresses added
+     */
+    async importCSV(file) {
+        const { data } = Papa.parse(await file.text(), { skipEmptyLines: true });
+
+        // A first row without addresses is the header
+        const header = data.length > 0 && !data[0].some(isValidAddress) ? data.shift() : null;
+        const column = header ? header.indexOf(detectColumnMapping(header).to) : -1;
+
+        const addresses = data.flatMap(row => column >= 0 ? [row[column]] : row.filter(isValidAddress));
+
+        return this.add(addresses, { reason: 'import', detail: file.name });
+    }
+
+    /**
+     * Remove an address from the list
+     * @param {string} address - Address
+     */
+    async remove(address) {
+        const email = normalizeAddress(address);
+
+        await this.load();
+        await this.#db.delete('suppressions', email);
+        this.#suppressed.delete(email);
+
+        eventBus.emit(EVENTS.SUPPRESSION.CHANGED, { size: this.size });
+    }
+
+    /**
+     * Empty the list (the send history is kept)
+     */
+    async clear() {
+        await this.load();
+        await this.#db.clear('suppressions');
+        this.#suppressed.clear();
+
+        logger.info('Suppression list cleared');
+        eventBus.emit(EVENTS.SUPPRESSION.CHANGED, { size: 0 });
+    }
+
+    /**
+     * Get the suppressed addresses, newest first
+     * @returns {Array} [{ email, reason, detail, addedAt }]
+     */
+    getAll() {
+        return [...this.#suppressed.values()].sort((a, b) => b.addedAt.localeCompare(a.addedAt));
+    }
+
+    /**
+     * Remember that addresses were emailed, for the "recently emailed" rule
+     * @param {Array<string>} addresses - Recipients; an entry may be a list of several
+     * @param {string} campaignId - Campaign that sent them
+     */
+    async recordSent(addresses, campaignId = null) {
+        const emails = getAddresses(addresses);
+
+        if (!this.#db.isAvailable || emails.length === 0) return;
+
+        const now = new Date().toISOString();
+        const records = emails.map(email => ({
+            email,
+            lastSentAt: now,
+            campaignId
+        }));
+
+        records.forEach(record => this.#contacts.set(record.email, record));
+
+        try {
+            await this.#db.putMany('contacts', records);
+        } catch (error) {
+            // The email is out: a missing history entry must not fail the send
+            logger.warn('Failed to record sent addresses:', error);
+        }
+    }
+
+    /**
+     * Tell why an address must be skipped
+     * @param {string} address - Recipient
+     * @param {Object} options - { recentDays: skip addresses emailed in the last N days (0 = off) }
+     * @returns {Object|null} { reason: manual|import|bounce|unsubscribe|recent, detail, since } or null
+     */
+    check(address, options = {}) {
+        const email = normalizeAddress(address);
+        const suppressed = this.#suppressed.get(email);
+
+        if (suppressed) {
+            return { reason: suppressed.reason, detail: suppressed.detail, since: suppressed.addedAt };
+        }
+
+        const recentDays = Number(options.recentDays) || 0;
+        const contact = this.#contacts.get(email);
+
+        if (recentDays > 0 && contact && Date.now() - Date.parse(contact.lastSentAt) < recentDays * DAY_MS) {
+            return { reason: 'recent', detail: contact.campaignId || '', since: contact.lastSentAt };
+        }
+
+        return null;
+    }
+}
+
+// Private helpers
+
+function normalizeAddress(address) {
+    const parsed = parseAddress(address);
+    return (parsed ? parsed.asciiAddress : String(address ?? '').trim()).toLowerCase();
+}
+
+// Create singleton instance
+const suppressionList = new SuppressionList();
+
+// Export singleton
+export default suppressionList;
@@ -1,14 +1,32 @@
 /**
  * BatchSenderUI - Simplified User Interface for Batch Email Sending
- * CSV contains: destinatario, oggetto, contenuto
+ * CSV columns are matched to the email fields in a mapping step (names detected in EN, IT, DE, ES, FR):
+ * recipient, subject and content are required; cc, bcc, reply-to, from, text, attachments, send_at,
+ * thread/message id and header:* columns are optional
  */
 
 import { CONFIG } from '../config.js';
 import eventBus from '../core/EventBus.js';
 import stateManager from '../core/StateManager.js';
 import logger from '../core/Logger.js';
+import gmailClient from '../api/GmailClient.js';
 import emailSender from '../services/EmailSender.js';
-import { EVENTS } from '../utils/index.js';
+import campaignPlanner from '../services/CampaignPlanner.js';
+import attachmentLibrary from '../services/AttachmentLibrary.js';
+import suppressionList from '../services/SuppressionList.js';
+import followUpScheduler from '../services/FollowUpScheduler.js';
+import { EVENTS, localStorage, formatBytes } from '../utils/index.js';
+import { DEFAULT_SEND_WINDOW, parseSendAt } from '../utils/SendWindow.js';
+import {
+    MAPPABLE_FIELDS,
+    resolveColumnMapping,
+    getMissingFields,
+    applyColumnMapping,
+    getCustomHeaders
+} from '../utils/ColumnMapping.js';
+import { getTemplateReport } from '../utils/TemplateEngine.js';
+import { splitAddresses, isCustomHeaderAllowed } from '../utils/MimeBuilder.js';
+import { parseAddressList, getAddresses, isValidAddress, suggestAddressFix } from '../utils/AddressParser.js';
 import {
     showSuccess,
     showError,
@@ -18,16 +36,53 @@ import {
     enableElement,
     disableElement,
     formatDuration,
+    createTimer,
     confirmDialog
 } from '../utils/UIHelpers.js';
 import i18n from '../i18n/index.js';
 
+const COLUMN_MAPPING_KEY = 'csv_column_mapping';
+const SKIP_RECENT_KEY = 'skip_recent_contacts';
+const UNSUBSCRIBE_KEY = 'unsubscribe_settings';
+
+// Why a row is skipped before sending
+const SKIP_REASONS = {
+    manual: 'escluso manualmente',
+    import: 'nella lista di esclusione importata',
+    bounce: 'indirizzo in bounce',
+    unsubscribe: 'disiscritto',
+    recent: 'già contattato'
+};
+
+// Label of each mappable field: [i18n key, English default]
+const FIELD_LABELS = {
+    to: ['sender.recipient', 'Recipient'],
+    subject: ['sender.subject', 'Subject'],
+    body: ['sender.mapBody', 'Content'],
+    text: ['sender.mapText', 'Plain-text version'],
+    from: ['sender.mapFrom', 'From'],
+    cc: ['sender.mapCc', 'Cc'],
+    bcc: ['sender.mapBcc', 'Bcc'],
+    replyTo: ['sender.mapReplyTo', 'Reply-To'],
+    thread: ['sender.mapThread', 'Reply in thread (thread or Message-ID)'],
+    attachments: ['sender.mapAttachments', 'Attachments'],
+    sendAt: ['sender.mapSendAt', 'Send at']
+};
+
 export default class BatchSenderUI {
     #container = null;
     #elements = {};
     #csvData = null;
+    #headers = [];
+    #mapping = null;
+    #fileName = null;
+    #interruptedCampaign = null;
     #sendingInProgress = false;
     #pausedState = false;
+    #countdownTimer = null;
+    #waitingUntil = null;
+    #sendAsAliases = null;
+    #aliasesRequested = false;
     
     constructor(container) {
         if (!container) {
@@ -45,6 +100,15 @@ export default class BatchSenderUI {
         // Subscribe to batch events
         this.#subscribeToBatchEvents();
         
+        // Offer to resume a campaign interrupted by a reload
+        this.#checkInterruptedCampaign();
+        
+        // Addresses to skip, checked when the CSV is validated
+        this.#loadSuppressions();
+        
+        // Campaigns still sending follow-ups
+        this.#renderFollowUps();
+        
         logger.info('BatchSenderUI initialized');
     }
     
@@ -60,6 +124,45 @@ export default class BatchSenderUI {
                     <p class="text-gray-600" data-i18n="sender.subtitle">Upload a CSV with recipient, subject and content to send batch emails</p>
                 </div>
 
+                <!-- Interrupted Campaign -->
+                <div id="resume-section" class="glass-effect rounded-lg p-6 mb-6 hidden">
+                    <div class="p-4 bg-yellow-50 border border-yellow-200 rounded-lg">
+                        <h3 class="text-sm font-medium text-yellow-800" data-i18n="sender.resumeTitle">
+                            Interrupted campaign found
+                        </h3>
+                        <p class="mt-2 text-xs text-yellow-700" id="resume-summary"></p>
+                        <div id="resume-actions" class="flex gap-3 mt-4">
+                            <button id="resume-campaign-btn" class="btn btn-success" data-i18n="sender.resumeCampaign">
+                                ▶️ Resume Campaign
+                            </button>
+                            <button id="discard-campaign-btn" class="btn btn-secondary" data-i18n="sender.discardCampaign">
+                                🗑️ Discard
+                            </button>
+                        </div>
+                        <div id="resume-draft-actions" class="flex gap-3 mt-4 hidden">
+                            <button class="btn btn-success send-drafts-btn" data-i18n="sender.sendDrafts">
+                                📤 Send Drafts
+                            </button>
+                            <button class="btn btn-secondary delete-drafts-btn" data-i18n="sender.deleteDrafts">
+                                🗑️ Delete Drafts
+                            </button>
+                        </div>
+                    </div>
+                </div>
+
+                <!-- Follow-up Sequences -->
+                <div id="follow-up-section" class="glass-effect rounded-lg p-6 mb-6 hidden">
+                    <div class="p-4 bg-indigo-50 border border-indigo-200 rounded-lg">
+                        <h3 class="text-sm font-medium text-indigo-800" data-i18n="sender.followUpsActive">
+                            Follow-ups in progress
+                        </h3>
+                        <p class="mt-1 text-xs text-indigo-700" data-i18n="sender.followUpsKeepOpen">
+                            Due follow-ups are sent while the app is open in a browser tab
+                        </p>
+                        <ul id="follow-up-list" class="mt-3 space-y-2 text-xs text-indigo-700"></ul>
+                    </div>
+                </div>
+
                 <!-- Step 1: Upload CSV -->
                 <div class="glass-effect rounded-lg p-6 mb-6">
                     <h3 class="text-lg font-semibold text-gray-700 mb-4">
@@ -114,6 +217,59 @@ export default class BatchSenderUI {
                         <pre class="text-xs text-blue-800 font-mono">destinatario,oggetto,contenuto
 mario.rossi@email.com,Offerta Speciale,Ciao Mario, abbiamo un'offerta per te...
 lucia.bianchi@email.com,Newsletter Gennaio,Gentile Lucia, ecco le novità...</pre>
+                        <p class="text-xs text-blue-800 mt-2" data-i18n="sender.csvColumnsHint">
+                            Columns can have any name: after loading the file you match them to the email fields. Recipient, subject and content are required. Optional: cc, bcc, reply_to, from (a &quot;Send mail as&quot; address), text (plain-text version), attachments, send_at, thread_id or message_id to reply in a conversation, and header:Name columns for custom headers (e.g. header:X-Campaign). Recipient, Cc and Bcc accept several addresses separated by commas.
+                        </p>
+                        <p class="text-xs text-blue-800 mt-2" data-i18n="sender.mergeFieldsHint">
+                            Subject and content can use any column as a merge field: {{name|there}}, {{name|title}}, {{#if company}}…{{/if}}, {{#each items}}…{{/each}}, {{date|date:DD/MM/YYYY}}, {{amount|number:2}}
+                        </p>
+                    </div>
+                    
+                    <!-- Attachments -->
+                    <div class="mt-4 p-4 border border-gray-200 rounded-lg">
+                        <h4 class="text-sm font-semibold text-gray-700 mb-1" data-i18n="sender.attachmentsTitle">📎 Attachments (optional)</h4>
+                        <p class="text-xs text-gray-500 mb-3" data-i18n="sender.attachmentsDescription">
+                            Upload a folder or ZIP with the files named in the attachments column (several names separated by ;), and files to attach to every email
+                        </p>
+                        <div class="flex flex-wrap gap-3">
+                            <input type="file" id="attachment-folder" webkitdirectory multiple class="hidden">
+                            <label for="attachment-folder" class="btn btn-secondary cursor-pointer" data-i18n="sender.addFolder">📁 Add folder</label>
+                            <input type="file" id="attachment-files" multiple class="hidden">
+                            <label for="attachment-files" class="btn btn-secondary cursor-pointer" data-i18n="sender.addZip">🗜️ Add ZIP or files</label>
+                            <input type="file" id="shared-attachments" multiple class="hidden">
+                            <label for="shared-attachments" class="btn btn-secondary cursor-pointer" data-i18n="sender.addShared">📎 Attach to every email</label>
+                            <button id="clear-attachments-btn" class="btn btn-secondary hidden" data-i18n="sender.clearAttachments">🗑️ Remove attachments</button>
+                        </div>
+                        <p class="text-xs text-gray-500 mt-3" data-i18n="sender.inlineImagesHint">
+                            Uploaded images used in HTML content, e.g. &lt;img src="logo.png"&gt;, are embedded in the email instead of being loaded from the web
+                        </p>
+                        <div id="attachment-summary" class="text-xs text-gray-600 mt-3"></div>
+                    </div>
+                    
+                    <!-- Suppression list -->
+                    <div class="mt-4 p-4 border border-gray-200 rounded-lg">
+                        <h4 class="text-sm font-semibold text-gray-700 mb-1" data-i18n="sender.suppressionTitle">🚫 Suppression list</h4>
+                        <p class="text-xs text-gray-500 mb-3" data-i18n="sender.suppressionDescription">
+                            Addresses that are never emailed again, from any campaign: unsubscribed, bounced, imported or added by you. Their rows are skipped.
+                        </p>
+                        <div class="flex flex-wrap gap-3">
+                            <input type="file" id="suppression-file" accept=".csv,text/csv" class="hidden">
+                            <label for="suppression-file" class="btn btn-secondary cursor-pointer" data-i18n="sender.importSuppression">📥 Import CSV</label>
+                            <input type="text"
+                                   id="suppression-address"
+                                   class="form-input w-64"
+                                   data-i18n-placeholder="sender.suppressionPlaceholder"
+                                   placeholder="Addresses separated by commas">
+                            <button id="add-suppression-btn" class="btn btn-secondary" data-i18n="sender.addSuppression">➕ Add</button>
+                            <button id="clear-suppression-btn" class="btn btn-secondary hidden" data-i18n="sender.clearSuppression">🗑️ Empty list</button>
+                        </div>
+                        <div id="suppression-summary" class="text-xs text-gray-600 mt-3"></div>
+                        <label class="flex items-center mt-3 text-sm text-gray-700">
+                            <input type="checkbox" id="skip-recent" class="mr-3">
+                            <span data-i18n="sender.skipRecent">Skip anyone emailed in the last</span>
+                            <input type="number" id="skip-recent-days" min="1" max="365" value="30" class="form-input w-20 mx-2">
+                            <span data-i18n="sender.days">days</span>
+                        </label>
                     </div>
                 </div>
 
@@ -124,6 +280,14 @@ lucia.bianchi@email.com,Newsletter Gennaio,Gentile Lucia, ecco le novità...</pr
                         <span data-i18n="sender.previewSection">Preview and Validation</span>
                     </h3>
                     
+                    <!-- Column Mapping -->
+                    <div class="mb-4">
+                        <p class="text-sm text-gray-600 mb-3" data-i18n="sender.mappingDescription">
+                            Columns are detected automatically: check them and change any that are wrong. Your choice is remembered for next time.
+                        </p>
+                        <div id="column-mapping" class="grid grid-cols-1 md:grid-cols-2 gap-4"></div>
+                    </div>
+                    
                     <!-- Validation Results -->
                     <div id="validation-results" class="mb-4">
                         <!-- Will be populated dynamically -->
@@ -164,6 +328,49 @@ lucia.bianchi@email.com,Newsletter Gennaio,Gentile Lucia, ecco le novità...</pr
                     </h3>
                     
                     <div class="space-y-4">
+                        <!-- Sender -->
+                        <div class="form-group">
+                            <label for="from-alias" class="form-label" data-i18n="sender.fromAlias">From</label>
+                            <select id="from-alias" class="form-select w-full md:w-96">
+                                <option value="" data-i18n="sender.defaultSender">Default address</option>
+                            </select>
+                            <p class="text-xs text-gray-500 mt-1" data-i18n="sender.fromAliasDescription">
+                                Gmail send-as address; its signature is added to every email. A From column in the CSV overrides it for its rows.
+                            </p>
+                        </div>
+                        
+                        <!-- Unsubscribe -->
+                        <div class="form-group">
+                            <label class="form-label" data-i18n="sender.unsubscribeTitle">Unsubscribe</label>
+                            <div class="grid grid-cols-1 md:grid-cols-2 gap-3">
+                                <input type="email"
+                                       id="unsubscribe-mailto"
+                                       class="form-input"
+                                       data-i18n-placeholder="sender.unsubscribeMailto"
+                                       placeholder="Address, e.g. unsubscribe@example.com">
+                                <input type="url"
+                                       id="unsubscribe-url"
+                                       class="form-input"
+                                       data-i18n-placeholder="sender.unsubscribeUrl"
+                                       placeholder="URL, e.g. https://example.com/unsubscribe?t={{token}}">
+                            </div>
+                            <p class="text-xs text-gray-500 mt-1" data-i18n="sender.unsubscribeDescription">
+                                Sent as List-Unsubscribe headers, which Gmail and Yahoo expect from bulk senders; an https URL also enables one-click unsubscribe. {{token}} identifies the recipient (listed in the exported results), {{email}} is the address. Use {{unsubscribe_url}} in the content to show the link.
+                            </p>
+                        </div>
+                        
+                        <!-- Follow-ups -->
+                        <div class="form-group">
+                            <label class="form-label" data-i18n="sender.followUpsTitle">Follow-ups to recipients who do not reply</label>
+                            <div id="follow-up-steps" class="space-y-3"></div>
+                            <button id="add-follow-up-btn" type="button" class="btn btn-secondary mt-2" data-i18n="sender.addFollowUp">
+                                ➕ Add Follow-up
+                            </button>
+                            <p class="text-xs text-gray-500 mt-1" data-i18n="sender.followUpsDescription">
+                                Sent as a reply in the same thread, counting the days from the previous email. Recipients who reply, bounce or unsubscribe leave the sequence. The same {{column}} placeholders work; follow-ups use the daily quota and are only sent while the app is open.
+                            </p>
+                        </div>
+                        
                         <!-- Delay Settings -->
                         <div>
                             <label class="flex items-center">
@@ -182,6 +389,23 @@ lucia.bianchi@email.com,Newsletter Gennaio,Gentile Lucia, ecco le novità...</pr
                             </label>
                         </div>
                         
+                        <!-- Gmail batch API -->
+                        <div>
+                            <label class="flex items-center">
+                                <input type="checkbox" 
+                                       id="use-batch-api" 
+                                       class="mr-3">
+                                <div>
+                                    <span class="text-sm font-medium text-gray-700" data-i18n="sender.useBatchApi">
+                                        Fast sending with the Gmail batch API
+                                    </span>
+                                    <p class="text-xs text-gray-500" data-i18n="sender.batchApiDescription">
+                                        Sends 10 emails per request, about 120 per minute, without the delay between emails. Every email still counts against the daily quota (500 Gmail, 2000 Workspace), so a large list uses it up in minutes and bulk sending is more likely to end up in spam.
+                                    </p>
+                                </div>
+                            </label>
+                        </div>
+                        
                         <!-- Test Mode -->
                         <div>
                             <label class="flex items-center">
@@ -198,6 +422,83 @@ lucia.bianchi@email.com,Newsletter Gennaio,Gentile Lucia, ecco le novità...</pr
                                 </div>
                             </label>
                         </div>
+                        
+                        <!-- Draft review -->
+                        <div>
+                            <label class="flex items-center">
+                                <input type="checkbox" 
+                                       id="draft-mode" 
+                                       class="mr-3">
+                                <div>
+                                    <span class="text-sm font-medium text-gray-700" data-i18n="sender.draftMode">
+                                        Create drafts for review instead of sending
+                                    </span>
+                                    <p class="text-xs text-gray-500" data-i18n="sender.draftModeDescription">
+                                        Drafts are labelled in Gmail; after the review send them all or delete them all from here
+                                    </p>
+                                </div>
+                            </label>
+                            <div id="draft-settings" class="hidden mt-3 ml-7 form-group">
+                                <label for="draft-label" class="form-label" data-i18n="sender.draftLabel">Gmail label</label>
+                                <input type="text" 
+                                       id="draft-label" 
+                                       class="form-input">
+                            </div>
+                        </div>
+                        
+                        <!-- Scheduling -->
+                        <div id="scheduling-options" class="${CONFIG.FEATURES.ENABLE_SCHEDULING ? '' : 'hidden'}">
+                            <label class="flex items-center">
+                                <input type="checkbox" 
+                                       id="use-schedule" 
+                                       class="mr-3">
+                                <div>
+                                    <span class="text-sm font-medium text-gray-700" data-i18n="sender.scheduleSending">
+                                        Schedule sending
+                                    </span>
+                                    <p class="text-xs text-gray-500" data-i18n="sender.scheduleDescription">
+                                        Start later and send only within a time window (keep this tab open)
+                                    </p>
+                                </div>
+                            </label>
+                            
+                            <div id="schedule-settings" class="hidden mt-3 ml-7 grid grid-cols-1 md:grid-cols-2 gap-4">
+                                <div class="form-group">
+                                    <label for="schedule-start" class="form-label" data-i18n="sender.scheduleStart">Start at (empty = now)</label>
+                                    <input type="datetime-local" 
+                                           id="schedule-start" 
+                                           class="form-input">
+                                </div>
+                                <div class="form-group">
+                                    <label for="window-timezone" class="form-label" data-i18n="sender.timeZone">Time zone</label>
+                                    <input type="text" 
+                                           id="window-timezone" 
+                                           list="timezone-list"
+                                           class="form-input">
+                                    <datalist id="timezone-list"></datalist>
+                                </div>
+                                <div class="form-group md:col-span-2">
+                                    <label class="flex items-center">
+                                        <input type="checkbox" 
+                                               id="use-send-window" 
+                                               checked
+                                               class="mr-3">
+                                        <span class="text-sm font-medium text-gray-700" data-i18n="sender.sendWindow">
+                                            Send only on these days and hours
+                                        </span>
+                                    </label>
+                                    <div id="window-days" class="flex flex-wrap gap-3 mt-2"></div>
+                                    <div class="flex items-center gap-2 mt-2">
+                                        <input type="time" id="window-start" class="form-input w-32">
+                                        <span>–</span>
+                                        <input type="time" id="window-end" class="form-input w-32">
+                                    </div>
+                                </div>
+                                <p class="text-xs text-gray-500 md:col-span-2" data-i18n="sender.sendAtHint">
+                                    Optional CSV column send_at (e.g. 2024-05-01 09:30 or 01/05/2024 09:30, day first, browser time) schedules single emails
+                                </p>
+                            </div>
+                        </div>
                     </div>
                     
                     <!-- Quota Warning -->
@@ -217,6 +518,15 @@ lucia.bianchi@email.com,Newsletter Gennaio,Gentile Lucia, ecco le novità...</pr
                                         <li data-i18n="sender.estimatedTime">Estimated time: ~1 minute per email with delay</li>
                                     </ul>
                                 </div>
+                                <div class="mt-3 text-xs text-yellow-700">
+                                    <label for="daily-limit" data-i18n="sender.dailyLimit">Daily sending limit</label>
+                                    <select id="daily-limit" class="form-select inline-block w-64 ml-2">
+                                        <option value="" data-i18n="sender.dailyLimitAuto">Detect from account</option>
+                                        <option value="${CONFIG.RATE_LIMITS.QUOTA_PER_DAY}" data-i18n="sender.freeAccount">Free account: 500 emails/day</option>
+                                        <option value="${CONFIG.RATE_LIMITS.QUOTA_PER_DAY_WORKSPACE}" data-i18n="sender.workspace">Google Workspace: 2000 emails/day</option>
+                                    </select>
+                                </div>
+                                <div id="plan-summary" class="mt-3 text-xs text-yellow-800"></div>
                             </div>
                         </div>
                     </div>
@@ -263,6 +573,15 @@ lucia.bianchi@email.com,Newsletter Gennaio,Gentile Lucia, ecco le novità...</pr
                         </div>
                     </div>
                     
+                    <!-- Scheduled Wait -->
+                    <div id="schedule-wait-info" class="p-4 bg-indigo-50 border border-indigo-200 rounded-lg mb-4 hidden">
+                        <div class="text-sm">
+                            <strong data-i18n="sender.nextSendIn">⏳ Next email in:</strong> 
+                            <span id="schedule-countdown" class="text-indigo-700 font-mono">--:--</span>
+                        </div>
+                        <div class="text-xs text-gray-600 mt-1" id="schedule-wait-detail"></div>
+                    </div>
+                    
                     <!-- Current Email -->
                     <div id="current-email-info" class="p-4 bg-blue-50 border border-blue-200 rounded-lg mb-4">
                         <div class="text-sm">
@@ -297,6 +616,35 @@ lucia.bianchi@email.com,Newsletter Gennaio,Gentile Lucia, ecco le novità...</pr
                         <h3 class="text-2xl font-bold text-gray-800 mb-2" data-i18n="sender.completed">Sending Complete!</h3>
                         <p class="text-gray-600 mb-6" id="complete-summary"></p>
                         
+                        <div id="complete-draft-actions" class="flex justify-center gap-3 mb-3 hidden">
+                            <button class="btn btn-success send-drafts-btn" data-i18n="sender.sendDrafts">
+                                📤 Send Drafts
+                            </button>
+                            <button class="btn btn-secondary delete-drafts-btn" data-i18n="sender.deleteDrafts">
+                                🗑️ Delete Drafts
+                            </button>
+                        </div>
+                        <div id="bounce-check" class="mb-6 hidden">
+                            <p class="text-xs text-gray-500 mb-2" data-i18n="sender.bounceDescription">
+                                Sent only means Gmail accepted the email: bounces arrive later from mailer-daemon or postmaster. Check them after a few minutes.
+                            </p>
+                            <div class="flex flex-wrap justify-center items-center gap-3">
+                                <button id="check-bounces-btn" class="btn btn-secondary" data-i18n="sender.checkBounces">
+                                    🔎 Check Bounces
+                                </button>
+                                <label class="flex items-center text-sm text-gray-700">
+                                    <input type="checkbox" id="suppress-bounces" checked class="mr-2">
+                                    <span data-i18n="sender.suppressBounces">Add permanent bounces to the suppression list</span>
+                                </label>
+                            </div>
+                            <div id="bounce-summary" class="text-sm text-gray-700 mt-3"></div>
+                        </div>
+                        <div id="reply-check" class="mb-6 hidden">
+                            <button id="check-replies-btn" class="btn btn-secondary" data-i18n="sender.checkReplies">
+                                💬 Check Replies
+                            </button>
+                            <div id="reply-summary" class="text-sm text-gray-700 mt-3"></div>
+                        </div>
                         <div class="flex justify-center gap-3">
                             <button id="export-results-btn" class="btn btn-secondary" data-i18n="sender.exportResults">
                                 📊 Export Results
@@ -313,6 +661,9 @@ lucia.bianchi@email.com,Newsletter Gennaio,Gentile Lucia, ecco le novità...</pr
         // Cache element references
         this.#cacheElements();
         
+        // Fill schedule controls with defaults
+        this.#renderScheduleDefaults();
+        
         // Apply i18n translations
         if (window.i18nInstance) {
             window.i18nInstance.applyTranslations();
@@ -321,6 +672,18 @@ lucia.bianchi@email.com,Newsletter Gennaio,Gentile Lucia, ecco le novità...</pr
     
     #cacheElements() {
         this.#elements = {
+            // Interrupted campaign
+            resumeSection: document.getElementById('resume-section'),
+            resumeSummary: document.getElementById('resume-summary'),
+            resumeActions: document.getElementById('resume-actions'),
+            resumeDraftActions: document.getElementById('resume-draft-actions'),
+            resumeCampaignBtn: document.getElementById('resume-campaign-btn'),
+            discardCampaignBtn: document.getElementById('discard-campaign-btn'),
+            
+            // Follow-up sequences
+            followUpSection: document.getElementById('follow-up-section'),
+            followUpList: document.getElementById('follow-up-list'),
+            
             // File upload
             csvFile: document.getElementById('csv-file'),
             fileInfo: document.getElementById('file-info'),
@@ -328,16 +691,53 @@ lucia.bianchi@email.com,Newsletter Gennaio,Gentile Lucia, ecco le novità...</pr
             fileRows: document.getElementById('file-rows'),
             removeFileBtn: document.getElementById('remove-file-btn'),
             
+            // Attachments
+            attachmentFolder: document.getElementById('attachment-folder'),
+            attachmentFiles: document.getElementById('attachment-files'),
+            sharedAttachments: document.getElementById('shared-attachments'),
+            clearAttachmentsBtn: document.getElementById('clear-attachments-btn'),
+            attachmentSummary: document.getElementById('attachment-summary'),
+            
+            // Suppression list
+            suppressionFile: document.getElementById('suppression-file'),
+            suppressionAddress: document.getElementById('suppression-address'),
+            addSuppressionBtn: document.getElementById('add-suppression-btn'),
+            clearSuppressionBtn: document.getElementById('clear-suppression-btn'),
+            suppressionSummary: document.getElementById('suppression-summary'),
+            skipRecent: document.getElementById('skip-recent'),
+            skipRecentDays: document.getElementById('skip-recent-days'),
+            
             // Preview
             previewSection: document.getElementById('preview-section'),
+            columnMapping: document.getElementById('column-mapping'),
             validationResults: document.getElementById('validation-results'),
             previewTbody: document.getElementById('preview-tbody'),
             totalEmails: document.getElementById('total-emails'),
             
             // Send options
             sendOptionsSection: document.getElementById('send-options-section'),
+            fromAlias: document.getElementById('from-alias'),
+            unsubscribeMailto: document.getElementById('unsubscribe-mailto'),
+            unsubscribeUrl: document.getElementById('unsubscribe-url'),
+            followUpSteps: document.getElementById('follow-up-steps'),
+            addFollowUpBtn: document.getElementById('add-follow-up-btn'),
             useDelay: document.getElementById('use-delay'),
+            useBatchApi: document.getElementById('use-batch-api'),
             testMode: document.getElementById('test-mode'),
+            draftMode: document.getElementById('draft-mode'),
+            draftSettings: document.getElementById('draft-settings'),
+            draftLabel: document.getElementById('draft-label'),
+            dailyLimit: document.getElementById('daily-limit'),
+            planSummary: document.getElementById('plan-summary'),
+            useSchedule: document.getElementById('use-schedule'),
+            scheduleSettings: document.getElementById('schedule-settings'),
+            scheduleStart: document.getElementById('schedule-start'),
+            useSendWindow: document.getElementById('use-send-window'),
+            windowDays: document.getElementById('window-days'),
+            windowStart: document.getElementById('window-start'),
+            windowEnd: document.getElementById('window-end'),
+            windowTimezone: document.getElementById('window-timezone'),
+            timezoneList: document.getElementById('timezone-list'),
             startSendingBtn: document.getElementById('start-sending-btn'),
             cancelBtn: document.getElementById('cancel-btn'),
             
@@ -350,6 +750,9 @@ lucia.bianchi@email.com,Newsletter Gennaio,Gentile Lucia, ecco le novità...</pr
             statRemaining: document.getElementById('stat-remaining'),
             currentRecipient: document.getElementById('current-recipient'),
             timeRemaining: document.getElementById('time-remaining'),
+            scheduleWaitInfo: document.getElementById('schedule-wait-info'),
+            scheduleCountdown: document.getElementById('schedule-countdown'),
+            scheduleWaitDetail: document.getElementById('schedule-wait-detail'),
             pauseBtn: document.getElementById('pause-btn'),
             resumeBtn: document.getElementById('resume-btn'),
             stopBtn: document.getElementById('stop-btn'),
@@ -357,16 +760,70 @@ lucia.bianchi@email.com,Newsletter Gennaio,Gentile Lucia, ecco le novità...</pr
             // Complete
             completeSection: document.getElementById('complete-section'),
             completeSummary: document.getElementById('complete-summary'),
+            completeDraftActions: document.getElementById('complete-draft-actions'),
+            bounceCheck: document.getElementById('bounce-check'),
+            checkBouncesBtn: document.getElementById('check-bounces-btn'),
+            suppressBounces: document.getElementById('suppress-bounces'),
+            bounceSummary: document.getElementById('bounce-summary'),
+            replyCheck: document.getElementById('reply-check'),
+            checkRepliesBtn: document.getElementById('check-replies-btn'),
+            replySummary: document.getElementById('reply-summary'),
             exportResultsBtn: document.getElementById('export-results-btn'),
             newBatchBtn: document.getElementById('new-batch-btn')
         };
     }
     
     #setupEventListeners() {
+        // Interrupted campaign
+        this.#elements.resumeCampaignBtn.addEventListener('click', () => this.#resumeCampaign());
+        this.#elements.discardCampaignBtn.addEventListener('click', () => this.#discardCampaign());
+        
+        // Follow-up sequences
+        this.#elements.followUpList.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-campaign-id]');
+            if (button) this.#stopFollowUps(button.dataset.campaignId);
+        });
+        
+        // Drafts under review, offered after a draft run and for a drafted campaign found on load
+        this.#container.querySelectorAll('.send-drafts-btn').forEach(button => {
+            button.addEventListener('click', () => this.#sendDrafts());
+        });
+        this.#container.querySelectorAll('.delete-drafts-btn').forEach(button => {
+            button.addEventListener('click', () => this.#deleteDrafts());
+        });
+        
         // File upload
         this.#elements.csvFile.addEventListener('change', (e) => this.#handleFileUpload(e));
         this.#elements.removeFileBtn.addEventListener('click', () => this.#removeFile());
         
+        // Attachments
+        this.#elements.attachmentFolder.addEventListener('change', (e) => this.#handleAttachmentUpload(e.target, false));
+        this.#elements.attachmentFiles.addEventListener('change', (e) => this.#handleAttachmentUpload(e.target, false));
+        this.#elements.sharedAttachments.addEventListener('change', (e) => this.#handleAttachmentUpload(e.target, true));
+        this.#elements.clearAttachmentsBtn.addEventListener('click', () => this.#clearAttachments());
+        this.#elements.attachmentSummary.addEventListener('click', (e) => {
+            if (e.target.dataset.sharedPath) {
+                attachmentLibrary.removeSharedFile(e.target.dataset.sharedPath);
+                this.#onAttachmentsChange();
+            }
+        });
+        
+        // Suppression list
+        this.#elements.suppressionFile.addEventListener('change', (e) => this.#importSuppressions(e.target));
+        this.#elements.addSuppressionBtn.addEventListener('click', () => this.#addSuppressions());
+        this.#elements.suppressionAddress.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') this.#addSuppressions();
+        });
+        this.#elements.clearSuppressionBtn.addEventListener('click', () => this.#clearSuppressions());
+        [this.#elements.skipRecent, this.#elements.skipRecentDays].forEach(input => {
+            input.addEventListener('change', () => this.#onSkipRecentChange());
+        });
+        
+        // Column mapping
+        this.#elements.columnMapping.addEventListener('change', (e) => {
+            this.#onMappingChange(e.target.dataset.field, e.target.value);
+        });
+        
         // Drag and drop
         const dropZone = this.#container.querySelector('.border-dashed');
         if (dropZone) {
@@ -391,6 +848,63 @@ lucia.bianchi@email.com,Newsletter Gennaio,Gentile Lucia, ecco le novità...</pr
             });
         }
         
+        // Scheduling
+        this.#elements.useSchedule.addEventListener('change', (e) => {
+            e.target.checked
+                ? showElement(this.#elements.scheduleSettings)
+                : hideElement(this.#elements.scheduleSettings);
+        });
+        
+        // Draft review
+        this.#elements.draftMode.addEventListener('change', (e) => {
+            if (e.target.checked && !this.#elements.draftLabel.value) {
+                const name = (this.#fileName || '').replace(/\.csv$/i, '') || new Date().toISOString().slice(0, 10);
+                this.#elements.draftLabel.value = `${CONFIG.EMAIL.DRAFT_LABEL_PREFIX}/${name}`;
+            }
+            e.target.checked
+                ? showElement(this.#elements.draftSettings)
+                : hideElement(this.#elements.draftSettings);
+        });
+        
+        // The batch API paces its own requests: the random delay does not apply
+        this.#elements.useBatchApi.addEventListener('change', (e) => {
+            this.#elements.useDelay.disabled = e.target.checked;
+        });
+        
+        // Keep the projected plan in sync with the options
+        this.#elements.sendOptionsSection.addEventListener('change', (e) => {
+            if (e.target === this.#elements.dailyLimit) {
+                campaignPlanner.setDailyLimitOverride(Number(e.target.value) || null);
+            }
+            this.#updatePlan();
+        });
+        
+        // Unsubscribe targets are remembered, and resolve {{unsubscribe_url}} in the preview checks
+        const unsubscribe = localStorage.get(UNSUBSCRIBE_KEY, { mailto: '', url: '' });
+        this.#elements.unsubscribeMailto.value = unsubscribe.mailto;
+        this.#elements.unsubscribeUrl.value = unsubscribe.url;
+        [this.#elements.unsubscribeMailto, this.#elements.unsubscribeUrl].forEach(input => {
+            input.addEventListener('change', () => {
+                localStorage.set(UNSUBSCRIBE_KEY, {
+                    mailto: this.#elements.unsubscribeMailto.value.trim(),
+                    url: this.#elements.unsubscribeUrl.value.trim()
+                }, { ttl: 0 });
+                
+                if (this.#csvData && !this.#sendingInProgress) {
+                    this.#refreshValidation();
+                }
+            });
+        });
+        
+        // Follow-up editor
+        this.#elements.addFollowUpBtn.addEventListener('click', () => this.#addFollowUpStep());
+        this.#elements.followUpSteps.addEventListener('click', (e) => {
+            if (e.target.closest('.remove-follow-up-btn')) {
+                e.target.closest('.follow-up-step').remove();
+                this.#onFollowUpStepsChange();
+            }
+        });
+        
         // Send controls
         this.#elements.startSendingBtn.addEventListener('click', () => this.#startSending());
         this.#elements.cancelBtn.addEventListener('click', () => this.#cancel());
@@ -402,6 +916,8 @@ lucia.bianchi@email.com,Newsletter Gennaio,Gentile Lucia, ecco le novità...</pr
         
         // Complete controls
         this.#elements.exportResultsBtn.addEventListener('click', () => this.#exportResults());
+        this.#elements.checkBouncesBtn.addEventListener('click', () => this.#checkBounces());
+        this.#elements.checkRepliesBtn.addEventListener('click', () => this.#checkReplies());
         this.#elements.newBatchBtn.addEventListener('click', () => this.#newBatch());
     }
     
@@ -413,7 +929,20 @@ lucia.bianchi@email.com,Newsletter Gennaio,Gentile Lucia, ecco le novità...</pr
         eventBus.on(EVENTS.BATCH.RESUMED, () => this.#onBatchResumed());
         eventBus.on(EVENTS.BATCH.STOPPED, () => this.#onBatchStopped());
         eventBus.on(EVENTS.BATCH.ERROR, (error) => this.#onBatchError(error));
-        eventBus.on(EVENTS.BATCH.QUOTA_EXCEEDED, () => this.#onQuotaExceeded());
+        eventBus.on(EVENTS.BATCH.QUOTA_EXCEEDED, (data) => this.#onQuotaExceeded(data));
+        eventBus.on(EVENTS.BATCH.WAITING, (data) => this.#onBatchWaiting(data));
+        
+        // Bounces and unsubscribes can be added while a CSV is loaded
+        eventBus.on(EVENTS.SUPPRESSION.CHANGED, () => this.#onSuppressionsChange());
+        
+        // Follow-ups are sent in the background
+        eventBus.on(EVENTS.FOLLOW_UP.UPDATED, () => this.#renderFollowUps());
+        
+        // Aliases belong to the signed-in account
+        eventBus.on(EVENTS.AUTH.SIGNOUT, () => {
+            this.#sendAsAliases = null;
+            this.#aliasesRequested = false;
+        });
     }
     
     async #handleFileUpload(event) {
@@ -437,32 +966,24 @@ lucia.bianchi@email.com,Newsletter Gennaio,Gentile Lucia, ecco le novità...</pr
                 logger.warn('CSV parsing warnings:', parsed.errors);
             }
             
-            this.#csvData = parsed.data;
-            
-            // Validate CSV structure
-            const validation = this.#validateCSV(this.#csvData);
-            
-            if (!validation.isValid) {
-                showError(validation.error);
-                this.#csvData = null;
+            if (parsed.data.length === 0) {
+                showError('Il file CSV è vuoto');
                 return;
             }
             
+            this.#csvData = parsed.data;
+            this.#fileName = file.name;
+            
+            // Detect columns, preferring the mapping chosen last time
+            this.#headers = parsed.meta.fields || Object.keys(parsed.data[0]);
+            this.#mapping = resolveColumnMapping(this.#headers, localStorage.get(COLUMN_MAPPING_KEY, {}));
+            
             // Show file info
             this.#elements.fileName.textContent = file.name;
-            this.#elements.fileRows.textContent = `${validation.validEmails.length}`;
             showElement(this.#elements.fileInfo);
             
-            // Show preview
-            this.#showPreview(validation.validEmails);
-            
-            // Show validation results
-            this.#showValidationResults(validation);
-            
-            // Show send options if valid emails exist
-            if (validation.validEmails.length > 0) {
-                showElement(this.#elements.sendOptionsSection);
-            }
+            this.#renderColumnMapping();
+            this.#refreshValidation();
             
         } catch (error) {
             logger.error('Failed to process CSV:', error);
@@ -479,12 +1000,236 @@ lucia.bianchi@email.com,Newsletter Gennaio,Gentile Lucia, ecco le novità...</pr
         });
     }
     
+    async #handleAttachmentUpload(input, shared) {
+        const files = [...input.files];
+        input.value = '';
+        
+        if (files.length === 0) return;
+        
+        try {
+            const added = shared
+                ? await attachmentLibrary.addSharedFiles(files)
+                : await attachmentLibrary.addFiles(files);
+            
+            showSuccess(shared ? `${added} allegati aggiunti a tutte le email` : `${added} file caricati`);
+            this.#onAttachmentsChange();
+            
+        } catch (error) {
+            logger.error('Failed to load attachments:', error);
+            showError('Impossibile leggere i file: controlla che lo ZIP non sia danneggiato o protetto da password');
+        }
+    }
+    
+    #clearAttachments() {
+        attachmentLibrary.clear();
+        this.#onAttachmentsChange();
+    }
+    
+    async #loadSuppressions() {
+        const skipRecent = localStorage.get(SKIP_RECENT_KEY, { enabled: false, days: 30 });
+        this.#elements.skipRecent.checked = skipRecent.enabled;
+        this.#elements.skipRecentDays.value = skipRecent.days;
+        
+        try {
+            await suppressionList.load();
+        } catch (error) {
+            logger.error('Failed to load suppression list:', error);
+        }
+        
+        this.#onSuppressionsChange();
+    }
+    
+    async #importSuppressions(input) {
+        const file = input.files[0];
+        input.value = '';
+        
+        if (!file) return;
+        
+        try {
+            const added = await suppressionList.importCSV(file);
+            showSuccess(`${added} indirizzi aggiunti alla lista di esclusione`);
+        } catch (error) {
+            logger.error('Failed to import suppression list:', error);
+            showError('Impossibile importare la lista di esclusione');
+        }
+    }
+    
+    async #addSuppressions() {
+        const addresses = splitAddresses(this.#elements.suppressionAddress.value);
+        if (addresses.length === 0) return;
+        
+        try {
+            const added = await suppressionList.add(addresses, { reason: 'manual' });
+            this.#elements.suppressionAddress.value = '';
+            added > 0
+                ? showSuccess(`${added} indirizzi aggiunti alla lista di esclusione`)
+                : showWarning('Nessun nuovo indirizzo valido da aggiungere');
+        } catch (error) {
+            logger.error('Failed to add suppressed addresses:', error);
+            showError('Impossibile aggiornare la lista di esclusione');
+        }
+    }
+    
+    async #clearSuppressions() {
+        const confirmed = await confirmDialog(
+            `Svuotare la lista di esclusione? I ${suppressionList.size} indirizzi potranno ricevere di nuovo le email.`
+        );
+        
+        if (!confirmed) return;
+        
+        try {
+            await suppressionList.clear();
+        } catch (error) {
+            logger.error('Failed to clear suppression list:', error);
+            showError('Impossibile svuotare la lista di esclusione');
+        }
+    }
+    
+    #onSkipRecentChange() {
+        localStorage.set(SKIP_RECENT_KEY, {
+            enabled: this.#elements.skipRecent.checked,
+            days: Math.floor(Number(this.#elements.skipRecentDays.value)) || 30
+        }, { ttl: 0 });
+        
+        if (this.#csvData && !this.#sendingInProgress) {
+            this.#refreshValidation();
+        }
+    }
+    
+    /**
+     * Days within which an already emailed address is skipped (0 = rule off)
+     */
+    #getRecentDays() {
+        const days = Math.floor(Number(this.#elements.skipRecentDays.value));
+        return this.#elements.skipRecent.checked && days > 0 ? days : 0;
+    }
+    
+    /**
+     * Refresh the suppression summary and revalidate the CSV against the list
+     */
+    #onSuppressionsChange() {
+        const entries = suppressionList.getAll();
+        const reasons = Object.entries(entries.reduce((counts, entry) => {
+            counts[entry.reason] = (counts[entry.reason] || 0) + 1;
+            return counts;
+        }, {}));
+        
+        this.#elements.suppressionSummary.textContent = entries.length > 0
+            ? `🚫 ${entries.length} indirizzi esclusi (${reasons.map(([reason, count]) => `${SKIP_REASONS[reason]}: ${count}`).join(', ')})`
+            : '';
+        entries.length > 0
+            ? showElement(this.#elements.clearSuppressionBtn)
+            : hideElement(this.#elements.clearSuppressionBtn);
+        
+        if (this.#csvData && !this.#sendingInProgress) {
+            this.#refreshValidation();
+        }
+    }
+    
+    /**
+     * Refresh the attachment summary and revalidate the CSV against the loaded files
+     */
+    #onAttachmentsChange() {
+        this.#renderAttachmentSummary();
+        
+        if (this.#csvData) {
+            this.#refreshValidation();
+        }
+    }
+    
+    #renderAttachmentSummary() {
+        const files = attachmentLibrary.getFiles();
+        const shared = attachmentLibrary.getSharedFiles();
+        const totalSize = files.reduce((total, file) => total + file.size, 0);
+        let html = '';
+        
+        if (files.length > 0) {
+            html += `<p>📁 ${files.length} file disponibili per la colonna allegati (${formatBytes(totalSize)})</p>`;
+        }
+        
+        if (shared.length > 0) {
+            html += `<p class="mt-1">📎 Allegati a tutte le email:</p><ul class="list-disc list-inside">${shared.map(file => `
+                <li>${this.#escapeHtml(file.path)} (${formatBytes(file.size)})
+                    <button class="text-red-600 hover:text-red-700 ml-1" data-shared-path="${this.#escapeHtml(file.path)}">✕</button>
+                </li>
+            `).join('')}</ul>`;
+        }
+        
+        this.#elements.attachmentSummary.innerHTML = html;
+        attachmentLibrary.isEmpty()
+            ? hideElement(this.#elements.clearAttachmentsBtn)
+            : showElement(this.#elements.clearAttachmentsBtn);
+    }
+    
+    /**
+     * Check that the files named by each row are loaded and that messages fit Gmail's size limit
+     * @param {Array} rows - CSV rows
+     * @returns {Object} attachmentLibrary.validate() report
+     */
+    #checkAttachments(rows) {
+        return attachmentLibrary.validate(rows.map(row => applyColumnMapping(row, this.#mapping)));
+    }
+    
+    /**
+     * Find rows whose From column is not a send-as alias of the account
+     * @param {Array} rows - CSV rows
+     * @returns {Array} [{ row, to, from }], empty until the aliases are loaded
+     */
+    #checkSenders(rows) {
+        if (!this.#sendAsAliases) return [];
+        
+        const known = new Set(this.#sendAsAliases.map(alias => alias.email.toLowerCase()));
+        const report = [];
+        
+        rows.forEach((row, index) => {
+            const { to, from } = applyColumnMapping(row, this.#mapping);
+            const email = (/<([^<>]+)>\s*$/.exec(from)?.[1] || from).trim().toLowerCase();
+            
+            if (email && !known.has(email)) {
+                report.push({ row: index + 1, to, from });
+            }
+        });
+        
+        return report;
+    }
+    
+    /**
+     * Fill the From selector with the account's send-as aliases (once per sign-in)
+     */
+    async #loadSendAsAliases() {
+        if (this.#aliasesRequested) return;
+        this.#aliasesRequested = true;
+        
+        try {
+            this.#sendAsAliases = await gmailClient.getSendAsAliases();
+        } catch (error) {
+            logger.warn('Send-as aliases not available:', error);
+            return;
+        }
+        
+        this.#elements.fromAlias.innerHTML = this.#sendAsAliases.map(alias => `
+            <option value="${this.#escapeHtml(alias.email)}" ${alias.isDefault ? 'selected' : ''}>
+                ${this.#escapeHtml(alias.name ? `${alias.name} <${alias.email}>` : alias.email)}${alias.signature ? ' ✍️' : ''}
+            </option>
+        `).join('');
+        
+        // Check the From column against the aliases
+        if (this.#csvData && !this.#sendingInProgress) {
+            this.#refreshValidation();
+        }
+    }
+    
     #validateCSV(data) {
         const result = {
             isValid: false,
             validEmails: [],
             invalidRows: [],
             missingFields: [],
+            templateReport: [],
+            attachmentReport: { missing: [], oversized: [] },
+            senderReport: [],
+            skippedRows: [],
+            typoReport: [],
             error: null
         };
         
@@ -494,45 +1239,89 @@ lucia.bianchi@email.com,Newsletter Gennaio,Gentile Lucia, ecco le novità...</pr
             return result;
         }
         
-        const firstRow = data[0];
-        const requiredColumns = ['destinatario', 'oggetto', 'contenuto'];
-        const missingColumns = requiredColumns.filter(col => !(col in firstRow));
+        const missingColumns = getMissingFields(this.#mapping);
         
         if (missingColumns.length > 0) {
-            result.error = `Colonne mancanti nel CSV: ${missingColumns.join(', ')}`;
+            result.error = `Associa una colonna a: ${missingColumns.map(field => this.#getFieldLabel(field)).join(', ')}`;
             return result;
         }
         
         // Validate each row
-        const emailRegex = CONFIG.VALIDATION.EMAIL_REGEX;
+        const recentDays = this.#getRecentDays();
         
         data.forEach((row, index) => {
-            const email = row.destinatario?.trim();
-            const subject = row.oggetto?.trim();
-            const content = row.contenuto?.trim();
+            const fields = applyColumnMapping(row, this.#mapping);
+            const { to: email, subject, body: content, thread } = fields;
+            const error = this.#getRowError(fields, row);
             
-            if (!email || !subject || !content) {
+            // Replies may keep the subject of the thread
+            if (!email || (!subject && !thread) || !content) {
                 result.missingFields.push({
                     row: index + 1,
                     missing: [
-                        !email && 'destinatario',
-                        !subject && 'oggetto',
-                        !content && 'contenuto'
+                        !email && 'to',
+                        !subject && !thread && 'subject',
+                        !content && 'body'
                     ].filter(Boolean)
                 });
-            } else if (!emailRegex.test(email)) {
+            } else if (error) {
                 result.invalidRows.push({
                     row: index + 1,
                     email,
-                    reason: 'Email non valida'
+                    reason: error
                 });
             } else {
-                result.validEmails.push(row);
+                // One suppressed recipient keeps the whole email from going out
+                const skip = getAddresses(email)
+                    .map(address => {
+                        const match = suppressionList.check(address, { recentDays });
+                        return match && { email: address, ...match };
+                    })
+                    .find(Boolean);
+                
+                if (skip) {
+                    result.skippedRows.push({ row: index + 1, ...skip });
+                } else {
+                    result.validEmails.push(row);
+                    
+                    // Valid, but probably mistyped (gmial.com)
+                    [fields.to, fields.cc, fields.bcc].flatMap(value => parseAddressList(value).addresses).forEach(parsed => {
+                        const suggestion = suggestAddressFix(parsed.address);
+                        if (suggestion) {
+                            result.typoReport.push({ row: index + 1, email: parsed.address, suggestion });
+                        }
+                    });
+                }
             }
         });
         
         result.isValid = result.validEmails.length > 0;
         
+        // Merge fields such as {{nome}} in subject and content that no column fills
+        const links = this.#hasUnsubscribe() ? { unsubscribe_url: '#' } : {};
+        result.templateReport = getTemplateReport(row => {
+            const { subject, body, text } = applyColumnMapping(row, this.#mapping);
+            return { subject, body, text };
+        }, result.validEmails.map(row => ({ ...row, ...links }))).map(entry => ({
+            ...entry,
+            to: applyColumnMapping(result.validEmails[entry.row - 1], this.#mapping).to
+        }));
+        
+        // A template that does not parse cannot be rendered at all: block the batch
+        const syntaxError = result.templateReport
+            .flatMap(entry => entry.unresolved
+                .filter(item => item.reason === 'syntax')
+                .map(item => ({ to: entry.to, ...item })))[0];
+        
+        if (syntaxError) {
+            result.isValid = false;
+            result.error = `Errore di sintassi nei segnaposto (${this.#getFieldLabel(syntaxError.field)} per ${syntaxError.to}): ` +
+                `${syntaxError.name}. Correggi il CSV prima di inviare`;
+        }
+        
+        result.attachmentReport = this.#checkAttachments(result.validEmails);
+        result.senderReport = this.#checkSenders(result.validEmails);
+        
         if (!result.isValid && !result.error) {
             result.error = 'Nessuna email valida trovata nel CSV';
         }
@@ -540,22 +1329,55 @@ lucia.bianchi@email.com,Newsletter Gennaio,Gentile Lucia, ecco le novità...</pr
         return result;
     }
     
+    /**
+     * Why a row with all required fields cannot be sent
+     * Recipient, Cc, Bcc and Reply-To are address lists; header:* columns must name a custom header
+     * @returns {string|null} Reason, or null for a valid row
+     */
+    #getRowError(fields, row) {
+        const lists = [['to', 'Email'], ['cc', 'Cc'], ['bcc', 'Ccn'], ['replyTo', 'Rispondi a']];
+        for (const [field, label] of lists) {
+            const [invalid] = parseAddressList(fields[field]).invalid;
+            if (invalid) {
+                return `${label} non valido: ${invalid.input}${invalid.suggestion ? ` (forse ${invalid.suggestion}?)` : ''}`;
+            }
+        }
+        
+        const header = Object.keys(getCustomHeaders(row)).find(name => !isCustomHeaderAllowed(name));
+        if (header) {
+            return `Intestazione non consentita: ${header}`;
+        }
+        
+        if (!this.#isValidSendAt(fields.sendAt)) {
+            return 'Data send_at non valida';
+        }
+        
+        return null;
+    }
+    
     #showPreview(emails) {
         showElement(this.#elements.previewSection);
         
         // Show first 5 emails
         const preview = emails.slice(0, 5);
         
-        this.#elements.previewTbody.innerHTML = preview.map(email => `
+        this.#elements.previewTbody.innerHTML = preview
+            .map(row => ({ ...applyColumnMapping(row, this.#mapping), headers: getCustomHeaders(row) }))
+            .map(email => `
             <tr>
                 <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
-                    ${this.#escapeHtml(email.destinatario)}
+                    ${this.#escapeHtml(email.to)}
+                    ${[['Cc', email.cc], ['Ccn', email.bcc], ['Rispondi a', email.replyTo]]
+                        .concat(Object.entries(email.headers))
+                        .filter(([, value]) => value)
+                        .map(([name, value]) => `<div class="text-xs text-gray-500">${this.#escapeHtml(name)}: ${this.#escapeHtml(value)}</div>`)
+                        .join('')}
                 </td>
                 <td class="px-6 py-4 text-sm text-gray-900">
-                    ${this.#escapeHtml(email.oggetto)}
+                    ${this.#escapeHtml(email.subject)}
                 </td>
                 <td class="px-6 py-4 text-sm text-gray-500">
-                    ${this.#escapeHtml(email.contenuto.substring(0, 50))}${email.contenuto.length > 50 ? '...' : ''}
+                    ${this.#escapeHtml(email.body.substring(0, 50))}${email.body.length > 50 ? '...' : ''}
                 </td>
             </tr>
         `).join('');
@@ -566,8 +1388,19 @@ lucia.bianchi@email.com,Newsletter Gennaio,Gentile Lucia, ecco le novità...</pr
     #showValidationResults(validation) {
         let html = '';
         
-        // Valid emails
-        if (validation.validEmails.length > 0) {
+        // Structural error (e.g. required column not mapped)
+        if (validation.error) {
+            html += `
+                <div class="p-3 bg-red-50 border border-red-200 rounded-lg mb-2">
+                    <span class="text-red-800 font-medium">
+                        ❌ ${this.#escapeHtml(validation.error)}
+                    </span>
+                </div>
+            `;
+        }
+        
+        // Valid emails
+        if (validation.validEmails.length > 0) {
             html += `
                 <div class="p-3 bg-green-50 border border-green-200 rounded-lg mb-2">
                     <span class="text-green-800 font-medium">
@@ -579,11 +1412,122 @@ lucia.bianchi@email.com,Newsletter Gennaio,Gentile Lucia, ecco le novità...</pr
         
         // Invalid emails
         if (validation.invalidRows.length > 0) {
+            const details = validation.invalidRows.slice(0, 5).map(entry => `
+                <li>Riga ${entry.row} (${this.#escapeHtml(entry.email)}): ${this.#escapeHtml(entry.reason)}</li>
+            `).join('');
+            
             html += `
                 <div class="p-3 bg-red-50 border border-red-200 rounded-lg mb-2">
                     <span class="text-red-800 font-medium">
                         ❌ ${validation.invalidRows.length} email non valide (verranno saltate)
                     </span>
+                    <ul class="list-disc list-inside text-xs text-red-700 mt-1">${details}</ul>
+                    ${validation.invalidRows.length > 5 ? `<p class="text-xs text-red-700 mt-1">… e altre ${validation.invalidRows.length - 5}</p>` : ''}
+                </div>
+            `;
+        }
+        
+        // Suppressed or recently emailed recipients
+        if (validation.skippedRows.length > 0) {
+            const details = validation.skippedRows.slice(0, 5).map(entry => `
+                <li>${this.#escapeHtml(entry.email)}: ${SKIP_REASONS[entry.reason] || entry.reason} il ${this.#escapeHtml(new Date(entry.since).toLocaleDateString())}</li>
+            `).join('');
+            
+            html += `
+                <div class="p-3 bg-yellow-50 border border-yellow-200 rounded-lg mb-2">
+                    <span class="text-yellow-800 font-medium">
+                        🚫 ${validation.skippedRows.length} destinatari esclusi (verranno saltati)
+                    </span>
+                    <ul class="list-disc list-inside text-xs text-yellow-700 mt-1">${details}</ul>
+                    ${validation.skippedRows.length > 5 ? `<p class="text-xs text-yellow-700 mt-1">… e altri ${validation.skippedRows.length - 5}</p>` : ''}
+                </div>
+            `;
+        }
+        
+        // Addresses that look like typos of a common provider
+        if (validation.typoReport.length > 0) {
+            const details = validation.typoReport.slice(0, 5).map(entry => `
+                <li>Riga ${entry.row}: ${this.#escapeHtml(entry.email)} → ${this.#escapeHtml(entry.suggestion)}?</li>
+            `).join('');
+            
+            html += `
+                <div class="p-3 bg-yellow-50 border border-yellow-200 rounded-lg mb-2">
+                    <span class="text-yellow-800 font-medium">
+                        ✏️ ${validation.typoReport.length} indirizzi forse scritti male (verranno usati così, correggi il CSV se serve)
+                    </span>
+                    <ul class="list-disc list-inside text-xs text-yellow-700 mt-1">${details}</ul>
+                    ${validation.typoReport.length > 5 ? `<p class="text-xs text-yellow-700 mt-1">… e altri ${validation.typoReport.length - 5}</p>` : ''}
+                </div>
+            `;
+        }
+        
+        // Unresolved merge fields
+        if (validation.templateReport.length > 0) {
+            const reasons = { missing: 'colonna inesistente', empty: 'valore vuoto', syntax: 'errore di sintassi' };
+            const details = validation.templateReport.slice(0, 5).map(entry => `
+                <li>${this.#escapeHtml(entry.to)}: ${entry.unresolved
+                    .map(item => `${this.#escapeHtml(`{{${item.name}}}`)} (${reasons[item.reason]})`)
+                    .join(', ')}</li>
+            `).join('');
+            
+            html += `
+                <div class="p-3 bg-yellow-50 border border-yellow-200 rounded-lg mb-2">
+                    <span class="text-yellow-800 font-medium">
+                        ⚠️ ${validation.templateReport.length} email con segnaposto non risolti (verranno lasciati vuoti)
+                    </span>
+                    <ul class="list-disc list-inside text-xs text-yellow-700 mt-1">${details}</ul>
+                    ${validation.templateReport.length > 5 ? `<p class="text-xs text-yellow-700 mt-1">… e altre ${validation.templateReport.length - 5}</p>` : ''}
+                </div>
+            `;
+        }
+        
+        // Attachments not uploaded, or too large for Gmail
+        const { missing, oversized } = validation.attachmentReport;
+        
+        if (missing.length > 0) {
+            const details = missing.slice(0, 5).map(entry => `
+                <li>${this.#escapeHtml(entry.to)}: ${this.#escapeHtml(entry.names.join(', '))}</li>
+            `).join('');
+            
+            html += `
+                <div class="p-3 bg-red-50 border border-red-200 rounded-lg mb-2">
+                    <span class="text-red-800 font-medium">
+                        ❌ ${missing.length} email con allegati non caricati
+                    </span>
+                    <ul class="list-disc list-inside text-xs text-red-700 mt-1">${details}</ul>
+                    ${missing.length > 5 ? `<p class="text-xs text-red-700 mt-1">… e altre ${missing.length - 5}</p>` : ''}
+                </div>
+            `;
+        }
+        
+        if (oversized.length > 0) {
+            const details = oversized.slice(0, 5).map(entry => `
+                <li>${this.#escapeHtml(entry.to)}: ~${formatBytes(entry.size)}</li>
+            `).join('');
+            
+            html += `
+                <div class="p-3 bg-red-50 border border-red-200 rounded-lg mb-2">
+                    <span class="text-red-800 font-medium">
+                        ❌ ${oversized.length} email superano il limite di ${CONFIG.EMAIL.MAX_EMAIL_SIZE_MB} MB
+                    </span>
+                    <ul class="list-disc list-inside text-xs text-red-700 mt-1">${details}</ul>
+                </div>
+            `;
+        }
+        
+        // From addresses the account cannot send as
+        if (validation.senderReport.length > 0) {
+            const details = validation.senderReport.slice(0, 5).map(entry => `
+                <li>${this.#escapeHtml(entry.to)}: ${this.#escapeHtml(entry.from)}</li>
+            `).join('');
+            
+            html += `
+                <div class="p-3 bg-red-50 border border-red-200 rounded-lg mb-2">
+                    <span class="text-red-800 font-medium">
+                        ❌ ${validation.senderReport.length} email con un mittente che non è un alias di invio dell'account
+                    </span>
+                    <ul class="list-disc list-inside text-xs text-red-700 mt-1">${details}</ul>
+                    ${validation.senderReport.length > 5 ? `<p class="text-xs text-red-700 mt-1">… e altre ${validation.senderReport.length - 5}</p>` : ''}
                 </div>
             `;
         }
@@ -602,8 +1546,67 @@ lucia.bianchi@email.com,Newsletter Gennaio,Gentile Lucia, ecco le novità...</pr
         this.#elements.validationResults.innerHTML = html;
     }
     
+    #renderColumnMapping() {
+        const options = this.#headers
+            .map(header => `<option value="${this.#escapeHtml(header)}">${this.#escapeHtml(header)}</option>`)
+            .join('');
+        
+        this.#elements.columnMapping.innerHTML = MAPPABLE_FIELDS.map(({ key, required }) => `
+            <div class="form-group">
+                <label for="map-${key}" class="form-label">
+                    <span data-i18n="${FIELD_LABELS[key][0]}">${FIELD_LABELS[key][1]}</span>${required ? ' *' : ''}
+                </label>
+                <select id="map-${key}" data-field="${key}" class="form-select">
+                    <option value="" data-i18n="sender.mapNone">— not used —</option>
+                    ${options}
+                </select>
+            </div>
+        `).join('');
+        
+        MAPPABLE_FIELDS.forEach(({ key }) => {
+            this.#container.querySelector(`#map-${key}`).value = this.#mapping[key] || '';
+        });
+        
+        if (window.i18nInstance) {
+            window.i18nInstance.applyTranslations();
+        }
+    }
+    
+    #onMappingChange(field, header) {
+        if (!field || !this.#mapping) return;
+        
+        this.#mapping[field] = header || null;
+        localStorage.set(COLUMN_MAPPING_KEY, this.#mapping, { ttl: 0 });
+        
+        this.#refreshValidation();
+    }
+    
+    /**
+     * Validate the CSV with the current mapping and refresh preview and options
+     */
+    #refreshValidation() {
+        const validation = this.#validateCSV(this.#csvData);
+        
+        this.#elements.fileRows.textContent = `${validation.validEmails.length}`;
+        
+        this.#showPreview(validation.validEmails);
+        this.#showValidationResults(validation);
+        
+        // Show send options if the emails can be sent
+        if (validation.isValid) {
+            showElement(this.#elements.sendOptionsSection);
+            this.#updatePlan();
+            this.#loadSendAsAliases();
+        } else {
+            hideElement(this.#elements.sendOptionsSection);
+        }
+    }
+    
     #removeFile() {
         this.#csvData = null;
+        this.#headers = [];
+        this.#mapping = null;
+        this.#fileName = null;
         this.#elements.csvFile.value = '';
         hideElement(this.#elements.fileInfo);
         hideElement(this.#elements.previewSection);
@@ -617,28 +1620,70 @@ lucia.bianchi@email.com,Newsletter Gennaio,Gentile Lucia, ecco le novità...</pr
         }
         
         const validation = this.#validateCSV(this.#csvData);
-        if (validation.validEmails.length === 0) {
-            showError('Nessuna email valida da inviare');
+        if (!validation.isValid) {
+            showError(validation.error || 'Nessuna email valida da inviare');
+            return;
+        }
+        
+        let schedule;
+        let unsubscribe;
+        let followUps;
+        try {
+            schedule = this.#getScheduleOptions();
+            unsubscribe = this.#getUnsubscribeOptions();
+            followUps = this.#getFollowUpOptions();
+        } catch (error) {
+            showError(error.message);
             return;
         }
         
         // Check test mode
-        let emailsToSend = validation.validEmails;
+        const emailsToSend = this.#getEmailsToSend(validation.validEmails);
         if (this.#elements.testMode.checked) {
-            emailsToSend = emailsToSend.slice(0, 3);
             showWarning('Modalità test: verranno inviate solo 3 email');
         }
         
-        // Confirm sending
-        const confirmed = await confirmDialog(
-            `Confermi l'invio di ${emailsToSend.length} email?`
-        );
+        const attachmentCheck = this.#checkAttachments(emailsToSend);
+        if (attachmentCheck.missing.length > 0 || attachmentCheck.oversized.length > 0) {
+            showError('Carica gli allegati mancanti o riduci quelli troppo grandi prima di iniziare');
+            return;
+        }
+        
+        if (this.#checkSenders(emailsToSend).length > 0) {
+            showError('Nella colonna mittente usa solo indirizzi configurati in Gmail come "Invia messaggio come"');
+            return;
+        }
+        
+        // Confirm sending, with the finish date when the quota spreads it over several days
+        const drafts = this.#elements.draftMode.checked;
+        const draftLabel = this.#elements.draftLabel.value.trim();
+        const plan = drafts ? null : this.#getPlan(emailsToSend, schedule);
+        let message = drafts
+            ? `Creare ${emailsToSend.length} bozze con l'etichetta "${draftLabel || CONFIG.EMAIL.DRAFT_LABEL_PREFIX}"? Nessuna email verrà inviata.`
+            : `Confermi l'invio di ${emailsToSend.length} email?`;
+        
+        const unresolved = validation.templateReport.filter(entry => emailsToSend.includes(validation.validEmails[entry.row - 1]));
+        if (unresolved.length > 0) {
+            message += ` Attenzione: ${unresolved.length} email contengono segnaposto non risolti.`;
+        }
+        
+        if (followUps.length > 0) {
+            message += ` Chi non risponde riceverà fino a ${followUps.length} follow-up nello stesso thread.`;
+        }
+        
+        if (plan?.days > 1) {
+            message += ` L'invio richiederà ${plan.days} giorni (limite ${plan.dailyLimit}/giorno) ` +
+                `e terminerà circa il ${new Date(plan.finishAt).toLocaleString()}. Tieni aperta questa scheda.`;
+        }
+        
+        const confirmed = await confirmDialog(message);
         
         if (!confirmed) return;
         
         this.#sendingInProgress = true;
         
         // Hide other sections
+        hideElement(this.#elements.resumeSection);
         hideElement(this.#elements.sendOptionsSection);
         hideElement(this.#elements.previewSection);
         
@@ -647,13 +1692,26 @@ lucia.bianchi@email.com,Newsletter Gennaio,Gentile Lucia, ecco le novità...</pr
         
         try {
             // Process CSV - now we pass the actual email data structure
-            await emailSender.processCSVDirect(emailsToSend);
+            localStorage.set(COLUMN_MAPPING_KEY, this.#mapping, { ttl: 0 });
+            
+            await emailSender.processCSVDirect(emailsToSend, {
+                name: this.#fileName,
+                mapping: this.#mapping
+            });
             
             // Start sending with options
             await emailSender.startBatch({
+                from: this.#elements.fromAlias.value,
+                mode: drafts ? 'draft' : 'send',
+                draftLabel,
                 delayBetweenEmails: this.#elements.useDelay.checked,
+                useBatchAPI: this.#elements.useBatchApi.checked,
+                recentDays: this.#getRecentDays(),
+                unsubscribe,
+                followUps,
                 minDelay: CONFIG.RATE_LIMITS.MIN_DELAY_MS,
-                maxDelay: CONFIG.RATE_LIMITS.MAX_DELAY_MS
+                maxDelay: CONFIG.RATE_LIMITS.MAX_DELAY_MS,
+                ...schedule
             });
             
         } catch (error) {
@@ -663,6 +1721,417 @@ lucia.bianchi@email.com,Newsletter Gennaio,Gentile Lucia, ecco le novità...</pr
         }
     }
     
+    #getEmailsToSend(validEmails) {
+        return this.#elements.testMode.checked ? validEmails.slice(0, 3) : validEmails;
+    }
+    
+    #getPlan(emails, schedule) {
+        try {
+            return campaignPlanner.plan(
+                emails.map(row => ({
+                    sendAt: parseSendAt(applyColumnMapping(row, this.#mapping).sendAt)?.toISOString()
+                })),
+                {
+                    ...schedule,
+                    delayBetweenEmails: this.#elements.useDelay.checked,
+                    useBatchAPI: this.#elements.useBatchApi.checked
+                }
+            );
+        } catch (error) {
+            logger.warn('Failed to plan campaign:', error);
+            return null;
+        }
+    }
+    
+    /**
+     * Show how the queue is split across days by the daily quota
+     */
+    #updatePlan() {
+        if (!this.#csvData) return;
+        
+        let schedule;
+        try {
+            schedule = this.#getScheduleOptions();
+        } catch {
+            // Incomplete schedule: plan as if sending now
+            schedule = {};
+        }
+        
+        const validation = this.#validateCSV(this.#csvData);
+        const plan = this.#getPlan(this.#getEmailsToSend(validation.validEmails), schedule);
+        
+        if (!plan || plan.total === 0) {
+            this.#elements.planSummary.textContent = '';
+            return;
+        }
+        
+        const account = plan.accountType === 'workspace' ? 'Google Workspace' : 'Gmail';
+        let html = `📅 <strong>${plan.total} email in ${plan.days} ${plan.days === 1 ? 'giorno' : 'giorni'}</strong> ` +
+            `(limite ${plan.dailyLimit}/giorno, account ${account}, ${plan.availableNow} disponibili ora) · ` +
+            `fine prevista: ${this.#escapeHtml(new Date(plan.finishAt).toLocaleString())}`;
+        
+        if (this.#elements.useBatchApi.checked && plan.total > plan.availableNow) {
+            html += `<p class="text-yellow-700 mt-1">⚡ Con la batch API le ${plan.availableNow} email disponibili ` +
+                `partono in pochi minuti; le altre attendono che la quota giornaliera si liberi.</p>`;
+        }
+        
+        if (plan.days > 1) {
+            html += `<ul class="list-disc list-inside mt-1">${plan.slices
+                .map(slice => `<li>${slice.date}: ${slice.count} email</li>`)
+                .join('')}</ul>`;
+        }
+        
+        this.#elements.planSummary.innerHTML = html;
+    }
+    
+    #renderScheduleDefaults() {
+        const { days, start, end, timeZone } = DEFAULT_SEND_WINDOW;
+        const weekdayFormat = new Intl.DateTimeFormat(i18n.currentLang, { weekday: 'short' });
+        
+        // Monday first; 2024-01-01 was a Monday
+        this.#elements.windowDays.innerHTML = [1, 2, 3, 4, 5, 6, 0].map(day => `
+            <label class="flex items-center text-sm text-gray-700">
+                <input type="checkbox" 
+                       name="window-day" 
+                       value="${day}" 
+                       ${days.includes(day) ? 'checked' : ''}
+                       class="mr-1">
+                ${weekdayFormat.format(new Date(2024, 0, day === 0 ? 7 : day))}
+            </label>
+        `).join('');
+        
+        this.#elements.windowStart.value = start;
+        this.#elements.windowEnd.value = end;
+        this.#elements.windowTimezone.value = timeZone;
+        this.#elements.dailyLimit.value = campaignPlanner.getDailyLimitOverride() || '';
+        
+        const timeZones = Intl.supportedValuesOf?.('timeZone') || [timeZone];
+        this.#elements.timezoneList.innerHTML = timeZones
+            .map(zone => `<option value="${zone}"></option>`)
+            .join('');
+    }
+    
+    /**
+     * Read schedule options from the form
+     * @returns {Object} { startAt, sendWindow } for startBatch
+     */
+    #getScheduleOptions() {
+        if (!CONFIG.FEATURES.ENABLE_SCHEDULING || !this.#elements.useSchedule.checked) {
+            return { startAt: null, sendWindow: null };
+        }
+        
+        const startValue = this.#elements.scheduleStart.value;
+        const startAt = startValue ? new Date(startValue) : null;
+        
+        if (startAt && isNaN(startAt.getTime())) {
+            throw new Error('Data di inizio non valida');
+        }
+        
+        if (!this.#elements.useSendWindow.checked) {
+            return { startAt: startAt?.toISOString() || null, sendWindow: null };
+        }
+        
+        const days = [...this.#elements.windowDays.querySelectorAll('input:checked')]
+            .map(input => Number(input.value));
+        
+        if (days.length === 0) {
+            throw new Error('Seleziona almeno un giorno per la finestra di invio');
+        }
+        
+        if (this.#elements.windowStart.value >= this.#elements.windowEnd.value) {
+            throw new Error('L\'orario di fine deve essere successivo a quello di inizio');
+        }
+        
+        const timeZone = this.#elements.windowTimezone.value.trim();
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone });
+        } catch {
+            throw new Error(`Fuso orario non valido: ${timeZone}`);
+        }
+        
+        return {
+            startAt: startAt?.toISOString() || null,
+            sendWindow: {
+                days,
+                start: this.#elements.windowStart.value,
+                end: this.#elements.windowEnd.value,
+                timeZone
+            }
+        };
+    }
+    
+    #hasUnsubscribe() {
+        return Boolean(this.#elements.unsubscribeMailto.value.trim() || this.#elements.unsubscribeUrl.value.trim());
+    }
+    
+    /**
+     * Read the unsubscribe targets of the campaign
+     * @returns {Object|null} { mailto, url }, or null when none is set
+     */
+    #getUnsubscribeOptions() {
+        const mailto = this.#elements.unsubscribeMailto.value.trim().replace(/^mailto:/i, '');
+        const url = this.#elements.unsubscribeUrl.value.trim();
+        
+        if (mailto && !isValidAddress(mailto)) {
+            throw new Error(`Indirizzo di disiscrizione non valido: ${mailto}`);
+        }
+        
+        if (url && !/^https?:\/\/[^\s/]+/i.test(url)) {
+            throw new Error(`Link di disiscrizione non valido: ${url}`);
+        }
+        
+        return mailto || url ? { mailto, url } : null;
+    }
+    
+    #addFollowUpStep() {
+        const step = document.createElement('div');
+        step.className = 'follow-up-step p-3 border border-gray-200 rounded-lg';
+        step.innerHTML = `
+            <div class="flex flex-wrap items-center gap-2 text-sm text-gray-700">
+                <span class="font-medium">#<span class="follow-up-number"></span></span>
+                <span data-i18n="sender.followUpAfter">If there is no reply after</span>
+                <input type="number" name="follow-up-days" min="1" max="365" value="3" class="form-input w-20">
+                <span data-i18n="sender.days">days</span>
+                <button type="button" class="remove-follow-up-btn text-red-600 hover:text-red-700 ml-auto" data-i18n="sender.remove">
+                    Remove
+                </button>
+            </div>
+            <input type="text"
+                   name="follow-up-subject"
+                   class="form-input w-full mt-2"
+                   data-i18n-placeholder="sender.followUpSubject"
+                   placeholder="Subject (empty = Re: original subject)">
+            <textarea name="follow-up-body"
+                      rows="4"
+                      class="form-input w-full mt-2"
+                      data-i18n-placeholder="sender.followUpBody"
+                      placeholder="Content, text or HTML"></textarea>
+        `;
+        
+        this.#elements.followUpSteps.appendChild(step);
+        this.#onFollowUpStepsChange();
+        
+        if (window.i18nInstance) {
+            window.i18nInstance.applyTranslations();
+        }
+    }
+    
+    #onFollowUpStepsChange() {
+        const steps = [...this.#elements.followUpSteps.querySelectorAll('.follow-up-step')];
+        
+        steps.forEach((step, index) => {
+            step.querySelector('.follow-up-number').textContent = index + 1;
+        });
+        
+        this.#elements.addFollowUpBtn.classList.toggle('hidden', steps.length >= CONFIG.EMAIL.MAX_FOLLOW_UPS);
+    }
+    
+    /**
+     * Read the follow-up steps of the campaign
+     * @returns {Array} [{ delayDays, subject, body }], empty without steps
+     */
+    #getFollowUpOptions() {
+        return [...this.#elements.followUpSteps.querySelectorAll('.follow-up-step')].map((step, index) => {
+            const delayDays = Number(step.querySelector('[name="follow-up-days"]').value);
+            const body = step.querySelector('[name="follow-up-body"]').value.trim();
+            
+            if (!Number.isInteger(delayDays) || delayDays < 1) {
+                throw new Error(`Follow-up ${index + 1}: indica dopo quanti giorni inviarlo`);
+            }
+            if (!body) {
+                throw new Error(`Follow-up ${index + 1}: scrivi il contenuto`);
+            }
+            
+            return {
+                delayDays,
+                subject: step.querySelector('[name="follow-up-subject"]').value.trim(),
+                body
+            };
+        });
+    }
+    
+    async #renderFollowUps() {
+        let sequences;
+        try {
+            sequences = await followUpScheduler.getActiveSequences();
+        } catch (error) {
+            logger.warn('Failed to load follow-up sequences:', error);
+            return;
+        }
+        
+        this.#elements.followUpList.innerHTML = sequences.map(sequence => `
+            <li class="flex flex-wrap items-center gap-3">
+                <span>
+                    "${this.#escapeHtml(sequence.name)}" (${sequence.steps} follow-up): ${sequence.active} in attesa di risposta,
+                    ${sequence.replied} hanno risposto, ${sequence.completed} a fine sequenza ·
+                    prossimo invio ${this.#escapeHtml(new Date(sequence.nextAt).toLocaleString())}
+                </span>
+                <button type="button" class="btn btn-secondary" data-campaign-id="${this.#escapeHtml(sequence.id)}">
+                    ⏹️ Interrompi
+                </button>
+            </li>
+        `).join('');
+        
+        sequences.length > 0
+            ? showElement(this.#elements.followUpSection)
+            : hideElement(this.#elements.followUpSection);
+    }
+    
+    async #stopFollowUps(campaignId) {
+        const confirmed = await confirmDialog('Interrompere i follow-up di questa campagna? Chi non ha risposto non riceverà altre email.');
+        if (!confirmed) return;
+        
+        try {
+            await followUpScheduler.stopSequence(campaignId);
+            showSuccess('Follow-up interrotti');
+        } catch (error) {
+            logger.error('Failed to stop follow-ups:', error);
+            showError('Impossibile interrompere i follow-up');
+        }
+    }
+    
+    async #checkInterruptedCampaign() {
+        const campaign = await emailSender.findInterruptedCampaign();
+        
+        if (!campaign || this.#sendingInProgress) return;
+        
+        this.#interruptedCampaign = campaign;
+        
+        const { counts } = campaign;
+        const reviewing = campaign.status === 'drafted';
+        let summary = reviewing
+            ? `"${campaign.name}": ${counts.drafted} bozze in revisione con l'etichetta "${campaign.options?.draftLabel || ''}"`
+            : `"${campaign.name}" (${new Date(campaign.updatedAt).toLocaleString()}): ` +
+                `${counts.sent} inviate, ${counts.pending} in attesa`;
+        
+        if (counts.sending > 0) {
+            summary += `, ${counts.sending} interrotte durante l'invio (non verranno reinviate)`;
+        }
+        
+        this.#elements.resumeSummary.textContent = summary;
+        this.#elements.resumeActions.classList.toggle('hidden', reviewing);
+        this.#elements.resumeDraftActions.classList.toggle('hidden', !reviewing);
+        showElement(this.#elements.resumeSection);
+    }
+    
+    async #resumeCampaign() {
+        const campaign = this.#interruptedCampaign;
+        if (!campaign) return;
+        
+        this.#interruptedCampaign = null;
+        hideElement(this.#elements.resumeSection);
+        
+        try {
+            const restored = await emailSender.restoreCampaign(campaign.id);
+            
+            if (restored.interrupted > 0) {
+                showWarning(`${restored.interrupted} email interrotte durante l'invio non verranno reinviate: controlla la cartella Posta inviata`);
+            }
+            
+            this.#sendingInProgress = true;
+            
+            hideElement(this.#elements.sendOptionsSection);
+            hideElement(this.#elements.previewSection);
+            showElement(this.#elements.progressSection);
+            this.#onBatchProgress(emailSender.getProgress());
+            
+            // Options of the original start are restored with the campaign
+            await emailSender.startBatch();
+            
+        } catch (error) {
+            logger.error('Failed to resume campaign:', error);
+            showError(error.message);
+            this.#reset();
+        }
+    }
+    
+    async #discardCampaign() {
+        const campaign = this.#interruptedCampaign;
+        if (!campaign) return;
+        
+        const confirmed = await confirmDialog(
+            `Scartare la campagna "${campaign.name}"? Le ${campaign.counts.pending} email in attesa non verranno inviate.`
+        );
+        
+        if (!confirmed) return;
+        
+        this.#interruptedCampaign = null;
+        hideElement(this.#elements.resumeSection);
+        
+        try {
+            await emailSender.discardCampaign(campaign.id);
+        } catch (error) {
+            logger.error('Failed to discard campaign:', error);
+            showError(error.message);
+        }
+    }
+    
+    /**
+     * Load the drafted campaign found on start, if the action came from the resume section
+     * @returns {Promise<number>} Drafts under review
+     */
+    async #loadDraftCampaign() {
+        const campaign = this.#interruptedCampaign;
+        
+        if (campaign) {
+            this.#interruptedCampaign = null;
+            hideElement(this.#elements.resumeSection);
+            await emailSender.restoreCampaign(campaign.id);
+        }
+        
+        return emailSender.getProgress().drafted;
+    }
+    
+    async #sendDrafts() {
+        const count = this.#interruptedCampaign?.counts.drafted ?? emailSender.getProgress().drafted;
+        const confirmed = await confirmDialog(
+            `Inviare ${count} bozze? Partiranno come sono ora in Gmail, con le modifiche fatte in revisione.`
+        );
+        
+        if (!confirmed) return;
+        
+        try {
+            await this.#loadDraftCampaign();
+            
+            this.#sendingInProgress = true;
+            
+            hideElement(this.#elements.completeSection);
+            hideElement(this.#elements.sendOptionsSection);
+            hideElement(this.#elements.previewSection);
+            showElement(this.#elements.progressSection);
+            
+            // Delay and batch API options of the draft run apply to the sending
+            const sending = emailSender.sendDrafts();
+            this.#onBatchProgress(emailSender.getProgress());
+            await sending;
+            
+        } catch (error) {
+            logger.error('Failed to send drafts:', error);
+            showError(error.message);
+            this.#reset();
+        }
+    }
+    
+    async #deleteDrafts() {
+        const count = this.#interruptedCampaign?.counts.drafted ?? emailSender.getProgress().drafted;
+        const confirmed = await confirmDialog(`Eliminare ${count} bozze da Gmail? L'operazione non si può annullare.`);
+        
+        if (!confirmed) return;
+        
+        try {
+            await this.#loadDraftCampaign();
+            
+            const deleted = await emailSender.deleteDrafts();
+            showSuccess(`${deleted} bozze eliminate`);
+            
+            this.#newBatch();
+            
+        } catch (error) {
+            logger.error('Failed to delete drafts:', error);
+            showError(error.message);
+        }
+    }
+    
     #pause() {
         if (emailSender.pause()) {
             this.#pausedState = true;
@@ -684,6 +2153,80 @@ lucia.bianchi@email.com,Newsletter Gennaio,Gentile Lucia, ecco le novità...</pr
     
     #cancel() {
         this.#removeFile();
+        this.#clearAttachments();
+    }
+    
+    async #checkBounces() {
+        disableElement(this.#elements.checkBouncesBtn);
+        this.#elements.bounceSummary.textContent = 'Ricerca dei bounce in corso...';
+        
+        try {
+            const result = await emailSender.checkBounces({ suppress: this.#elements.suppressBounces.checked });
+            const bounced = emailSender.getSentEmails().filter(email => email.bounce);
+            const hard = bounced.filter(email => email.bounce.type === 'hard').length;
+            
+            const details = bounced.slice(0, 10).map(email => `
+                <li>${this.#escapeHtml(email.to)}: ${this.#escapeHtml([email.bounce.status, email.bounce.diagnostic].filter(Boolean).join(' '))}</li>
+            `).join('');
+            
+            this.#elements.bounceSummary.innerHTML = bounced.length > 0
+                ? `<p>📭 ${bounced.length} email rimbalzate (${hard} permanenti, ${bounced.length - hard} temporanee)` +
+                    `${result.suppressed > 0 ? `, ${result.suppressed} indirizzi aggiunti alla lista di esclusione` : ''}. ` +
+                    'Le trovi come "bounced" nei risultati esportati.</p>' +
+                    `<ul class="list-disc list-inside text-xs text-left inline-block mt-1">${details}</ul>` +
+                    `${bounced.length > 10 ? `<p class="text-xs mt-1">… e altre ${bounced.length - 10}</p>` : ''}`
+                : `<p>✅ Nessun bounce trovato (${result.scanned} notifiche controllate)</p>`;
+            
+        } catch (error) {
+            logger.error('Bounce check failed:', error);
+            this.#elements.bounceSummary.textContent = '';
+            showError('Impossibile controllare i bounce: riprova tra qualche minuto');
+        } finally {
+            enableElement(this.#elements.checkBouncesBtn);
+        }
+    }
+    
+    async #checkReplies() {
+        disableElement(this.#elements.checkRepliesBtn);
+        this.#elements.replySummary.textContent = 'Controllo delle risposte in corso...';
+        
+        try {
+            const result = await emailSender.checkReplies();
+            const replied = emailSender.getSentEmails()
+                .filter(email => email.reply)
+                .sort((a, b) => a.reply.at.localeCompare(b.reply.at));
+            
+            const rows = replied.slice(0, 10).map(email => `
+                <tr>
+                    <td class="px-3 py-1 text-left">${this.#escapeHtml(email.to)}</td>
+                    <td class="px-3 py-1 text-left">${this.#escapeHtml(new Date(email.reply.at).toLocaleString())}</td>
+                    <td class="px-3 py-1 text-left">${this.#escapeHtml(formatDuration(Date.parse(email.reply.at) - Date.parse(email.sentAt)))}</td>
+                </tr>
+            `).join('');
+            
+            this.#elements.replySummary.innerHTML = `
+                <p>💬 ${result.replied} risposte su ${result.sent} email inviate (${Math.round(result.rate * 100)}%), ` +
+                    `${result.sent - result.replied} senza risposta. Stato e ora della prima risposta sono nei risultati esportati.</p>
+                ${rows ? `
+                    <table class="text-xs mx-auto mt-2">
+                        <thead><tr>
+                            <th class="px-3 py-1 text-left">Destinatario</th>
+                            <th class="px-3 py-1 text-left">Prima risposta</th>
+                            <th class="px-3 py-1 text-left">Dopo</th>
+                        </tr></thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                    ${replied.length > 10 ? `<p class="text-xs mt-1">… e altre ${replied.length - 10}</p>` : ''}
+                ` : ''}
+            `;
+            
+        } catch (error) {
+            logger.error('Reply check failed:', error);
+            this.#elements.replySummary.textContent = '';
+            showError('Impossibile controllare le risposte: riprova tra qualche minuto');
+        } finally {
+            enableElement(this.#elements.checkRepliesBtn);
+        }
     }
     
     #exportResults() {
@@ -699,15 +2242,20 @@ lucia.bianchi@email.com,Newsletter Gennaio,Gentile Lucia, ecco le novità...</pr
     
     #newBatch() {
         this.#reset();
+        this.#clearAttachments();
         emailSender.clearQueue();
     }
     
     #reset() {
         this.#sendingInProgress = false;
         this.#pausedState = false;
+        this.#onBatchWaiting({ until: null });
         this.#removeFile();
         hideElement(this.#elements.progressSection);
         hideElement(this.#elements.completeSection);
+        hideElement(this.#elements.completeDraftActions);
+        hideElement(this.#elements.bounceCheck);
+        hideElement(this.#elements.replyCheck);
     }
     
     // Event handlers
@@ -720,11 +2268,13 @@ lucia.bianchi@email.com,Newsletter Gennaio,Gentile Lucia, ecco le novità...</pr
         // Update progress bar
         const percentage = data.percentage || 0;
         this.#elements.progressBar.style.width = `${percentage}%`;
+        // Draft runs count drafts created
+        const done = data.mode === 'draft' ? data.drafted : data.sent;
         this.#elements.progressText.textContent = 
-            `${data.sent + data.failed}/${data.total} (${percentage}%)`;
+            `${done + data.failed}/${data.total} (${percentage}%)`;
         
         // Update stats
-        this.#elements.statSent.textContent = data.sent;
+        this.#elements.statSent.textContent = done;
         this.#elements.statFailed.textContent = data.failed;
         this.#elements.statRemaining.textContent = data.pending;
         
@@ -739,6 +2289,7 @@ lucia.bianchi@email.com,Newsletter Gennaio,Gentile Lucia, ecco le novità...</pr
     
     #onBatchComplete(data) {
         this.#sendingInProgress = false;
+        this.#onBatchWaiting({ until: null });
         
         // Hide progress
         hideElement(this.#elements.progressSection);
@@ -748,8 +2299,28 @@ lucia.bianchi@email.com,Newsletter Gennaio,Gentile Lucia, ecco le novità...</pr
         
         // Show summary
         const duration = Math.round(data.duration / 1000);
+        
+        if (data.mode === 'draft') {
+            this.#elements.completeSummary.textContent =
+                `Create ${data.drafted} bozze con l'etichetta "${data.draftLabel}", ${data.failed} fallite. ` +
+                'Controllale in Gmail, poi inviale tutte o eliminale da qui.';
+            showElement(this.#elements.completeDraftActions);
+            hideElement(this.#elements.bounceCheck);
+            hideElement(this.#elements.replyCheck);
+            showSuccess('Bozze create!');
+            return;
+        }
+        
         this.#elements.completeSummary.textContent = 
             `Inviate ${data.sent} email con successo, ${data.failed} fallite in ${duration} secondi`;
+        hideElement(this.#elements.completeDraftActions);
+        this.#elements.bounceSummary.innerHTML = '';
+        this.#elements.replySummary.innerHTML = '';
+        [this.#elements.bounceCheck, this.#elements.replyCheck].forEach(element => {
+            data.sent > 0 ? showElement(element) : hideElement(element);
+        });
+        
+        this.#renderFollowUps();
         
         showSuccess('Invio batch completato!');
     }
@@ -764,6 +2335,35 @@ lucia.bianchi@email.com,Newsletter Gennaio,Gentile Lucia, ecco le novità...</pr
         hideElement(this.#elements.resumeBtn);
     }
     
+    #onBatchWaiting(data) {
+        this.#countdownTimer?.stop();
+        this.#countdownTimer = null;
+        this.#waitingUntil = data.until ? new Date(data.until) : null;
+        
+        if (!this.#waitingUntil) {
+            hideElement(this.#elements.scheduleWaitInfo);
+            return;
+        }
+        
+        const reasons = {
+            start: 'inizio programmato',
+            send_at: 'colonna send_at',
+            quota: 'quota giornaliera Gmail esaurita',
+            window: 'fuori dalla finestra di invio'
+        };
+        
+        this.#elements.currentRecipient.textContent = data.to || '-';
+        this.#elements.scheduleWaitDetail.textContent =
+            `${data.to} · ${this.#waitingUntil.toLocaleString()} (${reasons[data.reason] || data.reason})`;
+        showElement(this.#elements.scheduleWaitInfo);
+        
+        this.#countdownTimer = createTimer(() => {
+            const remaining = Math.max(0, this.#waitingUntil - Date.now());
+            this.#elements.scheduleCountdown.textContent = formatDuration(remaining);
+        }, 1000);
+        this.#countdownTimer.start();
+    }
+    
     #onBatchStopped() {
         showWarning('Invio batch fermato');
         this.#reset();
@@ -773,9 +2373,25 @@ lucia.bianchi@email.com,Newsletter Gennaio,Gentile Lucia, ecco le novità...</pr
         showError(`Errore batch: ${error.message}`);
     }
     
-    #onQuotaExceeded() {
-        showError('Quota Gmail giornaliera superata. Riprova domani.');
-        this.#sendingInProgress = false;
+    #onQuotaExceeded(data) {
+        showWarning(`Quota Gmail giornaliera esaurita: l'invio riprenderà automaticamente il ${new Date(data.resumeAt).toLocaleString()}`);
+    }
+    
+    #isValidSendAt(value) {
+        try {
+            parseSendAt(value);
+            return true;
+        } catch {
+            return false;
+        }
+    }
+    
+    /**
+     * Name of a mappable field in the interface language, as in the mapping table
+     */
+    #getFieldLabel(field) {
+        const [key, fallback] = FIELD_LABELS[field];
+        return i18n.translations ? i18n.t(key) : fallback;
     }
     
     #escapeHtml(text) {
@@ -278,6 +278,12 @@ export default class EmailDownloaderUI {
                                            class="mr-2">
                                     <span class="text-sm" data-i18n="downloader.includeHeaders">Include Headers</span>
                                 </label>
+                                <label class="flex items-center">
+                                    <input type="checkbox" 
+                                           id="raw-eml" 
+                                           class="mr-2">
+                                    <span class="text-sm" data-i18n="downloader.rawEml">Original message source (byte-exact EML)</span>
+                                </label>
                             </div>
                         </div>
                         
@@ -306,6 +312,42 @@ export default class EmailDownloaderUI {
                                            class="mr-2">
                                     <span class="text-sm" data-i18n="downloader.bothFormat">📦+📊 Both</span>
                                 </label>
+                                <label class="flex items-center">
+                                    <input type="radio" 
+                                           name="export-format" 
+                                           value="mbox" 
+                                           class="mr-2">
+                                    <span class="text-sm" data-i18n="downloader.mboxFormat">📬 MBOX (Thunderbird, Apple Mail)</span>
+                                </label>
+                                <label class="flex items-center ml-6">
+                                    <input type="checkbox" 
+                                           id="mbox-per-label" 
+                                           class="mr-2">
+                                    <span class="text-sm" data-i18n="downloader.mboxPerLabel">One mbox file per label</span>
+                                </label>
+                                <label class="flex items-center">
+                                    <input type="radio" 
+                                           name="export-format" 
+                                           value="json" 
+                                           class="mr-2">
+                                    <span class="text-sm" data-i18n="downloader.jsonFormat">🧾 JSON (Full Messages)</span>
+                                </label>
+                                <label class="flex items-center">
+                                    <input type="radio" 
+                                           name="export-format" 
+                                           value="ndjson" 
+                                           class="mr-2">
+                                    <span class="text-sm" data-i18n="downloader.ndjsonFormat">🧾 NDJSON (One Message per Line)</span>
+                                </label>
+                            </div>
+                            <div class="mt-3 ${CONFIG.FEATURES.ENABLE_EXPORT_PDF ? '' : 'hidden'}">
+                                <label for="pdf-mode" class="block text-sm text-gray-700 mb-1" data-i18n="downloader.pdfInZip">PDF in the ZIP</label>
+                                <select id="pdf-mode" class="form-select">
+                                    <option value="" data-i18n="downloader.pdfNone">No PDF</option>
+                                    <option value="message" data-i18n="downloader.pdfPerMessage">One PDF per email</option>
+                                    <option value="thread" data-i18n="downloader.pdfPerThread">One PDF per conversation</option>
+                                    <option value="combined" data-i18n="downloader.pdfCombined">One PDF with all emails</option>
+                                </select>
                             </div>
                         </div>
                     </div>
@@ -469,6 +511,9 @@ export default class EmailDownloaderUI {
             includeAttachments: document.getElementById('include-attachments'),
             includeBody: document.getElementById('include-body'),
             includeHeaders: document.getElementById('include-headers'),
+            rawEml: document.getElementById('raw-eml'),
+            mboxPerLabel: document.getElementById('mbox-per-label'),
+            pdfMode: document.getElementById('pdf-mode'),
             sizeEstimate: document.getElementById('size-estimate'),
             
             // Progress
@@ -765,10 +810,37 @@ export default class EmailDownloaderUI {
         
         const exportFormat = document.querySelector('input[name="export-format"]:checked')?.value || 'zip';
         
+        // ZIP and NDJSON are written to disk while downloading; the file is picked now, while the click still counts
+        const streamedFile = exportFormat === 'ndjson'
+            ? { extension: 'ndjson', description: 'NDJSON', type: 'application/x-ndjson' }
+            : exportFormat === 'zip' || exportFormat === 'both'
+                ? { extension: 'zip', description: 'ZIP', type: 'application/zip' }
+                : null;
+        
+        let fileHandle = null;
+        if (streamedFile && window.showSaveFilePicker) {
+            try {
+                fileHandle = await window.showSaveFilePicker({
+                    suggestedName: `gmail_export_${new Date().toISOString().split('T')[0]}.${streamedFile.extension}`,
+                    types: [{ description: streamedFile.description, accept: { [streamedFile.type]: [`.${streamedFile.extension}`] } }]
+                });
+            } catch (error) {
+                if (error.name === 'AbortError') {
+                    return;
+                }
+                logger.warn(`Save dialog not available, the ${streamedFile.description} file is saved at the end:`, error);
+            }
+        }
+        
         const options = {
             includeAttachments: this.#elements.includeAttachments.checked,
             includeBody: this.#elements.includeBody.checked,
             includeHeaders: this.#elements.includeHeaders.checked,
+            rawEml: this.#elements.rawEml.checked,
+            mboxPerLabel: this.#elements.mboxPerLabel.checked,
+            pdf: CONFIG.FEATURES.ENABLE_EXPORT_PDF ? this.#elements.pdfMode.value || null : null,
+            fileHandle,
+            onVolume: (blob, filename) => this.#saveFile(blob, filename),
             exportFormat
         };
         
@@ -821,38 +893,15 @@ export default class EmailDownloaderUI {
         }
         
         try {
-            // Check if saveAs is available
-            const saveFunction = window.saveAs || window.FileSaver?.saveAs;
+            // Streamed ZIPs are already on disk
+            const files = ['zip', 'mbox', 'json', 'ndjson', 'csv']
+                .map(format => this.#downloadResult[format])
+                .filter(file => file?.blob);
             
-            if (!saveFunction) {
-                // Fallback: use native download
-                logger.warn('FileSaver not available, using fallback');
-                
-                if (this.#downloadResult.zip) {
-                    this.#downloadWithAnchor(this.#downloadResult.zip.blob, this.#downloadResult.zip.filename);
-                }
-                
-                if (this.#downloadResult.csv) {
-                    setTimeout(() => {
-                        this.#downloadWithAnchor(this.#downloadResult.csv.blob, this.#downloadResult.csv.filename);
-                    }, 500);
-                }
-            } else {
-                // Use FileSaver.js
-                if (this.#downloadResult.zip) {
-                    logger.info('Saving ZIP file:', this.#downloadResult.zip.filename);
-                    saveFunction(this.#downloadResult.zip.blob, this.#downloadResult.zip.filename);
-                }
-                
-                // Save CSV
-                if (this.#downloadResult.csv) {
-                    logger.info('Saving CSV file:', this.#downloadResult.csv.filename);
-                    // Small delay between saves to avoid browser blocking
-                    setTimeout(() => {
-                        saveFunction(this.#downloadResult.csv.blob, this.#downloadResult.csv.filename);
-                    }, 500);
-                }
-            }
+            files.forEach((file, index) => {
+                // Small delay between saves to avoid browser blocking
+                setTimeout(() => this.#saveFile(file.blob, file.filename), index * 500);
+            });
             
             showSuccess('File salvati con successo!');
         } catch (error) {
@@ -861,6 +910,21 @@ export default class EmailDownloaderUI {
         }
     }
     
+    #saveFile(blob, filename) {
+        // Check if saveAs is available
+        const saveFunction = window.saveAs || window.FileSaver?.saveAs;
+        
+        logger.info('Saving export file:', filename);
+        
+        if (saveFunction) {
+            saveFunction(blob, filename);
+        } else {
+            // Fallback: use native download
+            logger.warn('FileSaver not available, using fallback');
+            this.#downloadWithAnchor(blob, filename);
+        }
+    }
+    
     #downloadWithAnchor(blob, filename) {
         const url = URL.createObjectURL(blob);
         const a = document.createElement('a');
@@ -938,8 +1002,20 @@ export default class EmailDownloaderUI {
         showElement(this.#elements.downloadCompleteSection);
         
         // Show summary
+        const zipExport = data.exports?.zip;
+        const ndjsonExport = data.exports?.ndjson;
+        let saved = '';
+        
+        if (zipExport?.streamed) {
+            saved = ` · ZIP salvato in ${zipExport.filename}`;
+        } else if (ndjsonExport?.streamed) {
+            saved = ` · NDJSON salvato in ${ndjsonExport.filename}`;
+        } else if (zipExport?.volumes.length > 1) {
+            saved = ` · ZIP diviso in ${zipExport.volumes.length} parti, le prime ${zipExport.volumes.length - 1} già salvate`;
+        }
+        
         this.#elements.downloadSummary.textContent = 
-            `Scaricate ${data.processed} email con ${data.attachments} allegati (${formatFileSize(data.stats.totalSize)})`;
+            `Scaricate ${data.processed} email con ${data.attachments} allegati (${formatFileSize(data.stats.totalSize)})${saved}`;
             
         showSuccess('Download completato con successo!');
     }
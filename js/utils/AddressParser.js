@@ -0,0 +1,330 @@
+/**
+ * AddressParser - RFC 5322 mailboxes and address lists
+ * Reads "user@example.com", "Mario Rossi <mario@example.it>" and "\"Rossi, Mario\" <mario@example.it>",
+ * alone or in lists separated by commas or semicolons
+ *
+ * - Display names may be quoted strings (with \" escapes) or plain words; (comments) are dropped
+ * - Local parts are dot-atoms or quoted strings in ASCII: messages are not sent with SMTPUTF8 (RFC 6531)
+ * - Internationalized domains are checked and written in their punycode form (asciiAddress)
+ * - Groups ("Team: a@x.it, b@x.it;") are not supported: the semicolon separates addresses
+ */
+
+const MAX_ADDRESS_LENGTH = 254;
+const MAX_LOCAL_LENGTH = 64;
+const MAX_LABEL_LENGTH = 63;
+
+// RFC 5322 atext
+const DOT_ATOM = /^[A-Za-z0-9!#$%&'*+/=?^_`{|}~-]+(\.[A-Za-z0-9!#$%&'*+/=?^_`{|}~-]+)*$/;
+const QUOTED_LOCAL = /^"([\x20\x21\x23-\x5B\x5D-\x7E]|\\[\x20-\x7E])*"$/;
+const ASCII_LABEL = /^[a-z0-9]([a-z0-9-]*[a-z0-9])?$/i;
+
+// Domains of the mailbox providers our users write to most; close misspellings get a suggestion
+const KNOWN_DOMAINS = [
+    'gmail.com', 'googlemail.com', 'hotmail.com', 'hotmail.it', 'hotmail.fr', 'hotmail.es', 'hotmail.de',
+    'outlook.com', 'outlook.it', 'live.com', 'live.it', 'msn.com', 'yahoo.com', 'yahoo.it', 'yahoo.fr',
+    'yahoo.es', 'yahoo.de', 'icloud.com', 'me.com', 'mac.com', 'aol.com', 'mail.com', 'protonmail.com',
+    'proton.me', 'libero.it', 'virgilio.it', 'alice.it', 'tiscali.it', 'tin.it', 'tim.it', 'email.it',
+    'fastwebnet.it', 'aruba.it', 'pec.it', 'legalmail.it', 'gmx.de', 'gmx.net', 'web.de', 't-online.de',
+    'orange.fr', 'free.fr', 'laposte.net', 'wanadoo.fr', 'sfr.fr', 'telefonica.net'
+];
+
+/**
+ * Parse one mailbox
+ * @param {string} value - "user@example.com", "Name <user@example.com>" or "<user@example.com>"
+ * @returns {Object|null} { name, address, asciiAddress, local, domain, asciiDomain }, or null when it is not
+ *   a valid mailbox; asciiAddress (local@asciiDomain) is the form to write in headers
+ */
+export const parseAddress = (value) => {
+    const text = stripComments(String(value ?? '')).trim();
+    if (!text) return null;
+
+    let name = '';
+    let spec = text;
+    const open = indexOutsideQuotes(text, '<');
+
+    if (open >= 0) {
+        const close = text.indexOf('>', open);
+
+        // Nothing may follow the closing bracket
+        if (close < 0 || text.slice(close + 1).trim()) return null;
+
+        name = parseDisplayName(text.slice(0, open));
+        if (name === null) return null;
+
+        spec = text.slice(open + 1, close).trim();
+    }
+
+    const at = spec.lastIndexOf('@');
+    if (at <= 0) return null;
+
+    const local = spec.slice(0, at).trim();
+    const domain = spec.slice(at + 1).trim().toLowerCase();
+    const asciiDomain = toAsciiDomain(domain);
+
+    if (!isValidLocalPart(local) || !asciiDomain) return null;
+
+    const address = `${local}@${domain}`;
+    const asciiAddress = `${local}@${asciiDomain}`;
+    if (asciiAddress.length > MAX_ADDRESS_LENGTH) return null;
+
+    return { name, address, asciiAddress, local, domain, asciiDomain };
+};
+
+/**
+ * Parse an address list
+ * @param {string|Array<string>} value - Addresses separated by commas or semicolons, or an array of them
+ * @returns {Object} { addresses: [parseAddress() results], invalid: [{ input, suggestion }] }
+ */
+export const parseAddressList = (value) => {
+    const parts = Array.isArray(value) ? value.flatMap(item => splitList(item)) : splitList(value);
+    const result = { addresses: [], invalid: [] };
+
+    parts.forEach(input => {
+        const parsed = parseAddress(input);
+
+        if (parsed) {
+            result.addresses.push(parsed);
+        } else {
+            result.invalid.push({ input, suggestion: suggestAddressFix(input) });
+        }
+    });
+
+    return result;
+};
+
+/**
+ * Check one mailbox
+ * @param {string} value - Address, with or without display name
+ * @returns {boolean} True when parseAddress() accepts it
+ */
+export const isValidAddress = (value) => parseAddress(value) !== null;
+
+/**
+ * Get the bare addresses of a list, lowercased, for comparisons
+ * Domains are in punycode, as delivery notices and Gmail report them
+ * @param {string|Array<string>} value - Address list
+ * @returns {Array<string>} Valid addresses without display names; invalid entries are left out
+ */
+export const getAddresses = (value) => {
+    return parseAddressList(value).addresses.map(parsed => parsed.asciiAddress.toLowerCase());
+};
+
+/**
+ * Suggest a fix for a mistyped address
+ * Covers misspelled provider domains (gmial.com, hotmial.it, gmail.con) and, in invalid addresses,
+ * spaces and doubled dots or @
+ * @param {string} value - Address as written, valid or not
+ * @returns {string|null} Corrected address, or null without a likely fix
+ */
+export const suggestAddressFix = (value) => {
+    const text = stripComments(String(value ?? '')).trim();
+    const bracketed = /<([^<>]*)>\s*$/.exec(text);
+    const prefix = bracketed ? text.slice(0, bracketed.index + 1) : '';
+    const suffix = bracketed ? '>' : '';
+
+    let spec = (bracketed ? bracketed[1] : text).trim();
+
+    // A valid address only gets its domain checked
+    if (!isValidAddress(text)) {
+        spec = spec
+            .replace(/\s+/g, '')
+            .replace(/@+/g, '@')
+            .replace(/\.{2,}/g, '.')
+            .replace(/[.,;]+$/, '');
+    }
+
+    const at = spec.lastIndexOf('@');
+    if (at <= 0) return null;
+
+    const domain = spec.slice(at + 1).toLowerCase();
+    const fixedDomain = KNOWN_DOMAINS.includes(domain) ? domain : findClosestDomain(domain);
+
+    if (fixedDomain) {
+        spec = `${spec.slice(0, at)}@${fixedDomain}`;
+    }
+
+    const suggestion = `${prefix}${spec}${suffix}`;
+
+    return suggestion !== text && isValidAddress(suggestion) ? suggestion : null;
+};
+
+// Private helpers
+
+function splitList(value) {
+    const parts = [];
+    let current = '';
+    let quoted = false;
+    let angle = false;
+    let depth = 0;
+
+    const text = String(value ?? '');
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (char === '\\' && (quoted || depth > 0)) {
+            current += char + (text[i + 1] ?? '');
+            i++;
+            continue;
+        }
+
+        if (char === '"' && depth === 0) quoted = !quoted;
+        else if (!quoted && char === '(') depth++;
+        else if (!quoted && char === ')' && depth > 0) depth--;
+        else if (!quoted && depth === 0 && char === '<') angle = true;
+        else if (!quoted && depth === 0 && char === '>') angle = false;
+
+        if ((char === ',' || char === ';') && !quoted && !angle && depth === 0) {
+            parts.push(current);
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    parts.push(current);
+
+    return parts.map(part => part.trim()).filter(Boolean);
+}
+
+function stripComments(text) {
+    let result = '';
+    let quoted = false;
+    let depth = 0;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (char === '\\' && (quoted || depth > 0)) {
+            if (depth === 0) result += char + (text[i + 1] ?? '');
+            i++;
+            continue;
+        }
+
+        if (depth === 0 && char === '"') quoted = !quoted;
+
+        if (!quoted && char === '(') {
+            depth++;
+        } else if (!quoted && char === ')' && depth > 0) {
+            depth--;
+            result += ' ';
+        } else if (depth === 0) {
+            result += char;
+        }
+    }
+
+    return result;
+}
+
+function indexOutsideQuotes(text, target) {
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        if (text[i] === '\\' && quoted) {
+            i++;
+        } else if (text[i] === '"') {
+            quoted = !quoted;
+        } else if (text[i] === target && !quoted) {
+            return i;
+        }
+    }
+
+    return -1;
+}
+
+/**
+ * Display name without quotes and escapes; null when a quote is left open or text follows it
+ */
+function parseDisplayName(text) {
+    const value = text.trim();
+
+    if (!value.includes('"')) {
+        return value.replace(/\s+/g, ' ');
+    }
+
+    const match = /^"((?:[^"\\]|\\.)*)"$/.exec(value);
+    return match ? match[1].replace(/\\(.)/g, '$1') : null;
+}
+
+function isValidLocalPart(local) {
+    if (local.length === 0 || local.length > MAX_LOCAL_LENGTH) return false;
+    return DOT_ATOM.test(local) || QUOTED_LOCAL.test(local);
+}
+
+/**
+ * Punycode form of a domain, or null when it is not a valid host name with a top-level domain
+ */
+function toAsciiDomain(domain) {
+    if (!domain || /[\s@<>()[\]\\,;:"]/.test(domain)) return null;
+
+    let ascii = domain;
+
+    if (/[^\x00-\x7F]/.test(domain)) {
+        try {
+            ascii = new URL(`http://${domain}`).hostname;
+        } catch {
+            return null;
+        }
+    }
+
+    const labels = ascii.split('.');
+    const tld = labels[labels.length - 1];
+
+    if (labels.length < 2 || !labels.every(label => label.length <= MAX_LABEL_LENGTH && ASCII_LABEL.test(label))) {
+        return null;
+    }
+
+    // Top-level domains are letters, or punycode for internationalized ones
+    return /^[a-z]{2,}$/i.test(tld) || /^xn--[a-z0-9-]+$/i.test(tld) ? ascii : null;
+}
+
+function findClosestDomain(domain) {
+    // One typo in short domains, two in longer ones
+    const limit = domain.length <= 8 ? 1 : 2;
+    let best = null;
+    let bestDistance = Infinity;
+    let tie = false;
+
+    KNOWN_DOMAINS.forEach(known => {
+        const distance = editDistance(domain, known);
+
+        if (distance < bestDistance) {
+            best = known;
+            bestDistance = distance;
+            tie = false;
+        } else if (distance === bestDistance) {
+            tie = true;
+        }
+    });
+
+    return bestDistance > 0 && bestDistance <= limit && !tie ? best : null;
+}
+
+/**
+ * Optimal string alignment distance: insertions, deletions, substitutions and swaps of adjacent characters
+ */
+function editDistance(a, b) {
+    const rows = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+    for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+
+    for (let i = 1; i <= a.length; i++) {
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+
+            rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+            }
+        }
+    }
+
+    return rows[a.length][b.length];
+}
+
+export default {
+    parseAddress,
+    parseAddressList,
+    isValidAddress,
+    getAddresses,
+    suggestAddressFix
+};
@@ -0,0 +1,212 @@
+/**
+ * ColumnMapping - CSV header to email field mapping
+ * Detects recipient/subject/body/... columns from headers written in EN, IT, DE, ES, FR
+ * Columns named "header:Name" (e.g. header:X-Campaign) add a custom header to the email of their row
+ */
+
+export const CUSTOM_HEADER_PREFIX = 'header:';
+
+/**
+ * Fields a CSV column can be mapped to
+ */
+export const MAPPABLE_FIELDS = Object.freeze([
+    { key: 'to', required: true },
+    { key: 'subject', required: true },
+    { key: 'body', required: true },
+    { key: 'text', required: false },
+    { key: 'from', required: false },
+    { key: 'cc', required: false },
+    { key: 'bcc', required: false },
+    { key: 'replyTo', required: false },
+    { key: 'thread', required: false },
+    { key: 'attachments', required: false },
+    { key: 'sendAt', required: false }
+]);
+
+/**
+ * Known header names per field, compared after normalizeHeader()
+ * Order matters: earlier synonyms win when several headers match
+ */
+export const COLUMN_SYNONYMS = Object.freeze({
+    to: [
+        'to', 'email', 'emailaddress', 'recipient', 'recipients', 'mail',
+        'destinatario', 'destinatari', 'indirizzo', 'indirizzoemail', 'a',
+        'empfanger', 'empfaenger', 'an', 'emailadresse',
+        'para', 'correo', 'correoelectronico', 'destinatarios',
+        'destinataire', 'destinataires', 'courriel', 'adresseemail', 'adressemail'
+    ],
+    subject: [
+        'subject', 'title', 'oggetto', 'titolo', 'betreff', 'asunto', 'objet', 'sujet'
+    ],
+    // html goes before the plain "text" names, which are left to the text field when both columns exist
+    body: [
+        'body', 'html', 'content', 'message', 'text',
+        'contenuto', 'messaggio', 'testo', 'corpo',
+        'inhalt', 'nachricht',
+        'contenido', 'mensaje', 'cuerpo', 'texto',
+        'contenu', 'corps', 'texte'
+    ],
+    text: [
+        'text', 'testo', 'texto', 'texte', 'plaintext', 'textversion', 'textonly', 'testosemplice', 'versionetesto', 'solotesto',
+        'klartext', 'nurtext', 'textoplano', 'versiontexto', 'textebrut', 'versiontexte'
+    ],
+    from: [
+        'from', 'sender', 'sendas', 'mittente', 'da', 'absender', 'von', 'remitente', 'de', 'expediteur'
+    ],
+    cc: ['cc', 'copia', 'copy', 'kopie', 'copie', 'concopia'],
+    bcc: [
+        'bcc', 'ccn', 'blindcopy', 'copianascosta', 'blindkopie', 'copiaoculta', 'cco', 'cci', 'copiecachee'
+    ],
+    replyTo: [
+        'replyto', 'reply', 'rispondia', 'risposta', 'antwortan', 'responder', 'responsea', 'repondrea'
+    ],
+    thread: [
+        'threadid', 'thread', 'messageid', 'inreplyto', 'conversation',
+        'conversazione', 'discussione', 'idconversazione',
+        'konversation', 'unterhaltung', 'conversacion', 'hilo', 'fildiscussion'
+    ],
+    attachments: [
+        'attachments', 'attachment', 'files', 'file',
+        'allegati', 'allegato', 'anhange', 'anhaenge', 'anhang', 'adjuntos', 'adjunto',
+        'piecesjointes', 'piecejointe', 'fichiers'
+    ],
+    sendAt: [
+        'sendat', 'sendtime', 'scheduledat', 'schedule', 'inviaalle', 'datainvio', 'dataora',
+        'sendezeit', 'versandzeit', 'enviarel', 'fechaenvio', 'envoyerle', 'dateenvoi'
+    ]
+});
+
+/**
+ * Normalize a header for comparison: lowercase, no accents, letters and digits only
+ * @param {string} header - Raw header
+ * @returns {string} Normalized header
+ */
+export const normalizeHeader = (header) => {
+    return String(header ?? '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]/g, '');
+};
+
+/**
+ * Guess which header holds each field
+ * @param {Array<string>} headers - CSV headers
+ * @returns {Object} Mapping { field: header|null }
+ */
+export const detectColumnMapping = (headers) => {
+    const normalized = headers
+        .filter(header => !isCustomHeaderColumn(header))
+        .map(header => ({ header, key: normalizeHeader(header) }));
+    const used = new Set();
+    const mapping = {};
+
+    const findHeader = (field, matches) => {
+        const match = COLUMN_SYNONYMS[field]
+            .map(synonym => normalized.find(h => !used.has(h.header) && matches(h.key, synonym)))
+            .find(Boolean);
+
+        if (match) {
+            mapping[field] = match.header;
+            used.add(match.header);
+        }
+    };
+
+    // Exact names for every field first, so "Copia nascosta" is not taken as a prefix of "copia"
+    MAPPABLE_FIELDS.forEach(({ key }) => {
+        mapping[key] = null;
+        findHeader(key, (header, synonym) => header === synonym);
+    });
+
+    // Then headers that start with a synonym ("email_address", "oggetto_mail")
+    MAPPABLE_FIELDS.forEach(({ key }) => {
+        if (!mapping[key]) {
+            findHeader(key, (header, synonym) => synonym.length > 2 && header.startsWith(synonym));
+        }
+    });
+
+    return mapping;
+};
+
+/**
+ * Combine a remembered mapping with detection for a new file
+ * Remembered headers are kept when the file still has them
+ * @param {Array<string>} headers - CSV headers
+ * @param {Object} remembered - Previously saved mapping
+ * @returns {Object} Mapping { field: header|null }
+ */
+export const resolveColumnMapping = (headers, remembered = {}) => {
+    const detected = detectColumnMapping(headers);
+    const mapping = {};
+
+    MAPPABLE_FIELDS.forEach(({ key: field }) => {
+        mapping[field] = headers.includes(remembered?.[field]) ? remembered[field] : detected[field];
+    });
+
+    return mapping;
+};
+
+/**
+ * Get required fields that have no column
+ * @param {Object} mapping - Column mapping
+ * @returns {Array<string>} Missing field keys
+ */
+export const getMissingFields = (mapping) => {
+    return MAPPABLE_FIELDS
+        .filter(({ key, required }) => required && !mapping[key])
+        .map(({ key }) => key);
+};
+
+/**
+ * Read the mapped fields of a CSV row
+ * @param {Object} row - Parsed CSV row
+ * @param {Object} mapping - Column mapping
+ * @returns {Object} { to, subject, body, text, from, cc, bcc, replyTo, thread, attachments, sendAt } trimmed strings
+ */
+export const applyColumnMapping = (row, mapping) => {
+    const fields = {};
+
+    MAPPABLE_FIELDS.forEach(({ key }) => {
+        fields[key] = mapping[key] ? String(row[mapping[key]] ?? '').trim() : '';
+    });
+
+    return fields;
+};
+
+/**
+ * Read the custom headers of a CSV row from its "header:Name" columns
+ * @param {Object} row - Parsed CSV row
+ * @returns {Object} { name: value } for the non-empty cells
+ */
+export const getCustomHeaders = (row) => {
+    const headers = {};
+
+    Object.entries(row || {}).forEach(([column, value]) => {
+        const name = isCustomHeaderColumn(column) ? column.trim().slice(CUSTOM_HEADER_PREFIX.length).trim() : '';
+        const text = String(value ?? '').trim();
+
+        if (name && text) {
+            headers[name] = text;
+        }
+    });
+
+    return headers;
+};
+
+// Private helpers
+
+function isCustomHeaderColumn(column) {
+    return String(column ?? '').trim().toLowerCase().startsWith(CUSTOM_HEADER_PREFIX);
+}
+
+export default {
+    MAPPABLE_FIELDS,
+    COLUMN_SYNONYMS,
+    CUSTOM_HEADER_PREFIX,
+    normalizeHeader,
+    detectColumnMapping,
+    resolveColumnMapping,
+    getMissingFields,
+    applyColumnMapping,
+    getCustomHeaders
+};
@@ -0,0 +1,156 @@
+/**
+ * DsnParser - Delivery status notifications (RFC 3464)
+ * Reads the failed recipients of a bounce and the Message-ID of the email that bounced
+ *
+ * Structure: multipart/report > message/delivery-status (per-recipient fields)
+ *                             > message/rfc822 or text/rfc822-headers (the original email)
+ * Servers that send plain-text bounces are read from X-Failed-Recipients and the text itself.
+ */
+
+const STATUS_CODE = /\b([245])\.(\d{1,3})\.(\d{1,3})\b/;
+const ADDRESS = /[^\s<>;"]+@[^\s<>;"]+\.[^\s<>;".]+/;
+
+/**
+ * Split a MIME entity into unfolded headers and body
+ * @param {string} text - Entity source
+ * @returns {Object} { headers: { name: value } (lowercase names, first value wins), body }
+ */
+export const parseEntity = (text) => {
+    const source = String(text ?? '');
+    const end = /\r?\n\r?\n/.exec(source);
+    const head = end ? source.slice(0, end.index) : source;
+    const headers = {};
+
+    head.replace(/\r?\n[ \t]+/g, ' ').split(/\r?\n/).forEach(line => {
+        const colon = line.indexOf(':');
+        if (colon <= 0) return;
+
+        const name = line.slice(0, colon).trim().toLowerCase();
+        if (!(name in headers)) {
+            headers[name] = line.slice(colon + 1).trim();
+        }
+    });
+
+    return {
+        headers,
+        body: end ? source.slice(end.index + end[0].length) : ''
+    };
+};
+
+/**
+ * Read a bounce message
+ * @param {string} raw - RFC 5322 source of the notification
+ * @returns {Object|null} { recipients: [{ email, action, status, type, diagnostic }], originalMessageId, originalSubject },
+ *   or null when the message reports no failed delivery
+ */
+export const parseDsn = (raw) => {
+    const report = { recipients: [], originalMessageId: '', originalSubject: '' };
+    const root = parseEntity(raw);
+
+    walk(root, report);
+
+    // Plain-text bounces: failed addresses in a header, the reason in the text
+    if (report.recipients.length === 0 && root.headers['x-failed-recipients']) {
+        const text = decodeBody(root);
+        const status = STATUS_CODE.exec(text)?.[0] || '5.0.0';
+
+        root.headers['x-failed-recipients'].split(',').forEach(address => {
+            report.recipients.push(createRecipient(address, 'failed', status, findDiagnostic(text)));
+        });
+    }
+
+    if (!report.originalMessageId) {
+        // Last resort: the first Message-ID quoted below the notification headers
+        report.originalMessageId = /^message-id:\s*(<[^>\s]+>)/im.exec(root.body)?.[1] || '';
+    }
+
+    report.recipients = report.recipients.filter(recipient => recipient.email && recipient.action === 'failed');
+
+    return report.recipients.length > 0 ? report : null;
+};
+
+// Private helpers
+
+function walk(entity, report) {
+    const contentType = (entity.headers['content-type'] || 'text/plain').toLowerCase();
+
+    if (contentType.startsWith('multipart/')) {
+        const boundary = /boundary\s*=\s*(?:"([^"]+)"|([^\s;]+))/i.exec(entity.headers['content-type'])
+            ?.slice(1).find(Boolean);
+        if (!boundary) return;
+
+        entity.body
+            .split(new RegExp(`^--${escapeRegExp(boundary)}(?:--)?[ \\t]*\\r?$`, 'm'))
+            .slice(1, -1)
+            .forEach(part => walk(parseEntity(part.replace(/^\r?\n/, '')), report));
+    } else if (contentType.startsWith('message/delivery-status') || contentType.startsWith('message/global-delivery-status')) {
+        readDeliveryStatus(decodeBody(entity), report);
+    } else if (contentType.startsWith('message/rfc822') || contentType.startsWith('text/rfc822-headers')) {
+        const original = parseEntity(decodeBody(entity));
+        report.originalMessageId = report.originalMessageId || original.headers['message-id'] || '';
+        report.originalSubject = report.originalSubject || original.headers.subject || '';
+    }
+}
+
+function readDeliveryStatus(text, report) {
+    // Blank lines separate the per-message group from one group per recipient
+    text.split(/\r?\n\s*\r?\n/).forEach(group => {
+        const { headers } = parseEntity(`${group.trim()}\n\n`);
+        const recipient = headers['final-recipient'] || headers['original-recipient'];
+
+        if (!recipient) return;
+
+        const status = STATUS_CODE.exec(headers.status || '')?.[0] || '';
+        const action = (headers.action || (status.startsWith('5') ? 'failed' : '')).toLowerCase();
+
+        report.recipients.push(createRecipient(recipient, action, status, headers['diagnostic-code'] || ''));
+    });
+}
+
+function createRecipient(value, action, status, diagnostic) {
+    // "rfc822; user@example.com"
+    const email = (ADDRESS.exec(String(value).replace(/^\s*[\w-]+\s*;/, ''))?.[0] || '').toLowerCase();
+
+    return {
+        email,
+        action,
+        status,
+        // Permanent failures (5.x.x) will not succeed on a retry
+        type: status.startsWith('4') ? 'soft' : 'hard',
+        diagnostic: diagnostic.replace(/^\s*smtp\s*;\s*/i, '').replace(/\s+/g, ' ').trim()
+    };
+}
+
+function findDiagnostic(text) {
+    const line = text.split(/\r?\n/).find(candidate => /\b[45]\d\d\b/.test(candidate) && STATUS_CODE.test(candidate));
+    return line ? line.trim() : '';
+}
+
+function decodeBody(entity) {
+    const encoding = (entity.headers['content-transfer-encoding'] || '').toLowerCase();
+
+    if (encoding === 'base64') {
+        try {
+            return atob(entity.body.replace(/\s+/g, ''));
+        } catch {
+            return entity.body;
+        }
+    }
+
+    if (encoding === 'quoted-printable') {
+        return entity.body
+            .replace(/=\r?\n/g, '')
+            .replace(/=([0-9A-F]{2})/gi, (match, code) => String.fromCharCode(parseInt(code, 16)));
+    }
+
+    return entity.body;
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+export default {
+    parseEntity,
+    parseDsn
+};
@@ -49,7 +49,20 @@ export const EVENTS = Object.freeze({
         ERROR: 'batch:error',
         QUOTA_EXCEEDED: 'batch:quota_exceeded',
         EMAIL_SENT: 'batch:email_sent',
-        EMAIL_FAILED: 'batch:email_failed'
+        EMAIL_FAILED: 'batch:email_failed',
+        WAITING: 'batch:waiting'
+    },
+    
+    // Suppression list events
+    SUPPRESSION: {
+        CHANGED: 'suppression:changed'
+    },
+    
+    // Follow-up sequence events
+    FOLLOW_UP: {
+        SENT: 'follow_up:sent',
+        ROW_UPDATED: 'follow_up:row_updated',
+        UPDATED: 'follow_up:updated'
     },
     
     // Download events
@@ -0,0 +1,147 @@
+/**
+ * HtmlToText - Plain-text version of HTML email bodies
+ * Keeps paragraphs, line breaks, list bullets and link targets readable in text-only clients
+ */
+
+const BLOCK_TAGS = new Set([
+    'p', 'div', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'table', 'blockquote',
+    'section', 'article', 'header', 'footer', 'ul', 'ol', 'pre', 'address', 'center'
+]);
+const LINE_TAGS = new Set(['tr', 'dt', 'dd', 'figcaption']);
+const HTML_HINT = /<(html|body|p|div|br|a|table|span|strong|b|i|em|u|ul|ol|li|h[1-6]|img|font|center)\b[^>]*>/i;
+
+const ENTITIES = {
+    nbsp: ' ', amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'',
+    hellip: '…', mdash: '—', ndash: '–', bull: '•', middot: '·',
+    lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”', laquo: '«', raquo: '»',
+    euro: '€', pound: '£', copy: '©', reg: '®', trade: '™', deg: '°',
+    agrave: 'à', aacute: 'á', acirc: 'â', auml: 'ä', egrave: 'è', eacute: 'é', ecirc: 'ê',
+    igrave: 'ì', iacute: 'í', icirc: 'î', ograve: 'ò', oacute: 'ó', ocirc: 'ô', ouml: 'ö',
+    ugrave: 'ù', uacute: 'ú', ucirc: 'û', uuml: 'ü', ccedil: 'ç', ntilde: 'ñ', szlig: 'ß',
+    Agrave: 'À', Egrave: 'È', Eacute: 'É', Auml: 'Ä', Ouml: 'Ö', Uuml: 'Ü', Ntilde: 'Ñ',
+    iexcl: '¡', iquest: '¿'
+};
+
+/**
+ * Check if a body is written in HTML
+ * @param {string} text - Email body
+ * @returns {boolean} True if it contains common HTML tags
+ */
+export const looksLikeHtml = (text) => HTML_HINT.test(String(text ?? ''));
+
+/**
+ * Decode HTML entities
+ * @param {string} text - Text with entities
+ * @returns {string} Decoded text
+ */
+export const decodeEntities = (text) => {
+    return String(text ?? '').replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+        if (code[0] === '#') {
+            const point = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+            return point > 0 && point <= 0x10FFFF ? String.fromCodePoint(point) : entity;
+        }
+        return ENTITIES[code] ?? entity;
+    });
+};
+
+/**
+ * Convert an HTML body to plain text
+ * Links become "label (url)", list items get "-" or "1." bullets, headings and paragraphs are separated by blank lines
+ * @param {string} html - HTML body
+ * @returns {string} Plain text
+ */
+export const htmlToText = (html) => {
+    const source = String(html ?? '')
+        .replace(/<!--[\s\S]*?-->/g, '')
+        .replace(/<(head|style|script|title)\b[^>]*>[\s\S]*?<\/\1\s*>/gi, '');
+
+    const lists = [];
+    const links = [];
+    let text = '';
+    let preformatted = 0;
+
+    // Make sure the text ends with at least `count` line breaks
+    const breakLine = (count) => {
+        text = text.replace(/[ \t]+$/, '');
+        if (!text) return;
+
+        const current = /\n*$/.exec(text)[0].length;
+        if (current < count) {
+            text += '\n'.repeat(count - current);
+        }
+    };
+
+    for (const token of source.split(/(<[^>]+>)/)) {
+        const tag = /^<(\/?)([a-z][a-z0-9]*)\b([^>]*)>$/i.exec(token);
+
+        if (!tag) {
+            // Text between tags
+            const content = decodeEntities(preformatted ? token : token.replace(/\s+/g, ' '));
+            text += text.endsWith('\n') && !preformatted ? content.replace(/^ +/, '') : content;
+            continue;
+        }
+
+        const [, closing, rawName, attributes] = tag;
+        const name = rawName.toLowerCase();
+
+        if (name === 'br') {
+            text = text.replace(/[ \t]+$/, '') + '\n';
+        } else if (name === 'hr') {
+            breakLine(1);
+            text += '---\n';
+        } else if (name === 'ul' || name === 'ol') {
+            if (closing) {
+                lists.pop();
+            } else {
+                lists.push({ ordered: name === 'ol', count: 0 });
+            }
+            breakLine(lists.length > (closing ? 0 : 1) ? 1 : 2);
+        } else if (name === 'li' && !closing) {
+            const list = lists[lists.length - 1] || { ordered: false, count: 0 };
+            list.count++;
+            breakLine(1);
+            text += '  '.repeat(Math.max(0, lists.length - 1)) + (list.ordered ? `${list.count}. ` : '- ');
+        } else if (name === 'pre') {
+            preformatted += closing ? -1 : 1;
+            breakLine(2);
+        } else if (BLOCK_TAGS.has(name)) {
+            breakLine(name === 'div' ? 1 : 2);
+        } else if (LINE_TAGS.has(name)) {
+            breakLine(1);
+        } else if ((name === 'td' || name === 'th') && closing) {
+            text += ' ';
+        } else if (name === 'a') {
+            if (closing) {
+                const link = links.pop();
+                const label = link ? text.slice(link.start).trim() : '';
+
+                // Show the target unless the label already is the address
+                if (link?.href && label !== link.href && `mailto:${label}` !== link.href) {
+                    text += label ? ` (${link.href})` : link.href;
+                }
+            } else {
+                const href = /\bhref\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/i.exec(attributes);
+                const target = decodeEntities(href ? (href[1] ?? href[2] ?? href[3]) : '').trim();
+                links.push({ href: /^(#|javascript:)/i.test(target) ? '' : target, start: text.length });
+            }
+        } else if (name === 'img' && !closing) {
+            const alt = /\balt\s*=\s*(?:"([^"]*)"|'([^']*)')/i.exec(attributes);
+            if (alt && (alt[1] ?? alt[2]).trim()) {
+                text += decodeEntities(alt[1] ?? alt[2]).trim();
+            }
+        }
+    }
+
+    return text
+        .split('\n')
+        .map(line => line.replace(/[ \t]+$/, ''))
+        .join('\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+};
+
+export default {
+    looksLikeHtml,
+    decodeEntities,
+    htmlToText
+};
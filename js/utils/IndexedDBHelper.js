@@ -0,0 +1,264 @@
+/**
+ * Gmail Tool v0.5 - Professional Email Automation Suite
+ * Copyright (c) 2024 42ROWS Srl. All rights reserved.
+ * Licensed under the MIT License.
+ *
+ * @author Mario Brosco <mario.brosco@42rows.com>
+ * @company 42ROWS Srl - P.IVA: 18017981004
+ *
+ * IndexedDBHelper - Promise-based IndexedDB wrapper
+ * Persists data that must survive reloads and is too large for Web Storage
+ */
+
+import { CONFIG } from '../config.js';
+import logger from '../core/Logger.js';
+
+/**
+ * Object stores of the application database
+ * Bump CONFIG.STORAGE.DB_VERSION whenever a store or index is added
+ */
+export const DB_SCHEMA = {
+    campaigns: {
+        keyPath: 'id',
+        indexes: {
+            status: 'status',
+            updatedAt: 'updatedAt'
+        }
+    },
+    rows: {
+        keyPath: 'id',
+        indexes: {
+            campaignId: 'campaignId'
+        }
+    },
+    attachments: {
+        keyPath: 'id',
+        indexes: {
+            campaignId: 'campaignId'
+        }
+    },
+    suppressions: {
+        keyPath: 'email',
+        indexes: {
+            reason: 'reason'
+        }
+    },
+    contacts: {
+        keyPath: 'email',
+        indexes: {
+            lastSentAt: 'lastSentAt'
+        }
+    }
+};
+
+class IndexedDBHelper {
+    #db = null;
+    #opening = null;
+
+    constructor(name, version, schema = {}) {
+        this.name = name;
+        this.version = version;
+        this.schema = schema;
+        this.isAvailable = typeof window !== 'undefined' && 'indexedDB' in window;
+    }
+
+    /**
+     * Open the database, creating missing stores and indexes
+     * @returns {Promise<IDBDatabase>} Open database
+     */
+    open() {
+        if (this.#db) return Promise.resolve(this.#db);
+        if (this.#opening) return this.#opening;
+
+        if (!this.isAvailable) {
+            return Promise.reject(new Error('IndexedDB not available'));
+        }
+
+        this.#opening = new Promise((resolve, reject) => {
+            const request = window.indexedDB.open(this.name, this.version);
+
+            request.onupgradeneeded = (event) => {
+                const db = request.result;
+                const transaction = request.transaction;
+
+                logger.info(`Upgrading database ${this.name} from v${event.oldVersion} to v${this.version}`);
+
+                Object.entries(this.schema).forEach(([storeName, definition]) => {
+                    const store = db.objectStoreNames.contains(storeName)
+                        ? transaction.objectStore(storeName)
+                        : db.createObjectStore(storeName, { keyPath: definition.keyPath });
+
+                    Object.entries(definition.indexes || {}).forEach(([indexName, keyPath]) => {
+                        if (!store.indexNames.contains(indexName)) {
+                            store.createIndex(indexName, keyPath);
+                        }
+                    });
+                });
+            };
+
+            request.onsuccess = () => {
+                this.#db = request.result;
+
+                // Another tab upgraded the schema: release our connection
+                this.#db.onversionchange = () => this.close();
+
+                resolve(this.#db);
+            };
+
+            request.onerror = () => {
+                this.#opening = null;
+                reject(request.error);
+            };
+
+            request.onblocked = () => {
+                logger.warn(`Database ${this.name} upgrade blocked by another tab`);
+            };
+        });
+
+        return this.#opening;
+    }
+
+    /**
+     * Get a record by key
+     * @param {string} storeName - Object store
+     * @param {any} key - Record key
+     * @returns {Promise<any>} Record or undefined
+     */
+    async get(storeName, key) {
+        return this.#request(storeName, 'readonly', store => store.get(key));
+    }
+
+    /**
+     * Get all records of a store
+     * @param {string} storeName - Object store
+     * @returns {Promise<Array>} Records
+     */
+    async getAll(storeName) {
+        return this.#request(storeName, 'readonly', store => store.getAll());
+    }
+
+    /**
+     * Get all records matching an index value
+     * @param {string} storeName - Object store
+     * @param {string} indexName - Index name
+     * @param {any} value - Index value
+     * @returns {Promise<Array>} Matching records
+     */
+    async getAllByIndex(storeName, indexName, value) {
+        return this.#request(storeName, 'readonly', store => store.index(indexName).getAll(value));
+    }
+
+    /**
+     * Insert or replace a record
+     * @param {string} storeName - Object store
+     * @param {Object} value - Record to store
+     * @returns {Promise<any>} Record key
+     */
+    async put(storeName, value) {
+        return this.#request(storeName, 'readwrite', store => store.put(value));
+    }
+
+    /**
+     * Insert or replace many records in a single transaction
+     * @param {string} storeName - Object store
+     * @param {Array} values - Records to store
+     * @returns {Promise<number>} Number of records written
+     */
+    async putMany(storeName, values) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, 'readwrite');
+            const store = transaction.objectStore(storeName);
+
+            values.forEach(value => store.put(value));
+
+            transaction.oncomplete = () => resolve(values.length);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Delete a record by key
+     * @param {string} storeName - Object store
+     * @param {any} key - Record key
+     * @returns {Promise<void>}
+     */
+    async delete(storeName, key) {
+        return this.#request(storeName, 'readwrite', store => store.delete(key));
+    }
+
+    /**
+     * Delete all records matching an index value
+     * @param {string} storeName - Object store
+     * @param {string} indexName - Index name
+     * @param {any} value - Index value
+     * @returns {Promise<number>} Number of records deleted
+     */
+    async deleteByIndex(storeName, indexName, value) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, 'readwrite');
+            const request = transaction.objectStore(storeName).index(indexName).openCursor(value);
+            let deleted = 0;
+
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (cursor) {
+                    cursor.delete();
+                    deleted++;
+                    cursor.continue();
+                }
+            };
+
+            transaction.oncomplete = () => resolve(deleted);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Remove every record of a store
+     * @param {string} storeName - Object store
+     * @returns {Promise<void>}
+     */
+    async clear(storeName) {
+        return this.#request(storeName, 'readwrite', store => store.clear());
+    }
+
+    /**
+     * Close the connection
+     */
+    close() {
+        if (this.#db) {
+            this.#db.close();
+            this.#db = null;
+        }
+        this.#opening = null;
+    }
+
+    // Private methods
+
+    async #request(storeName, mode, operation) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const request = operation(transaction.objectStore(storeName));
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+}
+
+// Create default application database
+export const appDatabase = new IndexedDBHelper(
+    CONFIG.STORAGE.DB_NAME,
+    CONFIG.STORAGE.DB_VERSION,
+    DB_SCHEMA
+);
+
+// Export class for custom instances
+export default IndexedDBHelper;
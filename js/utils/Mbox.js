@@ -0,0 +1,90 @@
+/**
+ * Mbox - mboxrd mailbox files
+ * Every message starts with a "From sender date" separator line and ends with a blank line;
+ * body lines starting with "From " or ">From " get one more ">" so readers can reverse the quoting
+ *
+ * Messages are written with LF line endings, as mail clients expect in mbox files
+ */
+
+const LF = 0x0A;
+const CR = 0x0D;
+const QUOTE = 0x3E; // >
+const FROM = [0x46, 0x72, 0x6F, 0x6D, 0x20]; // "From "
+
+const DAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+/**
+ * Format the separator line of a message
+ * @param {string} sender - Envelope sender, e.g. the bare From address
+ * @param {Date} date - Delivery date
+ * @returns {string} "From user@example.com Thu Jan  1 00:00:00 1970" with a trailing LF
+ */
+export const formatFromLine = (sender, date) => {
+    // The separator is split on spaces: an address that has them cannot be written
+    const address = /^[^\s@]+@[^\s@]+$/.test(String(sender ?? '').trim()) ? String(sender).trim() : 'MAILER-DAEMON';
+    const when = date instanceof Date && !isNaN(date) ? date : new Date(0);
+    const pad = (value) => String(value).padStart(2, '0');
+
+    // asctime() format, in UTC
+    const stamp = `${DAYS[when.getUTCDay()]} ${MONTHS[when.getUTCMonth()]} ${String(when.getUTCDate()).padStart(2, ' ')} ` +
+        `${pad(when.getUTCHours())}:${pad(when.getUTCMinutes())}:${pad(when.getUTCSeconds())} ${when.getUTCFullYear()}`;
+
+    return `From ${address} ${stamp}\n`;
+};
+
+/**
+ * Quote the lines of a message that would read as separators and convert CRLF to LF
+ * @param {Uint8Array|string} source - RFC 5322 message; strings are encoded as UTF-8
+ * @returns {Uint8Array} Message ending with a line break
+ */
+export const escapeFromLines = (source) => {
+    const bytes = typeof source === 'string' ? new TextEncoder().encode(source) : source;
+
+    // A separator needs at least "From " plus a line break, so at most one ">" per 6 bytes
+    const output = new Uint8Array(bytes.length + Math.floor(bytes.length / 6) + 2);
+    let length = 0;
+    let lineStart = true;
+
+    for (let i = 0; i < bytes.length; i++) {
+        if (lineStart) {
+            if (isFromLine(bytes, i)) output[length++] = QUOTE;
+            lineStart = false;
+        }
+
+        if (bytes[i] === CR && bytes[i + 1] === LF) continue;
+
+        output[length++] = bytes[i];
+        if (bytes[i] === LF) lineStart = true;
+    }
+
+    if (length === 0 || output[length - 1] !== LF) {
+        output[length++] = LF;
+    }
+
+    return output.subarray(0, length);
+};
+
+/**
+ * Build the mbox entry of one message
+ * @param {Object} message - { sender, date, source } with source as bytes or a string
+ * @returns {Blob} Separator line, quoted message and the blank line that ends it
+ */
+export const createMboxEntry = ({ sender, date, source }) => {
+    return new Blob([formatFromLine(sender, date), escapeFromLines(source), '\n'], { type: 'application/mbox' });
+};
+
+// Private helpers
+
+function isFromLine(bytes, start) {
+    let i = start;
+    while (bytes[i] === QUOTE) i++;
+
+    return FROM.every((byte, offset) => bytes[i + offset] === byte);
+}
+
+export default {
+    formatFromLine,
+    escapeFromLines,
+    createMboxEntry
+};
@@ -0,0 +1,394 @@
+/**
+ * MimeBuilder - RFC 5322 / 2045 / 2047 / 2231 message builder
+ * Every send path builds its raw message here
+ *
+ * - Header values are stripped of CR/LF and control characters, so a CSV cell cannot inject headers
+ * - Non-ASCII subjects and display names are written as RFC 2047 encoded words, domains in punycode
+ * - Non-ASCII file names use RFC 2231 parameters with an ASCII fallback
+ * - Header lines are folded at 78 characters, base64 bodies wrapped at 76
+ *
+ * Structure: multipart/mixed (attachments) > multipart/alternative (text + HTML) > multipart/related (HTML + cid: images)
+ */
+
+import { htmlToText } from './HtmlToText.js';
+import { getUnsubscribeHeaders } from './Unsubscribe.js';
+import { parseAddress } from './AddressParser.js';
+
+const CRLF = '\r\n';
+const MAX_HEADER_LINE = 78;
+const MAX_BODY_LINE = 76;
+
+// Encoded words of 39 bytes (64 characters) fit on a line with the header name
+const MAX_WORD_BYTES = 39;
+
+// Printable ASCII except ":" (RFC 5322 ftext)
+const HEADER_NAME = /^[!-9;-~]+$/;
+const MIME_TYPE = /^[a-z0-9][a-z0-9!#$&^_.+-]*\/[a-z0-9][a-z0-9!#$&^_.+-]*$/i;
+const ADDRESS_HEADERS = new Set(['from', 'sender', 'to', 'cc', 'bcc', 'reply-to']);
+
+// Written by the builder itself: custom headers cannot replace them
+const RESERVED_HEADERS = new Set([
+    'mime-version', 'content-type', 'content-transfer-encoding', 'content-disposition',
+    'from', 'to', 'cc', 'bcc', 'reply-to', 'subject'
+]);
+
+/**
+ * Remove line breaks and control characters from a header value
+ * @param {string} value - Raw value
+ * @returns {string} Single-line value
+ */
+export const sanitizeHeaderValue = (value) => {
+    return String(value ?? '')
+        .replace(/[\r\n]+[ \t]*/g, ' ')
+        .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F\x7F]/g, '')
+        .trim();
+};
+
+/**
+ * Encode text as RFC 2047 encoded words when it is not plain ASCII
+ * @param {string} text - Header text
+ * @returns {string} Text or space-separated encoded words
+ */
+export const encodeWords = (text) => {
+    const value = String(text ?? '');
+
+    if (/^[\x20-\x7E]*$/.test(value)) {
+        return value;
+    }
+
+    // Split on characters, never inside a UTF-8 sequence
+    const words = [];
+    let current = '';
+    let bytes = 0;
+
+    for (const char of value) {
+        const size = utf8Length(char);
+        if (bytes + size > MAX_WORD_BYTES) {
+            words.push(current);
+            current = '';
+            bytes = 0;
+        }
+        current += char;
+        bytes += size;
+    }
+    words.push(current);
+
+    return words.map(word => `=?UTF-8?B?${toBase64(word)}?=`).join(' ');
+};
+
+/**
+ * Split an address list on commas and semicolons outside quotes and angle brackets
+ * @param {string} value - Address list
+ * @returns {Array<string>} Addresses
+ */
+export const splitAddresses = (value) => {
+    const addresses = [];
+    let current = '';
+    let quoted = false;
+    let angle = false;
+
+    for (const char of String(value ?? '')) {
+        if (char === '"' && !angle) quoted = !quoted;
+        if (char === '<' && !quoted) angle = true;
+        if (char === '>' && !quoted) angle = false;
+
+        if ((char === ',' || char === ';') && !quoted && !angle) {
+            addresses.push(current);
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    addresses.push(current);
+
+    return addresses.map(address => address.trim()).filter(Boolean);
+};
+
+/**
+ * Format one address, encoding or quoting its display name
+ * @param {string} address - "Name <user@example.com>" or "user@example.com"
+ * @returns {string} RFC 5322 mailbox, with the domain in punycode
+ */
+export const formatAddress = (address) => {
+    const value = sanitizeHeaderValue(address);
+    const match = /^(.*?)\s*<([^<>]+)>$/.exec(value);
+
+    if (!match) {
+        return toAsciiAddress(value);
+    }
+
+    const email = toAsciiAddress(match[2].trim());
+    const name = match[1].trim().replace(/^"(.*)"$/, '$1').replace(/\\(.)/g, '$1');
+
+    if (!name) {
+        return `<${email}>`;
+    }
+
+    if (!/^[\x20-\x7E]*$/.test(name)) {
+        return `${encodeWords(name)} <${email}>`;
+    }
+
+    // Specials such as "," or "." need a quoted string
+    return /^[A-Za-z0-9!#$%&'*+\-/=?^_`{|}~ ]+$/.test(name)
+        ? `${name} <${email}>`
+        : `"${name.replace(/["\\]/g, '\\$&')}" <${email}>`;
+};
+
+/**
+ * Format an address list header value
+ * @param {string|Array<string>} value - Addresses
+ * @returns {string} Comma-separated mailboxes
+ */
+export const formatAddressList = (value) => {
+    const addresses = Array.isArray(value) ? value : splitAddresses(value);
+    return addresses.map(formatAddress).join(', ');
+};
+
+/**
+ * Fold a header line at whitespace so no line exceeds 78 characters
+ * @param {string} line - "Name: value"
+ * @returns {string} Folded line
+ */
+export const foldHeader = (line) => {
+    if (line.length <= MAX_HEADER_LINE) {
+        return line;
+    }
+
+    const lines = [];
+    let current = '';
+
+    for (const token of line.split(/(?= )/)) {
+        if (current && current.length + token.length > MAX_HEADER_LINE) {
+            lines.push(current);
+            current = token.startsWith(' ') ? token : ` ${token}`;
+        } else {
+            current += token;
+        }
+    }
+    lines.push(current);
+
+    return lines.join(CRLF);
+};
+
+/**
+ * Format a header line: validated name, sanitized, encoded and folded value
+ * @param {string} name - Header name
+ * @param {string} value - Header value
+ * @returns {string} Header line without the trailing CRLF
+ */
+export const formatHeader = (name, value) => {
+    if (!HEADER_NAME.test(name)) {
+        throw new Error(`Invalid header name: ${name}`);
+    }
+
+    const clean = sanitizeHeaderValue(value);
+    const encoded = ADDRESS_HEADERS.has(name.toLowerCase()) ? formatAddressList(clean) : encodeWords(clean);
+
+    return foldHeader(`${name}: ${encoded}`);
+};
+
+/**
+ * Check that a header may be set as a custom header
+ * @param {string} name - Header name
+ * @returns {boolean} True for a valid name that the builder does not write itself
+ */
+export const isCustomHeaderAllowed = (name) => {
+    const value = String(name ?? '');
+    return HEADER_NAME.test(value) && !RESERVED_HEADERS.has(value.toLowerCase());
+};
+
+/**
+ * Format a MIME parameter, using RFC 2231 for non-ASCII values
+ * @param {string} name - Parameter name (e.g. filename)
+ * @param {string} value - Parameter value
+ * @returns {string} 'name="value"' or 'name="fallback"; name*=UTF-8''...'
+ */
+export const formatParameter = (name, value) => {
+    const clean = sanitizeHeaderValue(value);
+    const quote = (text) => `"${text.replace(/["\\]/g, '\\$&')}"`;
+
+    if (/^[\x20-\x7E]*$/.test(clean)) {
+        return `${name}=${quote(clean)}`;
+    }
+
+    // Older clients read the plain parameter: give them the name without accents
+    const fallback = clean
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^\x20-\x7E]/g, '_');
+    const encoded = encodeURIComponent(clean).replace(/['()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+
+    return `${name}=${quote(fallback)}; ${name}*=UTF-8''${encoded}`;
+};
+
+/**
+ * Subject of a reply: "Re: " once, however the original was prefixed
+ * @param {string} subject - Original or new subject
+ * @returns {string} Reply subject
+ */
+export const formatReplySubject = (subject) => {
+    const clean = sanitizeHeaderValue(subject);
+    return /^(re|r|aw|sv|antw|rif)\s*:/i.test(clean) ? clean : `Re: ${clean}`;
+};
+
+/**
+ * Build a complete message
+ * @param {Object} options - Message options
+ * @param {string} [options.from] - Sender, e.g. "Name <user@example.com>"
+ * @param {string} options.to - Recipients
+ * @param {string} [options.cc] - Carbon copy recipients
+ * @param {string} [options.bcc] - Blind carbon copy recipients
+ * @param {string} [options.replyTo] - Reply-To address
+ * @param {string} options.subject - Subject
+ * @param {string} options.body - Plain text or HTML body
+ * @param {boolean} [options.isHtml] - Body is HTML
+ * @param {string} [options.text] - Plain-text version of an HTML body (generated if empty)
+ * @param {Array} [options.attachments] - [{ filename, mimeType, data }] with base64 data
+ * @param {Array} [options.inlineImages] - [{ filename, mimeType, data, contentId }] referenced by cid:
+ * @param {Object} [options.headers] - Extra headers { name: value }
+ * @param {Object} [options.unsubscribe] - { url, mailto } written as List-Unsubscribe headers
+ * @returns {string} RFC 5322 message
+ */
+export const buildMimeMessage = (options) => {
+    const {
+        from = '',
+        to,
+        cc = '',
+        bcc = '',
+        replyTo = '',
+        subject = '',
+        body = '',
+        isHtml = false,
+        text = '',
+        attachments = [],
+        inlineImages = [],
+        headers = {},
+        unsubscribe = null
+    } = options;
+
+    const lines = ['MIME-Version: 1.0'];
+
+    [['From', from], ['To', to], ['Cc', cc], ['Bcc', bcc], ['Reply-To', replyTo]].forEach(([name, value]) => {
+        if (sanitizeHeaderValue(value)) {
+            lines.push(formatHeader(name, value));
+        }
+    });
+
+    lines.push(formatHeader('Subject', subject));
+
+    Object.entries({ ...headers, ...getUnsubscribeHeaders(unsubscribe) }).forEach(([name, value]) => {
+        if (RESERVED_HEADERS.has(name.toLowerCase())) {
+            throw new Error(`Header ${name} cannot be set as a custom header`);
+        }
+        if (value !== undefined && value !== null && value !== '') {
+            lines.push(formatHeader(name, value));
+        }
+    });
+
+    let content;
+
+    if (isHtml) {
+        const html = inlineImages?.length > 0
+            ? multipartEntity('related', [
+                textEntity('text/html', body),
+                ...inlineImages.map(image => fileEntity(image, 'inline'))
+            ], 'type="text/html"')
+            : textEntity('text/html', body);
+
+        content = multipartEntity('alternative', [
+            textEntity('text/plain', text || htmlToText(body)),
+            html
+        ]);
+    } else {
+        content = textEntity('text/plain', body);
+    }
+
+    if (attachments?.length > 0) {
+        content = multipartEntity('mixed', [
+            content,
+            ...attachments.map(attachment => fileEntity(attachment, 'attachment'))
+        ]);
+    }
+
+    return lines.join(CRLF) + CRLF + content;
+};
+
+// Private helpers
+
+function utf8Length(char) {
+    const code = char.codePointAt(0);
+    if (code < 0x80) return 1;
+    if (code < 0x800) return 2;
+    if (code < 0x10000) return 3;
+    return 4;
+}
+
+// Headers are written without SMTPUTF8: internationalized domains go in punycode
+function toAsciiAddress(email) {
+    const parsed = parseAddress(email);
+    return parsed ? parsed.asciiAddress : email;
+}
+
+function toBase64(text) {
+    return btoa(unescape(encodeURIComponent(text)));
+}
+
+function wrapBase64(data) {
+    return String(data ?? '')
+        .replace(/\s+/g, '')
+        .replace(new RegExp(`.{${MAX_BODY_LINE}}(?=.)`, 'g'), `$&${CRLF}`);
+}
+
+function createBoundary(kind) {
+    // "=_" never occurs in base64, so the boundary cannot collide with content
+    const random = Array.from({ length: 3 }, () => Math.random().toString(36).slice(2, 10)).join('');
+    return `----=_${kind}_${random}`;
+}
+
+function textEntity(type, content) {
+    return `Content-Type: ${type}; charset=UTF-8${CRLF}` +
+        `Content-Transfer-Encoding: base64${CRLF}${CRLF}` +
+        wrapBase64(toBase64(content));
+}
+
+function fileEntity(file, disposition) {
+    const type = MIME_TYPE.test(file.mimeType || '') ? file.mimeType : 'application/octet-stream';
+    const filename = file.filename || 'attachment';
+    const lines = [
+        foldHeader(`Content-Type: ${type}; ${formatParameter('name', filename)}`),
+        'Content-Transfer-Encoding: base64'
+    ];
+
+    if (file.contentId) {
+        lines.push(`Content-ID: <${sanitizeHeaderValue(file.contentId).replace(/[<>\s]/g, '')}>`);
+    }
+
+    lines.push(foldHeader(`Content-Disposition: ${disposition}; ${formatParameter('filename', filename)}`));
+
+    return lines.join(CRLF) + CRLF + CRLF + wrapBase64(file.data);
+}
+
+function multipartEntity(subtype, parts, parameters = '') {
+    const boundary = createBoundary(subtype);
+    const header = foldHeader(
+        `Content-Type: multipart/${subtype};${parameters ? ` ${parameters};` : ''} boundary="${boundary}"`
+    );
+
+    return header + CRLF + CRLF +
+        parts.map(part => `--${boundary}${CRLF}${part}${CRLF}`).join('') +
+        `--${boundary}--`;
+}
+
+export default {
+    sanitizeHeaderValue,
+    encodeWords,
+    splitAddresses,
+    formatAddress,
+    formatAddressList,
+    foldHeader,
+    formatHeader,
+    isCustomHeaderAllowed,
+    formatParameter,
+    formatReplySubject,
+    buildMimeMessage
+};
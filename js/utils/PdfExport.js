@@ -0,0 +1,150 @@
+/**
+ * PdfExport - Emails rendered as paginated PDF documents (jsPDF, loaded from the CDN)
+ * Every message starts on a new page: header block (from, to, cc, date, subject, labels),
+ * body as plain text and the list of attachments; pages are numbered in the footer
+ *
+ * The standard PDF fonts only cover Western European characters; others are written as "?"
+ */
+
+import { formatBytes } from './SharedUtilities.js';
+
+const PAGE = { format: 'a4', margin: 48 };
+const FONT_SIZE = { subject: 14, header: 9, body: 10, footer: 8 };
+const LINE_HEIGHT = 1.35;
+const HEADER_LABEL_WIDTH = 56;
+
+// Typographic characters the standard fonts do not have
+const REPLACEMENTS = {
+    '\u2018': "'", '\u2019': "'", '\u201C': '"', '\u201D': '"',
+    '\u2013': '-', '\u2014': '-', '\u2026': '...', '\u2022': '-'
+};
+
+/**
+ * Check that jsPDF is loaded
+ * @returns {boolean} True when PDFs can be created
+ */
+export const isPdfExportAvailable = () => Boolean(window.jspdf?.jsPDF);
+
+/**
+ * Render messages into one PDF
+ * @param {Array} messages - [{ from, to, cc, date, subject, labels, body, attachments: [{ filename, size }] }]
+ *   with date as a Date and body as plain text
+ * @returns {Blob} application/pdf
+ */
+export const createEmailPdf = (messages) => {
+    if (!isPdfExportAvailable()) {
+        throw new Error('jsPDF is not loaded');
+    }
+
+    const doc = new window.jspdf.jsPDF({ unit: 'pt', format: PAGE.format });
+    const cursor = { doc, y: PAGE.margin };
+
+    messages.forEach((message, index) => {
+        if (index > 0) {
+            doc.addPage();
+            cursor.y = PAGE.margin;
+        }
+        renderMessage(cursor, message);
+    });
+
+    addPageNumbers(doc);
+
+    return doc.output('blob');
+};
+
+// Private helpers
+
+function renderMessage(cursor, message) {
+    const { doc } = cursor;
+    const width = doc.internal.pageSize.getWidth() - PAGE.margin * 2;
+
+    doc.setFont('helvetica', 'bold');
+    writeLines(cursor, message.subject || '(No Subject)', FONT_SIZE.subject, width);
+    cursor.y += 4;
+
+    [
+        ['From', message.from],
+        ['To', message.to],
+        ['Cc', message.cc],
+        ['Date', message.date instanceof Date && !isNaN(message.date) ? message.date.toUTCString() : ''],
+        ['Labels', (message.labels || []).join(', ')]
+    ].filter(([, value]) => value).forEach(([label, value]) => {
+        doc.setFont('helvetica', 'bold');
+        writeLines(cursor, `${label}:`, FONT_SIZE.header, HEADER_LABEL_WIDTH);
+
+        // The value starts on the label line, to its right
+        cursor.y -= FONT_SIZE.header * LINE_HEIGHT;
+        doc.setFont('helvetica', 'normal');
+        writeLines(cursor, value, FONT_SIZE.header, width - HEADER_LABEL_WIDTH, HEADER_LABEL_WIDTH);
+    });
+
+    cursor.y += 6;
+    doc.setDrawColor(200);
+    doc.line(PAGE.margin, cursor.y, PAGE.margin + width, cursor.y);
+    cursor.y += 14;
+
+    doc.setFont('helvetica', 'normal');
+    writeLines(cursor, message.body || '', FONT_SIZE.body, width);
+
+    if (message.attachments?.length > 0) {
+        cursor.y += 12;
+        doc.setFont('helvetica', 'bold');
+        writeLines(cursor, `Attachments (${message.attachments.length})`, FONT_SIZE.header, width);
+
+        doc.setFont('helvetica', 'normal');
+        message.attachments.forEach(attachment => {
+            writeLines(cursor, `- ${attachment.filename} (${formatBytes(attachment.size || 0)})`, FONT_SIZE.header, width);
+        });
+    }
+}
+
+/**
+ * Write wrapped text at the cursor, moving to a new page when the current one is full
+ */
+function writeLines(cursor, text, fontSize, width, indent = 0) {
+    const { doc } = cursor;
+    const lineHeight = fontSize * LINE_HEIGHT;
+    const bottom = doc.internal.pageSize.getHeight() - PAGE.margin;
+
+    doc.setFontSize(fontSize);
+
+    doc.splitTextToSize(toPdfText(text), width).forEach(line => {
+        if (cursor.y + lineHeight > bottom) {
+            doc.addPage();
+            cursor.y = PAGE.margin;
+        }
+
+        // Text is placed by its baseline
+        doc.text(line, PAGE.margin + indent, cursor.y + fontSize);
+        cursor.y += lineHeight;
+    });
+}
+
+function addPageNumbers(doc) {
+    const total = doc.getNumberOfPages();
+    const pageWidth = doc.internal.pageSize.getWidth();
+    const y = doc.internal.pageSize.getHeight() - PAGE.margin / 2;
+
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(FONT_SIZE.footer);
+    doc.setTextColor(120);
+
+    for (let page = 1; page <= total; page++) {
+        doc.setPage(page);
+        doc.text(`${page} / ${total}`, pageWidth / 2, y, { align: 'center' });
+    }
+}
+
+function toPdfText(text) {
+    return String(text ?? '')
+        .normalize('NFC')
+        .replace(/\r\n?/g, '\n')
+        .replace(/\t/g, '    ')
+        .replace(/[\u2018\u2019\u201C\u201D\u2013\u2014\u2026\u2022]/g, char => REPLACEMENTS[char])
+        .replace(/[^\n\x20-\x7E\xA0-\xFF\u20AC]/g, '?');
+}
+
+export default {
+    isPdfExportAvailable,
+    createEmailPdf
+};
@@ -0,0 +1,44 @@
+/**
+ * SendErrors - Retry rules shared by batch sends and follow-ups
+ * Quota errors put the email back until the quota resets; transient errors are retried up to MAX_SEND_ATTEMPTS
+ */
+
+export const MAX_SEND_ATTEMPTS = 3;
+
+const TRANSIENT_STATUS = [408, 429, 500, 502, 503, 504];
+
+/**
+ * Check whether Gmail refused a send because the daily quota is used up
+ * @param {*} error - Error thrown by the Gmail client or the rate limiter
+ * @returns {boolean} True for quota errors
+ */
+export const isQuotaError = (error) => {
+    return /quota|sending limit/i.test(getErrorMessage(error));
+};
+
+/**
+ * Rate limiting, server errors and lost connections may succeed on a later attempt
+ * @param {*} error - Error thrown by the Gmail client
+ * @returns {boolean} True when the send can be retried
+ */
+export const isTransientError = (error) => {
+    const code = error?.code ?? error?.status ?? error?.result?.error?.code;
+    return TRANSIENT_STATUS.includes(code) ||
+        /rate limit|backend error|timed? ?out|network|failed to fetch/i.test(getErrorMessage(error));
+};
+
+/**
+ * Message of a Gmail API error, a plain Error or anything else thrown
+ * @param {*} error - Thrown value
+ * @returns {string} Message
+ */
+export const getErrorMessage = (error) => {
+    return error?.result?.error?.message || error?.message || String(error ?? '');
+};
+
+export default {
+    MAX_SEND_ATTEMPTS,
+    isQuotaError,
+    isTransientError,
+    getErrorMessage
+};
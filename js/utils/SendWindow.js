@@ -0,0 +1,212 @@
+/**
+ * SendWindow - Time window helpers for scheduled sending
+ * Resolves weekday/hour windows (e.g. Mon-Fri 09:00-18:00) in any IANA time zone
+ */
+
+const MINUTES_PER_DAY = 24 * 60;
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+const formatters = new Map();
+
+/**
+ * Default window: weekdays, office hours, browser time zone
+ */
+export const DEFAULT_SEND_WINDOW = Object.freeze({
+    days: [1, 2, 3, 4, 5],
+    start: '09:00',
+    end: '18:00',
+    timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone
+});
+
+/**
+ * Parse "HH:MM" into minutes since midnight
+ * @param {string} value - Time string
+ * @returns {number} Minutes since midnight
+ */
+export const parseTimeOfDay = (value) => {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(String(value || '').trim());
+
+    if (!match || Number(match[1]) > 24 || Number(match[2]) > 59) {
+        throw new Error(`Invalid time of day: ${value}`);
+    }
+
+    return Math.min(Number(match[1]) * 60 + Number(match[2]), MINUTES_PER_DAY);
+};
+
+/**
+ * Validate a send window and fill in defaults
+ * @param {Object} window - { days, start, end, timeZone }
+ * @returns {Object} Normalized window
+ */
+export const normalizeSendWindow = (window) => {
+    const normalized = { ...DEFAULT_SEND_WINDOW, ...window };
+
+    const days = [...new Set(normalized.days.map(Number))].filter(day => day >= 0 && day <= 6);
+    if (days.length === 0) {
+        throw new Error('Send window needs at least one day');
+    }
+
+    if (parseTimeOfDay(normalized.start) >= parseTimeOfDay(normalized.end)) {
+        throw new Error('Send window must end after it starts');
+    }
+
+    // Throws RangeError for unknown zones
+    getFormatter(normalized.timeZone);
+
+    return { ...normalized, days: days.sort() };
+};
+
+/**
+ * Get weekday and minutes since midnight of a date in a time zone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {Object} { weekday, minutes }
+ */
+export const getZonedTime = (date, timeZone) => {
+    const parts = {};
+
+    getFormatter(timeZone).formatToParts(date).forEach(part => {
+        parts[part.type] = part.value;
+    });
+
+    return {
+        weekday: WEEKDAYS[parts.weekday],
+        minutes: (Number(parts.hour) % 24) * 60 + Number(parts.minute)
+    };
+};
+
+/**
+ * Check if a date falls inside a send window
+ * @param {Date} date - Instant to check
+ * @param {Object} window - Send window
+ * @returns {boolean} True if sending is allowed
+ */
+export const isWithinSendWindow = (date, window) => {
+    const { weekday, minutes } = getZonedTime(date, window.timeZone);
+
+    return window.days.includes(weekday) &&
+        minutes >= parseTimeOfDay(window.start) &&
+        minutes < parseTimeOfDay(window.end);
+};
+
+/**
+ * Get the first instant at or after a date that falls inside a send window
+ * @param {Date} date - Earliest allowed instant
+ * @param {Object} window - Send window
+ * @returns {Date} Next allowed instant
+ */
+export const getNextSendWindowStart = (date, window) => {
+    const start = parseTimeOfDay(window.start);
+    let candidate = new Date(date.getTime());
+
+    // A week plus DST corrections is always enough
+    for (let i = 0; i < 16; i++) {
+        if (isWithinSendWindow(candidate, window)) {
+            return candidate;
+        }
+
+        const { weekday, minutes } = getZonedTime(candidate, window.timeZone);
+
+        // Jump to today's opening, or to the next day's opening
+        const jump = window.days.includes(weekday) && minutes < start
+            ? start - minutes
+            : MINUTES_PER_DAY - minutes + start;
+
+        candidate = new Date(candidate.getTime() + jump * 60000);
+        candidate.setSeconds(0, 0);
+
+        // Across a DST change the jump is off by the offset shift: snap back to the opening
+        const drift = getZonedTime(candidate, window.timeZone).minutes - start;
+        if (drift !== 0 && Math.abs(drift) <= 120) {
+            const corrected = new Date(candidate.getTime() - drift * 60000);
+            if (getZonedTime(corrected, window.timeZone).minutes === start) {
+                candidate = corrected;
+            }
+        }
+    }
+
+    throw new Error('Unable to find the next send window');
+};
+
+/**
+ * Parse a per-row send_at value
+ * Accepts ISO 8601 ("2025-03-05T10:00:00Z"), "YYYY-MM-DD[ HH:MM]" and day-first "DD/MM/YYYY[ HH:MM]";
+ * values without a time zone are browser local time. Other formats are rejected rather than guessed
+ * @param {string} value - Raw CSV value
+ * @returns {Date|null} Parsed date, or null if empty
+ */
+export const parseSendAt = (value) => {
+    const text = String(value ?? '').trim();
+    if (!text) return null;
+
+    const date = parseLocalDate(text) ?? parseIsoDateTime(text);
+
+    if (!date) {
+        throw new Error(`Invalid send_at value: ${text}`);
+    }
+
+    return date;
+};
+
+// Private helpers
+
+// Date with an optional time and no time zone: read on the local calendar, not as UTC like Date does
+function parseLocalDate(text) {
+    const iso = /^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?$/.exec(text);
+    const european = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?$/.exec(text);
+
+    let parts;
+    if (iso) {
+        const [, year, month, day, hours = 0, minutes = 0, seconds = 0] = iso;
+        parts = [year, month, day, hours, minutes, seconds];
+    } else if (european) {
+        const [, day, month, year, hours = 0, minutes = 0, seconds = 0] = european;
+        parts = [year, month, day, hours, minutes, seconds];
+    } else {
+        return null;
+    }
+
+    const [year, month, day, hours, minutes, seconds] = parts.map(Number);
+    const date = new Date(year, month - 1, day, hours, minutes, seconds);
+
+    // Date rolls 31/02 over to March: such values are not a real day
+    if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day ||
+        hours > 23 || minutes > 59 || seconds > 59) {
+        return null;
+    }
+
+    return date;
+}
+
+// ISO 8601 with a time zone, e.g. 2025-03-05T10:00:00Z or 2025-03-05T10:00+01:00
+function parseIsoDateTime(text) {
+    if (!/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})$/i.test(text)) {
+        return null;
+    }
+
+    const date = new Date(text);
+    return isNaN(date.getTime()) ? null : date;
+}
+
+function getFormatter(timeZone) {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            weekday: 'short',
+            hour: '2-digit',
+            minute: '2-digit',
+            hourCycle: 'h23'
+        }));
+    }
+
+    return formatters.get(timeZone);
+}
+
+export default {
+    DEFAULT_SEND_WINDOW,
+    parseTimeOfDay,
+    normalizeSendWindow,
+    getZonedTime,
+    isWithinSendWindow,
+    getNextSendWindowStart,
+    parseSendAt
+};
@@ -10,6 +10,8 @@
  * Eliminates code duplication and provides a single source of truth
  */
 
+import { renderString } from './TemplateEngine.js';
+
 /**
  * Sleep/delay function
  * @param {number} ms - Milliseconds to sleep
@@ -130,6 +132,34 @@ export const base64 = {
         }
     },
     
+    /**
+     * Decode URL-safe base64 to bytes, e.g. binary attachments and raw messages
+     * @param {string} str - Encoded string
+     * @returns {Uint8Array} Decoded bytes
+     */
+    decodeBytes: (str) => {
+        const binary = atob(str.replace(/-/g, '+').replace(/_/g, '/'));
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    },
+    
+    /**
+     * Encode bytes as standard base64 (MIME bodies)
+     * @param {Uint8Array} bytes - Bytes to encode
+     * @returns {string} Encoded string
+     */
+    encodeBytes: (bytes) => {
+        let binary = '';
+        // Chunks keep the argument list of fromCharCode short
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
+    },
+    
     /**
      * Encode string with UTF-8 support
      * @param {string} str - String to encode
@@ -282,23 +312,14 @@ export const memoize = (fn, keyGenerator) => {
 
 /**
  * Replace template variables
+ * Supports defaults, filters, #if and #each blocks (see TemplateEngine.js)
  * @param {string} template - Template string with {{variables}}
  * @param {Object} data - Data object with values
+ * @param {Object} options - Rendering options ({ locale })
  * @returns {string} String with replaced variables
  */
-export const replaceTemplateVariables = (template, data) => {
-    let result = template;
-    
-    // Replace all variables in format {{variable}}
-    Object.keys(data).forEach(key => {
-        const regex = new RegExp(`{{\\s*${key}\\s*}}`, 'gi');
-        result = result.replace(regex, data[key] || '');
-    });
-    
-    // Remove any remaining placeholders
-    result = result.replace(/{{.*?}}/g, '');
-    
-    return result;
+export const replaceTemplateVariables = (template, data, options = {}) => {
+    return renderString(template, data, options);
 };
 
 /**
@@ -0,0 +1,44 @@
+/**
+ * Signature - Append a Gmail send-as signature to a message body
+ * Gmail stores signatures as HTML: HTML bodies get it as is, plain-text bodies and parts get its text
+ */
+
+import { htmlToText } from './HtmlToText.js';
+
+// "-- " on its own line lets mail clients recognize and trim the signature
+const TEXT_DELIMITER = '\n\n-- \n';
+
+/**
+ * Append a signature to the body and plain-text part of a message
+ * @param {Object} message - { body, text, isHtml }
+ * @param {string} signature - Signature HTML (empty for none)
+ * @returns {Object} { body, text } with the signature
+ */
+export const appendSignature = (message, signature) => {
+    const { body = '', text = '', isHtml = false } = message;
+    const signatureText = htmlToText(signature);
+
+    if (!signatureText && !/<img\b/i.test(signature || '')) {
+        return { body, text };
+    }
+
+    // Image-only signatures have nothing to show in plain text
+    const plain = (content) => signatureText ? content.replace(/\s+$/, '') + TEXT_DELIMITER + signatureText : content;
+
+    if (!isHtml) {
+        return { body: plain(body), text };
+    }
+
+    const html = `<br><br><div class="gmail_signature">-- <br>${signature}</div>`;
+    const closing = /<\/body\s*>/i.exec(body);
+
+    return {
+        body: closing ? body.slice(0, closing.index) + html + body.slice(closing.index) : body + html,
+        // Without a text part the builder converts the signed HTML
+        text: text ? plain(text) : ''
+    };
+};
+
+export default {
+    appendSignature
+};
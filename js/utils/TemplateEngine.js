@@ -0,0 +1,349 @@
+/**
+ * TemplateEngine - Merge field rendering for email templates
+ *
+ * Syntax:
+ *   {{name}}                       value of the "name" column (case-insensitive)
+ *   {{name|there}}                 default when the value is missing or empty
+ *   {{name|title}}                 filters: upper, lower, title, capitalize, trim,
+ *   {{amount|number:2}}                     number[:decimals], date[:format], default:text
+ *   {{#if company}}…{{else}}…{{/if}}
+ *   {{#each products}}{{this}}{{#if @last}}.{{else}}, {{/if}}{{/each}}
+ *
+ * List columns for #each are split on ";" or new lines.
+ * Inside #each: {{this}}, {{@index}} (0-based), {{@number}} (1-based), {{@first}}, {{@last}}.
+ */
+
+const TAG_REGEX = /{{\s*([^{}]*?)\s*}}/g;
+const LIST_SEPARATOR = /\s*(?:;|\r?\n)\s*/;
+const CACHE_LIMIT = 100;
+
+const cache = new Map();
+
+/**
+ * Formatting filters: (value, arg, options) => string
+ */
+export const FILTERS = Object.freeze({
+    upper: (value) => value.toUpperCase(),
+    lower: (value) => value.toLowerCase(),
+    trim: (value) => value.trim(),
+    capitalize: (value) => value.charAt(0).toUpperCase() + value.slice(1),
+    title: (value) => value
+        .toLowerCase()
+        .replace(/(^|[\s\-'’])(\p{L})/gu, (match, separator, letter) => separator + letter.toUpperCase()),
+    number: (value, arg, options) => {
+        const number = parseNumber(value);
+        if (Number.isNaN(number)) return value;
+
+        const decimals = arg === undefined || arg === '' ? undefined : Number(arg);
+        return new Intl.NumberFormat(options.locale, {
+            minimumFractionDigits: decimals,
+            maximumFractionDigits: decimals ?? 20
+        }).format(number);
+    },
+    date: (value, arg, options) => {
+        const date = parseDate(value);
+        if (!date) return value;
+
+        return arg ? formatDate(date, arg) : date.toLocaleDateString(options.locale);
+    }
+});
+
+/**
+ * Parse a template into a syntax tree (cached)
+ * @param {string} template - Template text
+ * @returns {Array} Nodes
+ */
+export const parseTemplate = (template) => {
+    const source = String(template ?? '');
+
+    if (cache.has(source)) {
+        return cache.get(source);
+    }
+
+    const root = { type: 'root', children: [] };
+    const stack = [root];
+    let current = root.children;
+    let lastIndex = 0;
+
+    for (const match of source.matchAll(TAG_REGEX)) {
+        if (match.index > lastIndex) {
+            current.push({ type: 'text', value: source.slice(lastIndex, match.index) });
+        }
+        lastIndex = match.index + match[0].length;
+
+        const tag = match[1];
+        const block = stack[stack.length - 1];
+
+        if (/^#(if|unless|each)\s+/.test(tag)) {
+            const [, type, name] = /^#(if|unless|each)\s+(.+)$/.exec(tag);
+            const node = { type, name: name.trim(), children: [], alternate: [] };
+            current.push(node);
+            stack.push(node);
+            current = node.children;
+        } else if (tag === 'else') {
+            if (!['if', 'unless'].includes(block.type)) {
+                throw new Error('Template error: {{else}} outside {{#if}}');
+            }
+            current = block.alternate;
+        } else if (/^\/(if|unless|each)$/.test(tag)) {
+            const type = tag.slice(1);
+            if (block.type !== type) {
+                throw new Error(`Template error: unexpected {{${tag}}}`);
+            }
+            stack.pop();
+            current = getOpenList(stack[stack.length - 1], block);
+        } else {
+            current.push(parseVariable(tag));
+        }
+    }
+
+    if (stack.length > 1) {
+        throw new Error(`Template error: missing {{/${stack[stack.length - 1].type}}} for "${stack[stack.length - 1].name}"`);
+    }
+
+    if (lastIndex < source.length) {
+        current.push({ type: 'text', value: source.slice(lastIndex) });
+    }
+
+    if (cache.size >= CACHE_LIMIT) {
+        cache.delete(cache.keys().next().value);
+    }
+    cache.set(source, root.children);
+
+    return root.children;
+};
+
+/**
+ * Render a template and collect placeholders that could not be resolved
+ * @param {string} template - Template text
+ * @param {Object} data - Row values
+ * @param {Object} options - { locale }
+ * @returns {Object} { output, unresolved: [{ name, reason: 'missing'|'empty' }] }
+ */
+export const renderTemplate = (template, data = {}, options = {}) => {
+    const unresolved = [];
+    const output = renderNodes(parseTemplate(template), [data || {}], options, unresolved);
+
+    // One entry per placeholder
+    const seen = new Set();
+    const unique = unresolved.filter(({ name }) => !seen.has(name) && seen.add(name));
+
+    return { output, unresolved: unique };
+};
+
+/**
+ * Render a template to a string
+ * @param {string} template - Template text
+ * @param {Object} data - Row values
+ * @param {Object} options - { locale }
+ * @returns {string} Rendered text
+ */
+export const renderString = (template, data = {}, options = {}) => {
+    return renderTemplate(template, data, options).output;
+};
+
+/**
+ * Check templates against every row before sending
+ * @param {Object|Function} templates - Named templates, e.g. { subject, body },
+ *   or a function returning them for a row when every row has its own (direct CSV)
+ * @param {Array} rows - Row values
+ * @param {Object} options - { locale }
+ * @returns {Array} [{ row, unresolved: [{ field, name, reason }] }] for rows with problems only
+ */
+export const getTemplateReport = (templates, rows, options = {}) => {
+    const report = [];
+
+    rows.forEach((data, index) => {
+        const unresolved = [];
+        const rowTemplates = typeof templates === 'function' ? templates(data, index) : templates;
+
+        Object.entries(rowTemplates).forEach(([field, template]) => {
+            if (!template) return;
+
+            try {
+                renderTemplate(template, data, options).unresolved
+                    .forEach(entry => unresolved.push({ field, ...entry }));
+            } catch (error) {
+                unresolved.push({ field, name: error.message, reason: 'syntax' });
+            }
+        });
+
+        if (unresolved.length > 0) {
+            report.push({ row: index + 1, unresolved });
+        }
+    });
+
+    return report;
+};
+
+// Private helpers
+
+function getOpenList(parent, closed) {
+    // After closing a block, continue in the branch of the parent that contains it
+    if (parent.type === 'root') return parent.children;
+    return parent.alternate.includes(closed) ? parent.alternate : parent.children;
+}
+
+function parseVariable(expression) {
+    // Split on "|" outside quotes so defaults may contain it: {{x|"a|b"}}
+    const [name, ...segments] = (expression.match(/(?:"[^"]*"|'[^']*'|[^|])+/g) || [''])
+        .map(part => part.trim());
+    const node = { type: 'var', name, filters: [], fallback: undefined };
+
+    segments.forEach(segment => {
+        const [, filter, arg] = /^(\w+)(?::(.*))?$/.exec(segment) || [];
+
+        if (filter === 'default') {
+            node.fallback = unquote(arg ?? '');
+        } else if (filter && FILTERS[filter]) {
+            node.filters.push({ name: filter, arg: arg === undefined ? undefined : unquote(arg) });
+        } else {
+            node.fallback = unquote(segment);
+        }
+    });
+
+    return node;
+}
+
+function unquote(text) {
+    return text.trim().replace(/^(["'])(.*)\1$/, '$2');
+}
+
+function lookup(scopes, name) {
+    for (const scope of scopes) {
+        if (Object.prototype.hasOwnProperty.call(scope, name)) {
+            return { found: true, value: scope[name] };
+        }
+
+        const key = Object.keys(scope).find(k => k.trim().toLowerCase() === name.toLowerCase());
+        if (key !== undefined) {
+            return { found: true, value: scope[key] };
+        }
+    }
+
+    return { found: false, value: undefined };
+}
+
+function isTruthy(value) {
+    if (typeof value === 'boolean') return value;
+    return value !== undefined && value !== null && String(value).trim() !== '';
+}
+
+function renderNodes(nodes, scopes, options, unresolved) {
+    return nodes.map(node => {
+        switch (node.type) {
+            case 'text':
+                return node.value;
+
+            case 'var':
+                return renderVariable(node, scopes, options, unresolved);
+
+            case 'if':
+            case 'unless': {
+                const { found, value } = lookup(scopes, node.name);
+                if (!found) unresolved.push({ name: node.name, reason: 'missing' });
+
+                const condition = node.type === 'if' ? isTruthy(value) : !isTruthy(value);
+                return renderNodes(condition ? node.children : node.alternate, scopes, options, unresolved);
+            }
+
+            case 'each': {
+                const { found, value } = lookup(scopes, node.name);
+                if (!found) unresolved.push({ name: node.name, reason: 'missing' });
+
+                const items = Array.isArray(value)
+                    ? value
+                    : String(value ?? '').split(LIST_SEPARATOR).filter(item => item !== '');
+
+                return items.map((item, index) => renderNodes(node.children, [{
+                    this: item,
+                    '@index': index,
+                    '@number': index + 1,
+                    '@first': index === 0,
+                    '@last': index === items.length - 1
+                }, ...scopes], options, unresolved)).join('');
+            }
+
+            default:
+                return '';
+        }
+    }).join('');
+}
+
+function renderVariable(node, scopes, options, unresolved) {
+    const { found, value } = lookup(scopes, node.name);
+    const text = value === undefined || value === null ? '' : String(value);
+
+    if (text.trim() === '') {
+        if (node.fallback !== undefined) {
+            return node.fallback;
+        }
+
+        unresolved.push({ name: node.name, reason: found ? 'empty' : 'missing' });
+        return '';
+    }
+
+    return node.filters.reduce(
+        (result, filter) => FILTERS[filter.name](result, filter.arg, options),
+        text
+    );
+}
+
+function parseNumber(value) {
+    let text = String(value).trim().replace(/[^\d.,\-]/g, '');
+
+    // "1.234,56" and "1,234.56": the last separator is the decimal one
+    const lastComma = text.lastIndexOf(',');
+    const lastDot = text.lastIndexOf('.');
+
+    if (lastComma > lastDot) {
+        text = text.replace(/\./g, '').replace(',', '.');
+    } else {
+        text = text.replace(/,/g, '');
+    }
+
+    return text === '' ? NaN : Number(text);
+}
+
+function parseDate(value) {
+    const text = String(value).trim();
+
+    // Day first, as written in most of Europe: 31/12/2024, 31.12.2024
+    const european = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})(?:[ T](\d{1,2}):(\d{2}))?/.exec(text);
+    if (european) {
+        const [, day, month, year, hours = 0, minutes = 0] = european;
+        return new Date(year, month - 1, day, hours, minutes);
+    }
+
+    // ISO dates without a time are read as UTC by Date: keep them on the local calendar day
+    const isoDate = /^(\d{4})-(\d{2})-(\d{2})$/.exec(text);
+    if (isoDate) {
+        const [, year, month, day] = isoDate;
+        return new Date(year, month - 1, day);
+    }
+
+    const date = new Date(/^\d{4}-\d{2}-\d{2} \d/.test(text) ? text.replace(' ', 'T') : text);
+    return Number.isNaN(date.getTime()) ? null : date;
+}
+
+function formatDate(date, format) {
+    const pad = (number) => String(number).padStart(2, '0');
+    const tokens = {
+        YYYY: date.getFullYear(),
+        MM: pad(date.getMonth() + 1),
+        DD: pad(date.getDate()),
+        HH: pad(date.getHours()),
+        mm: pad(date.getMinutes()),
+        ss: pad(date.getSeconds())
+    };
+
+    return format.replace(/YYYY|MM|DD|HH|mm|ss/g, token => tokens[token]);
+}
+
+export default {
+    FILTERS,
+    parseTemplate,
+    renderTemplate,
+    renderString,
+    getTemplateReport
+};
@@ -0,0 +1,108 @@
+/**
+ * Unsubscribe - List-Unsubscribe links of bulk emails (RFC 2369, RFC 8058)
+ * A campaign sets a mailto address and/or a URL; every recipient gets its own token
+ *
+ * URL placeholders: {{token}} and {{email}}, URL-encoded. A URL without placeholders
+ * gets a "token" query parameter, so each link still identifies its recipient.
+ */
+
+import { parseAddress } from './AddressParser.js';
+
+const URL_PLACEHOLDER = /{{\s*(token|email)\s*}}/gi;
+
+/**
+ * Create a random per-recipient token
+ * @returns {string} 32 hexadecimal characters
+ */
+export const createUnsubscribeToken = () => {
+    const bytes = crypto.getRandomValues(new Uint8Array(16));
+    return [...bytes].map(byte => byte.toString(16).padStart(2, '0')).join('');
+};
+
+/**
+ * Check and clean campaign unsubscribe settings
+ * @param {Object} settings - { mailto, url }
+ * @returns {Object|null} { mailto, url } with at least one target, or null when both are empty
+ */
+export const normalizeUnsubscribeSettings = (settings) => {
+    const mailto = String(settings?.mailto ?? '').trim().replace(/^mailto:/i, '');
+    const url = String(settings?.url ?? '').trim();
+
+    if (!mailto && !url) {
+        return null;
+    }
+
+    const address = mailto ? parseAddress(mailto) : null;
+
+    if (mailto && !address) {
+        throw new Error(`Invalid unsubscribe address: ${mailto}`);
+    }
+
+    if (url) {
+        let parsed;
+        try {
+            parsed = new URL(url.replace(URL_PLACEHOLDER, 'x'));
+        } catch {
+            throw new Error(`Invalid unsubscribe URL: ${url}`);
+        }
+        if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') {
+            throw new Error(`Unsubscribe URL must be http or https: ${url}`);
+        }
+    }
+
+    // Bare address with the domain in punycode, as the mailto link goes in a header
+    return { mailto: address ? address.asciiAddress : '', url };
+};
+
+/**
+ * Build the unsubscribe links of one recipient
+ * @param {Object} settings - Normalized settings { mailto, url }
+ * @param {Object} recipient - { email, token }
+ * @returns {Object} { url, mailto } full links, empty strings for unset targets
+ */
+export const buildUnsubscribeLinks = (settings, recipient) => {
+    const values = {
+        token: recipient.token,
+        email: recipient.email
+    };
+
+    let url = '';
+    if (settings.url) {
+        const filled = settings.url.replace(URL_PLACEHOLDER, (tag, name) => encodeURIComponent(values[name.toLowerCase()] ?? ''));
+        url = filled !== settings.url
+            ? filled
+            : `${settings.url}${settings.url.includes('?') ? '&' : '?'}token=${encodeURIComponent(recipient.token)}`;
+    }
+
+    const mailto = settings.mailto
+        ? `mailto:${settings.mailto}?subject=${encodeURIComponent(`unsubscribe ${recipient.token}`)}`
+        : '';
+
+    return { url, mailto };
+};
+
+/**
+ * Headers announcing the unsubscribe links
+ * One-click unsubscribe (List-Unsubscribe-Post) is only offered with an https URL, as RFC 8058 requires
+ * @param {Object} links - { url, mailto }
+ * @returns {Object} { 'List-Unsubscribe', 'List-Unsubscribe-Post' } (empty object without links)
+ */
+export const getUnsubscribeHeaders = (links) => {
+    const targets = [links?.mailto, links?.url].filter(Boolean);
+
+    if (targets.length === 0) {
+        return {};
+    }
+
+    return {
+        'List-Unsubscribe': targets.map(target => `<${target}>`).join(', '),
+        ...(/^https:/i.test(links.url || '') && { 'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click' })
+    };
+};
+
+export default {
+    createUnsubscribeToken,
+    normalizeUnsubscribeSettings,
+    buildUnsubscribeLinks,
+    getUnsubscribeHeaders
+};
@@ -0,0 +1,146 @@
+/**
+ * ZipArchiveWriter - ZIP archives written while a download runs
+ * With a file handle from the File System Access API every entry is streamed to that file as it is added.
+ * Without one the archive is split into self-contained volumes of at most maxVolumeBytes; each full volume
+ * is handed to onVolume right away, so only the one being written is in memory. The last volume is returned by close()
+ */
+
+import logger from '../core/Logger.js';
+
+export class ZipArchiveWriter {
+    #filename;
+    #fileHandle;
+    #maxVolumeBytes;
+    #onVolume;
+    #zipWriter = null;
+    #volumeBytes = 0;
+    #totalBytes = 0;
+    #names = new Set();
+    #volumes = [];
+
+    /**
+     * @param {Object} options - Archive options
+     * @param {string} options.filename - Archive name; volumes get a "_partN" suffix
+     * @param {FileSystemFileHandle} [options.fileHandle] - File to stream to
+     * @param {number} [options.maxVolumeBytes] - Volume size, counted on the uncompressed entries
+     * @param {Function} [options.onVolume] - (blob, filename) called with every full volume
+     */
+    constructor({ filename, fileHandle = null, maxVolumeBytes = Infinity, onVolume = null }) {
+        this.#filename = filename;
+        this.#fileHandle = fileHandle;
+        this.#maxVolumeBytes = maxVolumeBytes;
+        this.#onVolume = onVolume;
+    }
+
+    /**
+     * True when entries go straight to a file on disk
+     */
+    get isStreaming() {
+        return Boolean(this.#fileHandle);
+    }
+
+    /**
+     * Add an entry
+     * @param {string} name - Path in the archive; a "_N" suffix is added when it is taken
+     * @param {Blob|string} content - Entry data, strings are written as UTF-8
+     * @returns {Promise<string>} Path used
+     */
+    async add(name, content) {
+        const blob = content instanceof Blob ? content : new Blob([content]);
+        const path = this.#uniqueName(name);
+
+        // Start the next volume before this entry would overflow the current one
+        if (!this.#fileHandle && this.#zipWriter && this.#volumeBytes > 0 &&
+            this.#volumeBytes + blob.size > this.#maxVolumeBytes) {
+            await this.#closeVolume(true, false);
+        }
+
+        if (!this.#zipWriter) {
+            await this.#openVolume();
+        }
+
+        await this.#zipWriter.add(path, new zip.BlobReader(blob));
+
+        this.#volumeBytes += blob.size;
+        this.#totalBytes += blob.size;
+
+        return path;
+    }
+
+    /**
+     * Finish the archive
+     * @param {Object} [options] - Close options
+     * @param {boolean} [options.handOver] - Pass the last volume to onVolume too, for an archive that will not be returned
+     * @returns {Promise<Object>} { filename, size, streamed, volumes: [{ filename, size, blob }] },
+     *   blob only for the last volume and volumes not passed to onVolume; size is the uncompressed total
+     */
+    async close({ handOver = false } = {}) {
+        if (!this.#zipWriter) {
+            await this.#openVolume();
+        }
+
+        await this.#closeVolume(this.#volumes.length > 0, !handOver);
+
+        return {
+            filename: this.#fileHandle ? this.#fileHandle.name : this.#filename,
+            size: this.#totalBytes,
+            streamed: this.isStreaming,
+            volumes: this.#volumes
+        };
+    }
+
+    // Private methods
+
+    async #openVolume() {
+        if (this.#fileHandle) {
+            // zip.js closes the stream with the archive
+            this.#zipWriter = new zip.ZipWriter(await this.#fileHandle.createWritable());
+        } else {
+            this.#zipWriter = new zip.ZipWriter(new zip.BlobWriter('application/zip'));
+        }
+
+        this.#volumeBytes = 0;
+    }
+
+    async #closeVolume(numbered, keepBlob) {
+        const result = await this.#zipWriter.close();
+        this.#zipWriter = null;
+
+        if (this.#fileHandle) {
+            logger.info(`ZIP written to ${this.#fileHandle.name}`);
+            return;
+        }
+
+        const filename = numbered
+            ? this.#filename.replace(/(\.zip)?$/i, `_part${this.#volumes.length + 1}$1`)
+            : this.#filename;
+
+        const volume = { filename, size: result.size };
+
+        if (this.#onVolume && !keepBlob) {
+            this.#onVolume(result, filename);
+        } else {
+            volume.blob = result;
+        }
+
+        this.#volumes.push(volume);
+        logger.info(`ZIP volume ${filename} finished (${result.size} bytes)`);
+    }
+
+    #uniqueName(name) {
+        let path = name;
+
+        for (let counter = 1; this.#names.has(path); counter++) {
+            const dot = name.lastIndexOf('.');
+            const slash = name.lastIndexOf('/');
+            path = dot > slash + 1
+                ? `${name.slice(0, dot)}_${counter}${name.slice(dot)}`
+                : `${name}_${counter}`;
+        }
+
+        this.#names.add(path);
+        return path;
+    }
+}
+
+export default ZipArchiveWriter;